@@ -11,6 +11,11 @@ const apiRoutes = require('./routes/api.routes');
 // Import database
 const database = require('./config/database');
 
+// Background job queue (handlers are registered by the processing controller and the webhook service)
+const jobQueue = require('./services/job-queue.service');
+const processingController = require('./controllers/processing.controller');
+const webhookService = require('./services/webhook.service');
+
 class InvoiceProcessingApp {
   constructor() {
     this.app = express();
@@ -29,7 +34,7 @@ class InvoiceProcessingApp {
       origin: true,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Id']
     }));
 
     // Logging middleware
@@ -102,6 +107,13 @@ class InvoiceProcessingApp {
       await database.initialize();
       console.log('Database initialized successfully');
 
+      // Start job workers, requeue interrupted jobs and resume batches stuck mid-stage
+      await jobQueue.start();
+      await processingController.recoverInterruptedBatches();
+
+      // Notify webhook subscribers of batch status changes
+      webhookService.start();
+
       // Note: Azure services will be initialized lazily when needed
       
       console.log('Application initialized successfully');
@@ -176,6 +188,10 @@ class InvoiceProcessingApp {
   async gracefulShutdown(server) {
     console.log('\n🛑 Received shutdown signal. Gracefully shutting down...');
     
+    // Stop picking up jobs; running jobs are requeued on the next start
+    jobQueue.stop();
+    webhookService.stop();
+
     // Close server
     server.close(async () => {
       console.log('📴 HTTP server closed');
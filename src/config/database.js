@@ -23,7 +23,10 @@ class Database {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          this.createTables()
+            .then(() => this.migrateColumns())
+            .then(resolve)
+            .catch(reject);
         }
       });
     });
@@ -41,6 +44,13 @@ class Database {
         validated_splits TEXT, -- JSON string
         extracted_data TEXT, -- JSON string
         confidence_scores TEXT, -- JSON string
+        processing_options TEXT, -- JSON string
+        split_approval TEXT, -- JSON string
+        progress TEXT, -- JSON string
+        client_id TEXT, -- API client that uploaded the batch (X-Client-Id)
+        upload_group_id TEXT, -- multi-file / ZIP upload the batch came from
+        source_file_path TEXT, -- uploaded image the batch PDF was converted from
+        source_file_type TEXT, -- jpeg | png | tiff
         error_message TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -62,6 +72,88 @@ class Database {
       )
     `;
 
+    const createSplitRevisionsTable = `
+      CREATE TABLE IF NOT EXISTS split_revisions (
+        id TEXT PRIMARY KEY,
+        batch_id TEXT NOT NULL,
+        revision_number INTEGER NOT NULL,
+        kind TEXT NOT NULL, -- AI_PROPOSAL | MANUAL_EDIT | VALIDATED
+        splits TEXT NOT NULL, -- JSON string
+        author TEXT NOT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (batch_id, revision_number),
+        FOREIGN KEY (batch_id) REFERENCES document_batches (id)
+      )
+    `;
+
+    const createJobsTable = `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL, -- PROCESS_BATCH | EXTRACT_BATCH | DELIVER_WEBHOOK
+        batch_id TEXT,
+        payload TEXT, -- JSON string
+        status TEXT NOT NULL DEFAULT 'QUEUED', -- QUEUED | RUNNING | SUCCEEDED | FAILED | CANCELLED
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_at INTEGER NOT NULL, -- epoch ms, next time the job may run
+        locked_at INTEGER, -- epoch ms, when a worker picked the job up
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createJobsIndex = 'CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)';
+
+    // Webhooks: a subscription belongs to an API client (every batch it uploads) or to one batch
+    const createWebhookSubscriptionsTable = `
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL, -- JSON array of batch statuses
+        client_id TEXT,
+        batch_id TEXT,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createWebhookDeliveriesTable = `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL,
+        batch_id TEXT,
+        event TEXT NOT NULL, -- batch.split_proposed | batch.data_validation_pending | batch.completed | batch.error
+        payload TEXT NOT NULL, -- JSON string, signed and sent as-is
+        status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING | DELIVERED | DEAD
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        last_attempt_at DATETIME,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createWebhookDeliveriesIndex = 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status, created_at)';
+
+    // Upload groups: several PDFs (or a ZIP archive) received in one request
+    const createUploadGroupsTable = `
+      CREATE TABLE IF NOT EXISTS upload_groups (
+        id TEXT PRIMARY KEY,
+        mode TEXT NOT NULL, -- SEPARATE (one batch per PDF) | MERGED (one batch for all PDFs)
+        client_id TEXT,
+        files TEXT NOT NULL, -- JSON array of the PDFs received, with their batch (or merged page range)
+        skipped TEXT, -- JSON array of files and archive entries left out, with the reason
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
     return new Promise((resolve, reject) => {
       this.db.serialize(() => {
         this.db.run(createDocumentBatchTable, (err) => {
@@ -78,12 +170,114 @@ class Database {
             reject(err);
             return;
           }
+        });
+
+        this.db.run(createSplitRevisionsTable, (err) => {
+          if (err) {
+            console.error('Error creating split_revisions table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createJobsTable, (err) => {
+          if (err) {
+            console.error('Error creating jobs table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createJobsIndex, (err) => {
+          if (err) {
+            console.error('Error creating jobs index:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createWebhookSubscriptionsTable, (err) => {
+          if (err) {
+            console.error('Error creating webhook_subscriptions table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createWebhookDeliveriesTable, (err) => {
+          if (err) {
+            console.error('Error creating webhook_deliveries table:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createWebhookDeliveriesIndex, (err) => {
+          if (err) {
+            console.error('Error creating webhook_deliveries index:', err);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createUploadGroupsTable, (err) => {
+          if (err) {
+            console.error('Error creating upload_groups table:', err);
+            reject(err);
+            return;
+          }
           resolve();
         });
       });
     });
   }
 
+  /**
+   * Add columns introduced after a table was first created (CREATE TABLE IF NOT EXISTS
+   * leaves existing databases untouched)
+   */
+  async migrateColumns() {
+    const migrations = {
+      document_batches: {
+        processing_options: 'TEXT',
+        split_approval: 'TEXT',
+        progress: 'TEXT',
+        client_id: 'TEXT',
+        upload_group_id: 'TEXT',
+        source_file_path: 'TEXT',
+        source_file_type: 'TEXT'
+      }
+    };
+
+    for (const [table, columns] of Object.entries(migrations)) {
+      await this.ensureColumns(table, columns);
+    }
+  }
+
+  async ensureColumns(table, columns) {
+    const existing = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.name));
+      });
+    });
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (existing.includes(column)) continue;
+      await new Promise((resolve, reject) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`, (err) => {
+          if (err) {
+            console.error(`Error adding column ${table}.${column}:`, err);
+            reject(err);
+          } else {
+            console.log(`Added column ${table}.${column}`);
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
   getDb() {
     return this.db;
   }
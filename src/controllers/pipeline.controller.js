@@ -0,0 +1,316 @@
+/**
+ * ================================================================================
+ * PIPELINE CONTROLLER - ONE-SHOT UPLOAD, SPLIT AND EXTRACTION
+ * ================================================================================
+ *
+ * Runs the whole pipeline for integrations without a human review step: upload,
+ * boundary detection, automatic split approval, PDF splitting and data extraction,
+ * in one request. The work is a single RUN_PIPELINE job, so it is retried,
+ * recovered after a restart and cancellable like the other batch stages.
+ *
+ * 🎯 PRIMARY ENDPOINTS:
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * • runPipelineRequest(req, res)     - Upload a PDF (or image) and run the pipeline (sync, or async=true)
+ * • getPipelineRun(req, res)         - Result of a pipeline job (poll after async=true)
+ * • runPipeline(batch, { signal })   - Move a batch through the remaining stages (job handler)
+ *
+ * 📋 OPTIONS (multipart fields next to the `pdf` file):
+ * • confidenceThreshold   - Minimum split confidence for auto-approval (default CONFIDENCE_THRESHOLD)
+ * • extractionMode        - standard | chunked | none (default standard, none in SPLIT_ONLY mode)
+ * • profile               - Extraction profile: customs | ap | shipping (default EXTRACTION_PROFILE)
+ * • async                 - true: answer 202 with the job id right away
+ *
+ * The pipeline stops in SPLIT_PROPOSED (reviewRequired) when a split is below the
+ * threshold, ends COMPLETED when every invoice was extracted, and stays in
+ * DATA_VALIDATION_PENDING when some failed (they can be retried per invoice).
+ *
+ * ⚙️ CONFIGURATION:
+ * • PIPELINE_SYNC_TIMEOUT_MS  - How long a synchronous request waits before answering 202 (default 300000)
+ *
+ * ================================================================================
+ */
+
+const fs = require('fs').promises;
+const DocumentBatch = require('../models/document-batch.model');
+const Job = require('../models/job.model');
+const jobQueue = require('../services/job-queue.service');
+const uploadController = require('./upload.controller');
+const processingController = require('./processing.controller');
+const { getFailedInvoices } = require('../services/extractor/mergeInvoiceResults');
+const { validatePipelineOptions } = require('../validation/pipeline.validation');
+const { DEFAULT_PROFILE } = require('../services/extractor/profiles');
+
+const FINISHED_JOB_STATUSES = ['SUCCEEDED', 'FAILED', 'CANCELLED'];
+const JOB_POLL_MS = 500;
+
+class PipelineController {
+  constructor() {
+    this.syncTimeoutMs = parseInt(process.env.PIPELINE_SYNC_TIMEOUT_MS || '300000', 10);
+
+    jobQueue.registerHandler('RUN_PIPELINE', job => processingController.runBatchJob(job, batch => this.runPipeline(batch, { signal: job.signal })), {
+      onFailure: (job, error, retry) => processingController.handleBatchJobFailure(job, error, retry)
+    });
+  }
+
+  /**
+   * Upload a PDF and run it through the pipeline
+   * Answers with the split files and extracts once the job is done, or 202 with the
+   * job id when `async=true` (or when PIPELINE_SYNC_TIMEOUT_MS runs out).
+   */
+  async runPipelineRequest(req, res) {
+    // Once a batch exists its job works from the upload, so it must not be removed on error
+    let documentBatch = null;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded'
+        });
+      }
+
+      const validation = validatePipelineOptions({
+        confidenceThreshold: req.body.confidenceThreshold,
+        extractionMode: req.body.extractionMode,
+        profile: req.body.profile,
+        async: req.body.async
+      });
+      if (!validation.valid) {
+        await fs.unlink(req.file.path).catch(console.error);
+        return res.status(422).json({
+          success: false,
+          error: 'Invalid pipeline options',
+          details: { errors: validation.errors }
+        });
+      }
+
+      const splitOnly = process.env.SPLIT_ONLY === 'true';
+      const extractionMode = validation.value.extractionMode || (splitOnly ? 'none' : 'standard');
+      if (splitOnly && extractionMode !== 'none') {
+        await fs.unlink(req.file.path).catch(console.error);
+        return res.status(403).json({
+          success: false,
+          error: 'Data extraction is disabled in SPLIT_ONLY mode'
+        });
+      }
+
+      const processingOptions = { autoApprove: true, extractionMode, pipeline: true };
+      if (validation.value.confidenceThreshold !== undefined) {
+        processingOptions.confidenceThreshold = validation.value.confidenceThreshold;
+      }
+      if (validation.value.profile) {
+        processingOptions.extractionProfile = validation.value.profile;
+      }
+
+      ({ documentBatch } = await uploadController.createBatchFromFile(req.file, {
+        processingOptions,
+        clientId: req.get('X-Client-Id') || req.body.clientId || null
+      }));
+
+      await documentBatch.update({ status: 'PROCESSING_SPLIT', error_message: null });
+      const job = await jobQueue.enqueue('RUN_PIPELINE', { batchId: documentBatch.id });
+
+      if (validation.value.async) {
+        return res.status(202).json({
+          success: true,
+          message: 'Pipeline started',
+          data: { jobId: job.id, batchId: documentBatch.id, status: documentBatch.status }
+        });
+      }
+
+      const finishedJob = await this.waitForJob(job.id, this.syncTimeoutMs);
+      if (!finishedJob) {
+        return res.status(202).json({
+          success: true,
+          message: `Pipeline still running after ${this.syncTimeoutMs}ms; poll GET /api/pipeline/${job.id}`,
+          data: { jobId: job.id, batchId: documentBatch.id }
+        });
+      }
+
+      const result = this.describeRun(finishedJob, await DocumentBatch.findById(documentBatch.id));
+      this.sendRun(res, result);
+
+    } catch (error) {
+      if (!error.status) console.error('Pipeline error:', error);
+
+      if (!documentBatch && req.file && req.file.path) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Pipeline failed'
+      });
+    }
+  }
+
+  /**
+   * Result of a pipeline job: its status while it runs, the split files and extracts once done
+   */
+  async getPipelineRun(req, res) {
+    try {
+      const job = await Job.findById(req.params.jobId);
+      if (!job || job.type !== 'RUN_PIPELINE') {
+        return res.status(404).json({
+          success: false,
+          error: 'Pipeline job not found'
+        });
+      }
+
+      const documentBatch = await DocumentBatch.findById(job.batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch of this pipeline job no longer exists'
+        });
+      }
+
+      const result = this.describeRun(job, documentBatch);
+      if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+        return res.json({
+          success: true,
+          message: 'Pipeline running',
+          data: result
+        });
+      }
+      this.sendRun(res, result);
+
+    } catch (error) {
+      console.error('Get pipeline run error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get pipeline run'
+      });
+    }
+  }
+
+  /**
+   * Move a batch through every remaining stage (RUN_PIPELINE job handler)
+   * Driven by the batch status, so a retried or recovered job resumes where it stopped.
+   * @param {DocumentBatch} documentBatch - Batch created by runPipelineRequest
+   * @param {Object} [options] - { signal } aborted when the batch is cancelled
+   */
+  async runPipeline(documentBatch, { signal = null } = {}) {
+    const { extractionMode = 'standard' } = documentBatch.processingOptions || {};
+
+    if (documentBatch.status === 'PROCESSING_SPLIT') {
+      await processingController.processDocumentBatch(documentBatch, { signal });
+    }
+
+    // Auto-approval did not apply: the proposal waits for a manual review
+    if (documentBatch.status === 'SPLIT_PROPOSED') {
+      console.log(`Pipeline for batch ${documentBatch.id} stopped for split review: ${documentBatch.splitApproval?.reason || 'splits not approved'}`);
+      return;
+    }
+
+    if (documentBatch.status === 'SPLIT_VALIDATED') {
+      if (extractionMode === 'none') {
+        await documentBatch.update({ status: 'COMPLETED' });
+        return;
+      }
+      await documentBatch.update({ status: 'EXTRACTING_DATA', error_message: null, progress: null });
+    }
+
+    if (documentBatch.status === 'EXTRACTING_DATA') {
+      await processingController.extractBatchInvoiceData(documentBatch, { signal });
+    }
+
+    // Failed invoices keep the batch open so they can be retried
+    if (documentBatch.status === 'DATA_VALIDATION_PENDING' && getFailedInvoices(documentBatch.extractedData).length === 0) {
+      await documentBatch.update({ status: 'COMPLETED' });
+    }
+  }
+
+  /**
+   * Poll a job until it is finished
+   * @returns {Promise<Job|null>} - The finished job, or null when the timeout ran out
+   */
+  async waitForJob(jobId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const job = await Job.findById(jobId);
+      if (!job || FINISHED_JOB_STATUSES.includes(job.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+    }
+    return null;
+  }
+
+  /**
+   * Answer with a finished run: 200 unless the job failed (500) or was cancelled (409)
+   */
+  sendRun(res, result) {
+    if (result.jobStatus === 'SUCCEEDED') {
+      let message = 'Pipeline completed';
+      if (result.reviewRequired) message = 'Splits need a manual review; extraction did not run';
+      else if (result.extraction && result.extraction.failed > 0) message = `Pipeline finished; ${result.extraction.failed} invoice(s) failed extraction and can be retried`;
+
+      return res.json({
+        success: true,
+        message,
+        data: result
+      });
+    }
+
+    res.status(result.jobStatus === 'CANCELLED' ? 409 : 500).json({
+      success: false,
+      error: result.jobStatus === 'CANCELLED' ? 'Pipeline was cancelled' : (result.errorMessage || result.lastError || 'Pipeline failed'),
+      details: result
+    });
+  }
+
+  /**
+   * Pipeline result: split PDFs (file metadata and download URL) with their extract
+   */
+  describeRun(job, documentBatch) {
+    const options = documentBatch.processingOptions || {};
+    const splits = documentBatch.validatedSplits || documentBatch.proposedSplits || [];
+    const invoices = documentBatch.extractedData || [];
+    const invoicesBySplit = new Map(invoices.map(invoice => [String(invoice.splitId), invoice]));
+
+    return {
+      jobId: job.id,
+      jobStatus: job.status,
+      batchId: documentBatch.id,
+      status: documentBatch.status,
+      originalFilename: documentBatch.originalFilename,
+      totalPages: documentBatch.totalPages,
+      options: {
+        confidenceThreshold: options.confidenceThreshold !== undefined ? options.confidenceThreshold : null,
+        extractionMode: options.extractionMode || 'standard',
+        profile: options.extractionProfile || DEFAULT_PROFILE
+      },
+      reviewRequired: documentBatch.status === 'SPLIT_PROPOSED',
+      splitApproval: documentBatch.splitApproval,
+      splits: splits.map(split => {
+        const invoice = invoicesBySplit.get(String(split.id));
+        return {
+          id: split.id,
+          invoiceNumber: split.invoiceNumber || null,
+          documentType: split.documentType || null,
+          pageRange: split.pageRange || null,
+          pageCount: split.pageCount || null,
+          confidence: split.confidence !== undefined ? split.confidence : null,
+          excluded: !!split.excluded,
+          filename: split.filename || null,
+          fileSize: split.fileSize || null,
+          url: split.filename ? `/static/split/${documentBatch.id}/${split.filename}` : null,
+          extraction: invoice ? {
+            status: invoice.status,
+            extract: invoice.extract,
+            diagnostics: invoice.diagnostics,
+            error: invoice.error
+          } : null
+        };
+      }),
+      extraction: documentBatch.extractedData ? {
+        extracted: invoices.length - getFailedInvoices(invoices).length,
+        failed: getFailedInvoices(invoices).length
+      } : null,
+      errorMessage: documentBatch.errorMessage,
+      lastError: job.lastError
+    };
+  }
+}
+
+module.exports = new PipelineController();
@@ -11,20 +11,27 @@
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
  * 📂 BATCH PROCESSING:
- * • startProcessing(req, res)              - Initialize batch processing workflow
+ * • startProcessing(req, res)              - Queue split detection for a batch (PROCESS_BATCH job)
+ * • recoverInterruptedBatches()            - Resume or fail batches stuck after a restart
+ * • streamBatchEvents(req, res)            - Server-Sent Events stream of a batch (status, splits, results)
+ * • cancelBatch(req, res)                  - Mark a batch CANCELLED and abort its running work (split files removed once it exits)
+ * • completeBatch(req, res)                - Close a reviewed batch (SPLIT_VALIDATED or DATA_VALIDATION_PENDING → COMPLETED)
+ * • autoApproveSplits(batch, splits)       - Split without manual review when all splits clear the threshold
+ * • getSplitRevisions(req, res)            - Split revision history (AI proposal, edits, validated set)
+ * • diffSplitRevisions(req, res)           - Diff two split revisions
  * • applySplits(req, res)                  - Apply PDF splits and extract invoice data
  * • reprocessBatch(req, res)               - Reprocess failed or updated batches
  * 
  * 📄 DATA EXTRACTION:
+ * • extractInvoiceData(req, res)           - Queue data extraction for validated splits (EXTRACT_BATCH job, optional `profile`)
+ * • retryInvoice(req, res)                 - Re-extract one failed invoice
+ * • retryFailedInvoices(req, res)          - Re-extract every failed invoice of a batch
  * • getExtractedData(req, res)             - Retrieve extracted invoice data
- * • extractBatchInvoiceData(documentBatch) - Internal batch data extraction
- * • mapFieldVariations(extractedData)      - Map field name variations to canonical names
+ * • extractBatchInvoiceData(batch, scope)  - Layout API + extractFromLayout on every (or the given) invoice split
+ * • extractSplitInvoice(split)             - Extract a single split PDF with the batch's extraction profile
  * 
  * 🔧 UTILITY METHODS:
  * • initializeServices()                   - Initialize Azure services (Document AI, OpenAI)
- * • parseNumericValue(value)               - Parse numeric values with European formatting
- * • validateEnhancedExtractionData()       - Validate extracted data with metadata
- * • calculateEnhancedConfidence()          - Calculate confidence scores from metadata
  * • checkServiceHealth(req, res)           - Health check for Azure services
  * 
  * 🔄 PROCESSING WORKFLOW:
@@ -42,9 +49,9 @@
  * 
  * 3. **Data Extraction Pipeline**
  *    - Apply approved splits to create individual invoice PDFs
- *    - Process each invoice using Invoice Mapping Agent
- *    - Extract structured data with 100% schema compliance
- *    - Perform validation and confidence assessment
+ *    - Run each invoice PDF through the Layout API and extractFromLayout
+ *    - Extract structured data validated against the extraction profile's schema (customs InvoiceExtract by default)
+ *    - Record failed invoices without failing the whole batch
  * 
  * 4. **Quality Assurance**
  *    - Field validation and type checking
@@ -97,14 +104,155 @@
  */
 
 const DocumentBatch = require('../models/document-batch.model');
+const SplitRevision = require('../models/split-revision.model');
+const Job = require('../models/job.model');
+const jobQueue = require('../services/job-queue.service');
+const batchEvents = require('../services/batch-events.service');
 const azureDocumentService = require('../services/azure-document.service');
 const azureOpenAIService = require('../services/azure-openai.service');
 const pdfSplitterService = require('../services/pdf-splitter.service');
+const { hasExplicitPages, withPages } = require('../services/splitter/splitPages');
+const { getConfidenceThreshold } = require('../services/splitter/scoreSplitEvidence');
+const { diffSplits } = require('../services/splitter/diffSplits');
+const { validateSplitEdit } = require('../validation/split-edit.validation');
+const { extractFromLayout } = require('../services/extractor/extractFromLayout');
+const { extractFromLayoutChunked } = require('../services/extractor/extractFromLayoutChunked');
+const { getProfile } = require('../services/extractor/profiles');
+const { createExtractionProgress } = require('../services/extractor/extractionProgress');
+const { getFailedInvoices, mergeInvoiceResults } = require('../services/extractor/mergeInvoiceResults');
+const { canTransition, getNextStatuses, isFinalStatus } = require('../models/batch-state-machine');
+
+// Batch statuses owned by a background job, and the job that moves the batch on
+const JOB_TYPE_BY_STATUS = {
+  PROCESSING_SPLIT: 'PROCESS_BATCH',
+  EXTRACTING_DATA: 'EXTRACT_BATCH'
+};
+
+// Every job type that works on a batch; RUN_PIPELINE (pipeline controller) covers both stages
+const BATCH_WORK_JOB_TYPES = [...Object.values(JOB_TYPE_BY_STATUS), 'RUN_PIPELINE'];
+
+// Batch statuses a job works from; once the batch has left them, the job's work is done
+const JOB_WORKING_STATUSES = {
+  PROCESS_BATCH: ['PROCESSING_SPLIT'],
+  EXTRACT_BATCH: ['EXTRACTING_DATA'],
+  RUN_PIPELINE: ['PROCESSING_SPLIT', 'SPLIT_VALIDATED', 'EXTRACTING_DATA', 'DATA_VALIDATION_PENDING']
+};
 
 class ProcessingController {
   constructor() {
     // Services will be initialized lazily when needed
     this.servicesInitialized = false;
+
+    jobQueue.registerHandler('PROCESS_BATCH', job => this.runBatchJob(job, batch => this.processDocumentBatch(batch, { signal: job.signal })), {
+      onFailure: (job, error, retry) => this.handleBatchJobFailure(job, error, retry)
+    });
+    jobQueue.registerHandler('EXTRACT_BATCH', job => this.runBatchJob(job, batch => this.extractBatchInvoiceData(batch, { ...job.payload, signal: job.signal })), {
+      onFailure: (job, error, retry) => this.handleBatchJobFailure(job, error, retry)
+    });
+  }
+
+  /**
+   * Whether a batch is still in a status the job works from
+   */
+  isJobWorkingStatus(job, status) {
+    return (JOB_WORKING_STATUSES[job.type] || []).includes(status);
+  }
+
+  /**
+   * Run a batch job against the current state of its batch
+   * Batches deleted, cancelled or already moved past the job's stage (a retry after a
+   * failure that happened once the stage's result was saved) are skipped. When the batch is
+   * cancelled while the job runs, its split files are removed once the job has exited.
+   */
+  async runBatchJob(job, run) {
+    const documentBatch = await DocumentBatch.findById(job.batchId);
+    if (!documentBatch) {
+      console.warn(`Job ${job.id}: batch ${job.batchId} no longer exists, skipping`);
+      return;
+    }
+    if (documentBatch.status === 'CANCELLED') {
+      console.warn(`Job ${job.id}: batch ${job.batchId} was cancelled, skipping`);
+      return;
+    }
+    if (!this.isJobWorkingStatus(job, documentBatch.status)) {
+      console.warn(`Job ${job.id}: batch ${job.batchId} is already ${documentBatch.status}, skipping ${job.type}`);
+      return;
+    }
+
+    try {
+      await run(documentBatch);
+    } finally {
+      if (job.signal && job.signal.aborted) {
+        await pdfSplitterService.cleanupBatchFiles(documentBatch.id)
+          .catch(error => console.error(`Failed to remove split files of cancelled batch ${documentBatch.id}:`, error));
+      }
+    }
+  }
+
+  /**
+   * Keep the batch in its working status while a retry is pending, mark it ERROR once attempts run out
+   * A batch that already left the job's working status (e.g. auto-approval failed after the
+   * proposal was saved) keeps its status: the stage's work is done.
+   */
+  async handleBatchJobFailure(job, error, { willRetry, nextRunAt }) {
+    const documentBatch = await DocumentBatch.findById(job.batchId);
+    if (!documentBatch) return;
+
+    if (!this.isJobWorkingStatus(job, documentBatch.status)) {
+      console.warn(`Job ${job.id} failed after batch ${documentBatch.id} reached ${documentBatch.status}; keeping that status: ${error.message}`);
+      return;
+    }
+
+    batchEvents.publish(documentBatch.id, 'batch_error', {
+      stage: job.type,
+      message: error.message,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      willRetry,
+      nextRunAt: willRetry ? new Date(nextRunAt).toISOString() : null
+    });
+
+    if (willRetry) {
+      await documentBatch.update({ error_message: `Attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message} (retrying at ${new Date(nextRunAt).toISOString()})` });
+    } else if (canTransition(documentBatch.status, 'ERROR')) {
+      await documentBatch.update({ status: 'ERROR', error_message: error.message });
+    } else {
+      // ERROR is only reachable from PROCESSING_SPLIT and EXTRACTING_DATA (a pipeline can fail in
+      // SPLIT_VALIDATED or DATA_VALIDATION_PENDING): keep the status and record the error
+      await documentBatch.update({ error_message: error.message });
+    }
+  }
+
+  /**
+   * Resume or fail batches left in a working status by a previous process
+   * Jobs that were running are requeued by jobQueue.recover(); this covers batches whose
+   * job is gone (failed for good, or started before the queue existed).
+   * JOB_RECOVERY_MODE=resume (default) queues the stage again, =fail marks the batch ERROR.
+   * @returns {Promise<Object>} - { resumed, failed }
+   */
+  async recoverInterruptedBatches() {
+    const mode = (process.env.JOB_RECOVERY_MODE || 'resume').toLowerCase();
+    const stuck = await DocumentBatch.findByStatus(Object.keys(JOB_TYPE_BY_STATUS));
+    const summary = { resumed: 0, failed: 0 };
+
+    for (const documentBatch of stuck) {
+      if (await Job.findActive(BATCH_WORK_JOB_TYPES, documentBatch.id)) continue;
+      // One-shot pipeline batches resume the whole pipeline, not just the interrupted stage
+      const type = documentBatch.processingOptions?.pipeline ? 'RUN_PIPELINE' : JOB_TYPE_BY_STATUS[documentBatch.status];
+
+      if (mode === 'fail') {
+        await documentBatch.update({ status: 'ERROR', error_message: `Interrupted during ${documentBatch.status} by a restart` });
+        summary.failed++;
+      } else {
+        await jobQueue.enqueue(type, { batchId: documentBatch.id });
+        summary.resumed++;
+      }
+    }
+
+    if (summary.resumed + summary.failed > 0) {
+      console.log(`♻️  Interrupted batches: ${summary.resumed} resumed, ${summary.failed} failed`);
+    }
+    return summary;
   }
 
   async initializeServices() {
@@ -149,37 +297,33 @@ class ProcessingController {
         });
       }
 
-      if (!['UPLOADED', 'SPLIT_PROPOSED', 'PROCESSING_FAILED'].includes(documentBatch.status)) {
-        return res.status(400).json({
+      if (!canTransition(documentBatch.status, 'PROCESSING_SPLIT') || documentBatch.status === 'PROCESSING_SPLIT') {
+        return res.status(409).json({
           success: false,
-          error: `Cannot process batch in status: ${documentBatch.status}`
+          error: `Cannot process batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
         });
       }
 
       // Update status to processing
-      await documentBatch.update({ status: 'PROCESSING_SPLIT' });
-
-      // Start processing asynchronously
-      this.processDocumentBatch(documentBatch).catch(error => {
-        console.error(`Processing failed for batch ${batchId}:`, error);
-        documentBatch.update({ 
-          status: 'ERROR',
-          error_message: error.message 
-        }).catch(console.error);
-      });
+      await documentBatch.update({ status: 'PROCESSING_SPLIT', error_message: null });
+
+      // Queue processing; a worker picks it up (and retries it) in the background
+      const job = await jobQueue.enqueue('PROCESS_BATCH', { batchId: documentBatch.id });
 
       res.json({
         success: true,
         message: 'Processing started',
         data: {
           batchId: documentBatch.id,
-          status: 'PROCESSING_SPLIT'
+          status: 'PROCESSING_SPLIT',
+          jobId: job.id
         }
       });
 
     } catch (error) {
       console.error('Start processing error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to start processing'
       });
@@ -188,8 +332,12 @@ class ProcessingController {
 
   /**
    * Process document batch (internal method)
+   * @param {DocumentBatch} documentBatch - Batch in PROCESSING_SPLIT
+   * @param {Object} [options] - { signal } aborted when the batch is cancelled
    */
-  async processDocumentBatch(documentBatch) {
+  async processDocumentBatch(documentBatch, { signal = null } = {}) {
+    const checkCancelled = () => { if (signal) signal.throwIfAborted(); };
+
     try {
       console.log(`Starting processing for batch: ${documentBatch.id}`);
 
@@ -198,8 +346,9 @@ class ProcessingController {
 
       // Step 1: Extract text from PDF
       console.log('Step 1: Extracting text from PDF...');
-      const textExtractionResult = await azureDocumentService.extractTextFromPDF(documentBatch.filePath);
-      
+      const textExtractionResult = await azureDocumentService.extractTextFromPDF(documentBatch.filePath, { signal });
+      checkCancelled();
+
       if (!textExtractionResult.success) {
         throw new Error(`Text extraction failed: ${textExtractionResult.error}`);
       }
@@ -208,19 +357,34 @@ class ProcessingController {
 
       // Step 2: Detect invoice boundaries using AI
       console.log('Step 2: Detecting invoice boundaries...');
-      const boundaryDetectionResult = await azureOpenAIService.detectInvoiceBoundaries(textExtractionResult.pages);
-      
+      const boundaryDetectionResult = await azureOpenAIService.detectInvoiceBoundaries(textExtractionResult.pages, { signal });
+      checkCancelled();
+
       if (!boundaryDetectionResult.success) {
         throw new Error(`Boundary detection failed: ${boundaryDetectionResult.error}`);
       }
 
       console.log(`Boundaries detected: ${boundaryDetectionResult.invoiceCount} invoices`);
 
-      // Update document batch with proposed splits
+      // Record the proposal before the status change, so a SPLIT_PROPOSED batch always has its AI_PROPOSAL revision
+      await SplitRevision.create({
+        batchId: documentBatch.id,
+        kind: 'AI_PROPOSAL',
+        splits: boundaryDetectionResult.proposedSplits,
+        author: `system:${boundaryDetectionResult.metadata?.detectionMethod || 'boundary-detection'}`
+      });
       await documentBatch.update({
         status: 'SPLIT_PROPOSED',
         proposed_splits: boundaryDetectionResult.proposedSplits
       });
+      batchEvents.publish(documentBatch.id, 'splits_proposed', {
+        invoiceCount: boundaryDetectionResult.invoiceCount,
+        detectionMethod: boundaryDetectionResult.metadata?.detectionMethod || null,
+        splits: boundaryDetectionResult.proposedSplits
+      });
+
+      // Step 3: Auto-approve the proposal when enabled and every split clears the threshold
+      await this.autoApproveSplits(documentBatch, boundaryDetectionResult.proposedSplits);
 
       // If configured to deliver split-only, stop the pipeline here.
       if (process.env.SPLIT_ONLY === 'true') {
@@ -231,13 +395,112 @@ class ProcessingController {
       console.log(`Processing completed for batch: ${documentBatch.id}`);
 
     } catch (error) {
-      console.error(`Processing error for batch ${documentBatch.id}:`, error);
+      // The job queue retries the batch or marks it ERROR (handleBatchJobFailure); cancelled jobs are not retried
+      if (!(signal && signal.aborted)) {
+        console.error(`Processing error for batch ${documentBatch.id}:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a proposal may skip manual review
+   * A per-upload `autoApprove` option takes precedence over AUTO_APPROVE_SPLITS, and a
+   * per-upload `confidenceThreshold` over CONFIDENCE_THRESHOLD.
+   * @param {DocumentBatch} documentBatch - Batch being processed
+   * @param {Array} splits - Proposed splits (with evidence-based confidence)
+   * @returns {Object} - { enabled, eligible, rule, threshold, minConfidence, reason }
+   */
+  evaluateAutoApproval(documentBatch, splits) {
+    const options = documentBatch.processingOptions || {};
+    const threshold = typeof options.confidenceThreshold === 'number' ? options.confidenceThreshold : getConfidenceThreshold();
+    let enabled = false;
+    let rule = null;
+
+    if (typeof options.autoApprove === 'boolean') {
+      enabled = options.autoApprove;
+      rule = 'upload:autoApprove';
+    } else if (process.env.AUTO_APPROVE_SPLITS === 'true') {
+      enabled = true;
+      rule = 'env:AUTO_APPROVE_SPLITS';
+    }
+
+    const confidences = (splits || []).map(split => Number(split.confidence) || 0);
+    const minConfidence = confidences.length > 0 ? Math.min(...confidences) : 0;
+    const belowThreshold = (splits || []).filter(split => (Number(split.confidence) || 0) < threshold);
+
+    let reason;
+    if (!enabled) {
+      reason = 'Auto-approve not enabled';
+    } else if (confidences.length === 0) {
+      reason = 'No splits proposed';
+    } else if (belowThreshold.length > 0) {
+      reason = `${belowThreshold.length} split(s) below confidence threshold ${threshold}: ${belowThreshold.map(split => split.id).join(', ')}`;
+    } else {
+      reason = `All ${confidences.length} splits at or above confidence threshold ${threshold}`;
+    }
+
+    return {
+      enabled,
+      eligible: enabled && confidences.length > 0 && belowThreshold.length === 0,
+      rule,
+      threshold,
+      minConfidence,
+      reason
+    };
+  }
+
+  /**
+   * Split the PDF without waiting for validate-splits when auto-approval applies
+   * Leaves the batch in SPLIT_PROPOSED (with the reason recorded) otherwise.
+   * @param {DocumentBatch} documentBatch - Batch in SPLIT_PROPOSED
+   * @param {Array} splits - Proposed splits
+   * @returns {Promise<boolean>} - True when the batch moved to SPLIT_VALIDATED
+   */
+  async autoApproveSplits(documentBatch, splits) {
+    const decision = this.evaluateAutoApproval(documentBatch, splits);
+    if (!decision.enabled) return false;
+
+    if (!decision.eligible) {
+      console.log(`Auto-approve skipped for batch ${documentBatch.id}: ${decision.reason}`);
       await documentBatch.update({
-        status: 'ERROR',
-        error_message: error.message
+        split_approval: { mode: 'manual_required', rule: decision.rule, threshold: decision.threshold, minConfidence: decision.minConfidence, reason: decision.reason }
       });
-      throw error;
+      return false;
+    }
+
+    const splitResult = await pdfSplitterService.splitPDF(documentBatch.filePath, splits, documentBatch.id);
+    if (!splitResult.success) {
+      console.warn(`Auto-approve split failed for batch ${documentBatch.id}: ${splitResult.error}`);
+      await documentBatch.update({
+        split_approval: { mode: 'manual_required', rule: decision.rule, threshold: decision.threshold, minConfidence: decision.minConfidence, reason: `PDF splitting failed: ${splitResult.error}` }
+      });
+      return false;
     }
+
+    await SplitRevision.create({
+      batchId: documentBatch.id,
+      kind: 'VALIDATED',
+      splits: splitResult.appliedSplits,
+      author: 'system:auto-approve',
+      note: decision.rule
+    });
+
+    await documentBatch.update({
+      status: 'SPLIT_VALIDATED',
+      validated_splits: splitResult.splits,
+      split_approval: {
+        mode: 'automatic',
+        rule: decision.rule,
+        threshold: decision.threshold,
+        minConfidence: decision.minConfidence,
+        reason: decision.reason,
+        approvedAt: new Date().toISOString()
+      }
+    });
+
+    console.log(`Splits auto-approved for batch ${documentBatch.id} (${decision.rule}, ${splitResult.totalSplits} files created)`);
+    return true;
   }
 
   /**
@@ -262,10 +525,25 @@ class ProcessingController {
           status: documentBatch.status,
           totalPages: documentBatch.totalPages,
           errorMessage: documentBatch.errorMessage,
+          splitApproval: documentBatch.splitApproval,
+          nextStatuses: getNextStatuses(documentBatch.status),
           updatedAt: documentBatch.updatedAt
         }
       };
 
+      // Extraction progress: current invoice, stage, completed/failed counts and ETA
+      if (documentBatch.progress) {
+        response.data.progress = documentBatch.progress;
+      }
+
+      // Latest background job working on the batch (attempts, next retry, last error);
+      // webhook deliveries carry the batch id too but say nothing about its processing
+      const jobs = (await Job.findByBatchId(documentBatch.id))
+        .filter(job => BATCH_WORK_JOB_TYPES.includes(job.type));
+      if (jobs.length > 0) {
+        response.data.job = jobs[jobs.length - 1].toJSON();
+      }
+
       // Include proposed splits if available
       if (documentBatch.proposedSplits) {
         response.data.proposedSplits = documentBatch.proposedSplits;
@@ -283,6 +561,99 @@ class ProcessingController {
     }
   }
 
+  /**
+   * Stream batch events over Server-Sent Events
+   * Sends a `snapshot` of the batch first, replays buffered events after the
+   * Last-Event-ID header when a client reconnects, then pushes events as they are
+   * published (see batch-events.service). The stream ends once the batch reaches a
+   * final status.
+   */
+  async streamBatchEvents(req, res) {
+    try {
+      const { batchId } = req.params;
+
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Keep reverse proxies (nginx) from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const send = (event) => {
+        if (event.id) res.write(`id: ${event.id}\n`);
+        res.write(`event: ${event.type}\n`);
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      };
+
+      let closed = false;
+      let unsubscribe = () => {};
+      let heartbeat = null;
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        res.end();
+      };
+
+      send({
+        type: 'snapshot',
+        batchId: documentBatch.id,
+        at: new Date().toISOString(),
+        data: {
+          status: documentBatch.status,
+          errorMessage: documentBatch.errorMessage,
+          nextStatuses: getNextStatuses(documentBatch.status),
+          progress: documentBatch.progress || null,
+          invoiceCount: documentBatch.proposedSplits ? documentBatch.proposedSplits.length : null
+        }
+      });
+
+      const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+      if (lastEventId > 0) {
+        batchEvents.getEventsSince(batchId, lastEventId).forEach(send);
+      }
+
+      if (isFinalStatus(documentBatch.status)) {
+        return close();
+      }
+
+      unsubscribe = batchEvents.subscribe(batchId, (event) => {
+        send(event);
+        if (event.type === 'status' && isFinalStatus(event.data.to)) {
+          close();
+        }
+      });
+
+      // Comment lines keep idle connections open through proxies and load balancers
+      const heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10);
+      heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+      req.on('close', close);
+
+    } catch (error) {
+      console.error('Stream batch events error:', error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Failed to stream batch events'
+        });
+      }
+    }
+  }
+
   // Update splits for a batch - manual editing
   async updateSplits(req, res) {
     try {
@@ -299,30 +670,61 @@ class ProcessingController {
         });
       }
 
-      // Validate splits format
-      if (!Array.isArray(splits)) {
-        return res.status(400).json({
+      // Only a proposal under review can be edited; later edits would rewrite the audit trail
+      if (documentBatch.status !== 'SPLIT_PROPOSED') {
+        return res.status(409).json({
           success: false,
-          error: 'Splits must be an array'
+          error: `Cannot edit splits of batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
         });
       }
 
-      // Validate each split
-      for (const split of splits) {
-        if (!split.startPage || !split.endPage) {
-          return res.status(400).json({
-            success: false,
-            error: 'Each split must have startPage and endPage'
-          });
-        }
+      // Strict validation: overlaps, out-of-range pages and malformed splits reject the edit,
+      // uncovered pages and duplicate invoice numbers are returned as warnings
+      const validation = validateSplitEdit(splits, { totalPages: documentBatch.totalPages });
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: `Split edit rejected: ${validation.errors.length} problem(s) found`,
+          details: {
+            errors: validation.errors,
+            warnings: validation.warnings
+          }
+        });
       }
 
-      // Update the batch with new splits
-      await DocumentBatch.updateSplits(batchId, splits);
+      // Page lists also carry their derived range so range-based consumers keep working
+      const normalizedSplits = splits.map(split => (hasExplicitPages(split) ? withPages(split, split.pages) : split));
+
+      // Update the batch with new splits and keep the edit in the revision history
+      const updated = await DocumentBatch.updateSplits(batchId, normalizedSplits);
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          error: `Batch ${batchId} is no longer in SPLIT_PROPOSED; it was changed by another request`
+        });
+      }
+      const revision = await SplitRevision.create({
+        batchId,
+        kind: 'MANUAL_EDIT',
+        splits: normalizedSplits,
+        author: this.getRequestAuthor(req),
+        note: req.body.note || null
+      });
+      batchEvents.publish(batchId, 'splits_updated', {
+        revisionNumber: revision.revisionNumber,
+        invoiceCount: normalizedSplits.length,
+        author: revision.author,
+        warnings: validation.warnings
+      });
 
       res.json({
         success: true,
-        message: 'Splits updated successfully'
+        message: 'Splits updated successfully',
+        data: {
+          revisionNumber: revision.revisionNumber,
+          warnings: validation.warnings
+        }
       });
 
     } catch (error) {
@@ -340,7 +742,7 @@ class ProcessingController {
   async validateSplits(req, res) {
     try {
       const { batchId } = req.params;
-      const { validatedSplits } = req.body;
+      const { validatedSplits, excludedPages, dropSeparatorPages } = req.body;
 
       if (!validatedSplits || !Array.isArray(validatedSplits)) {
         return res.status(400).json({
@@ -359,9 +761,23 @@ class ProcessingController {
       }
 
       if (documentBatch.status !== 'SPLIT_PROPOSED') {
-        return res.status(400).json({
+        return res.status(409).json({
+          success: false,
+          error: `Cannot validate splits for batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
+        });
+      }
+
+      // Same strict checks as a manual edit: nothing is silently "fixed" by the splitter
+      const validation = validateSplitEdit(validatedSplits, { totalPages: documentBatch.totalPages });
+      if (!validation.valid) {
+        return res.status(422).json({
           success: false,
-          error: `Cannot validate splits for batch in status: ${documentBatch.status}`
+          error: `Split validation rejected: ${validation.errors.length} problem(s) found`,
+          details: {
+            errors: validation.errors,
+            warnings: validation.warnings
+          }
         });
       }
 
@@ -371,7 +787,8 @@ class ProcessingController {
       const splitResult = await pdfSplitterService.splitPDF(
         documentBatch.filePath,
         validatedSplits,
-        batchId
+        batchId,
+        { excludedPages, dropSeparatorPages }
       );
 
       if (!splitResult.success) {
@@ -384,7 +801,15 @@ class ProcessingController {
       // Update document batch
       await documentBatch.update({
         status: 'SPLIT_VALIDATED',
-        validated_splits: splitResult.splits // Use the actual split results with filenames
+        validated_splits: splitResult.splits, // Use the actual split results with filenames
+        split_approval: { mode: 'manual', approvedBy: this.getRequestAuthor(req), approvedAt: new Date().toISOString() }
+      });
+      await SplitRevision.create({
+        batchId,
+        kind: 'VALIDATED',
+        splits: splitResult.appliedSplits,
+        author: this.getRequestAuthor(req),
+        note: req.body.note || null
       });
 
       console.log(`Splits validated for batch: ${batchId} (${splitResult.totalSplits} files created)`);
@@ -396,21 +821,135 @@ class ProcessingController {
           batchId: documentBatch.id,
           status: 'SPLIT_VALIDATED',
           totalSplits: splitResult.totalSplits,
-          splits: splitResult.splits
+          splits: splitResult.splits,
+          attachments: splitResult.attachments,
+          excludedSplits: splitResult.excludedSplits,
+          separatorPages: splitResult.separatorPages,
+          warnings: validation.warnings
         }
       });
 
     } catch (error) {
-      console.error('Validate splits error:', error);
-      res.status(500).json({
+      if (!error.status) console.error('Validate splits error:', error);
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to validate splits'
       });
     }
   }
 
+  /**
+   * Who made a split change: `author` in the body, else the X-User-Id header
+   */
+  getRequestAuthor(req) {
+    return (req.body && req.body.author) || req.get('X-User-Id') || 'anonymous';
+  }
+
+  /**
+   * List the split revisions of a batch (AI proposal, manual edits, validated set)
+   * The summary compares the AI proposal with the latest revision to show whether it was corrected.
+   */
+  async getSplitRevisions(req, res) {
+    try {
+      const { batchId } = req.params;
+
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      const revisions = await SplitRevision.findByBatchId(batchId);
+      const aiProposal = revisions.find(revision => revision.kind === 'AI_PROPOSAL');
+      const latest = revisions[revisions.length - 1];
+      const aiDiff = aiProposal && latest && latest !== aiProposal
+        ? diffSplits(aiProposal.splits, latest.splits)
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          batchId,
+          revisions: revisions.map(revision => ({
+            revisionNumber: revision.revisionNumber,
+            kind: revision.kind,
+            author: revision.author,
+            note: revision.note,
+            createdAt: revision.createdAt,
+            splitCount: revision.splits.length,
+            splits: revision.splits
+          })),
+          summary: {
+            revisionCount: revisions.length,
+            manualEdits: revisions.filter(revision => revision.kind === 'MANUAL_EDIT').length,
+            aiProposalRevision: aiProposal ? aiProposal.revisionNumber : null,
+            latestRevision: latest ? latest.revisionNumber : null,
+            aiCorrected: aiDiff ? !aiDiff.summary.identical : false,
+            aiChangeCount: aiDiff ? aiDiff.summary.changeCount : 0
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get split revisions error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get split revisions'
+      });
+    }
+  }
+
+  /**
+   * Diff two split revisions (?from=&to=), defaulting to the first and the latest revision
+   */
+  async diffSplitRevisions(req, res) {
+    try {
+      const { batchId } = req.params;
+
+      const revisions = await SplitRevision.findByBatchId(batchId);
+      if (revisions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No split revisions found for batch'
+        });
+      }
+
+      const fromNumber = req.query.from ? parseInt(req.query.from, 10) : revisions[0].revisionNumber;
+      const toNumber = req.query.to ? parseInt(req.query.to, 10) : revisions[revisions.length - 1].revisionNumber;
+      const from = revisions.find(revision => revision.revisionNumber === fromNumber);
+      const to = revisions.find(revision => revision.revisionNumber === toNumber);
+
+      if (!from || !to) {
+        return res.status(404).json({
+          success: false,
+          error: `Revision not found: ${!from ? fromNumber : toNumber}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          batchId,
+          from: { revisionNumber: from.revisionNumber, kind: from.kind, author: from.author, createdAt: from.createdAt },
+          to: { revisionNumber: to.revisionNumber, kind: to.kind, author: to.author, createdAt: to.createdAt },
+          diff: diffSplits(from.splits, to.splits)
+        }
+      });
+
+    } catch (error) {
+      console.error('Diff split revisions error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to diff split revisions'
+      });
+    }
+  }
+
   /**
    * Extract data from individual invoice PDFs
+   * An optional `profile` (customs, ap, shipping) is saved on the batch and also used by retries.
    */
   async extractInvoiceData(req, res) {
     try {
@@ -433,37 +972,49 @@ class ProcessingController {
         });
       }
 
-      if (documentBatch.status !== 'SPLIT_VALIDATED') {
-        return res.status(400).json({
+      if (!canTransition(documentBatch.status, 'EXTRACTING_DATA') || documentBatch.status === 'EXTRACTING_DATA') {
+        return res.status(409).json({
           success: false,
-          error: `Cannot extract data for batch in status: ${documentBatch.status}`
+          error: `Cannot extract data for batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
         });
       }
 
+      // A batch that failed during split detection has nothing to extract yet
+      if (!documentBatch.validatedSplits || documentBatch.validatedSplits.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Splits must be validated before data extraction'
+        });
+      }
+
+      // Unknown profiles are rejected with a 400
+      const update = { status: 'EXTRACTING_DATA', error_message: null, progress: null };
+      const profile = getProfile(req.body && req.body.profile ? req.body.profile : documentBatch.processingOptions.extractionProfile);
+      if (req.body && req.body.profile) {
+        update.processing_options = { ...documentBatch.processingOptions, extractionProfile: profile.name };
+      }
+
       // Update status
-      await documentBatch.update({ status: 'EXTRACTING_DATA' });
-
-      // Start data extraction asynchronously
-      this.extractBatchInvoiceData(documentBatch).catch(error => {
-        console.error(`Data extraction failed for batch ${batchId}:`, error);
-        documentBatch.update({ 
-          status: 'ERROR',
-          error_message: error.message 
-        }).catch(console.error);
-      });
+      await documentBatch.update(update);
+
+      // Queue data extraction
+      const job = await jobQueue.enqueue('EXTRACT_BATCH', { batchId: documentBatch.id });
 
       res.json({
         success: true,
         message: 'Data extraction started',
         data: {
           batchId: documentBatch.id,
-          status: 'EXTRACTING_DATA'
+          status: 'EXTRACTING_DATA',
+          profile: profile.name,
+          jobId: job.id
         }
       });
 
     } catch (error) {
-      console.error('Extract invoice data error:', error);
-      res.status(500).json({
+      if (!error.status) console.error('Extract invoice data error:', error);
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to start data extraction'
       });
@@ -471,259 +1022,172 @@ class ProcessingController {
   }
 
   /**
-   * Extract data from all invoices in a batch (internal method)
+   * Re-extract one failed invoice; the other results of the batch are kept
    */
-  async extractBatchInvoiceData(documentBatch) {
+  async retryInvoice(req, res) {
+    const { splitId } = req.params;
+    return this.retryInvoices(req, res, failedInvoices => {
+      const invoice = failedInvoices.find(candidate => String(candidate.splitId) === String(splitId));
+      return invoice ? [invoice] : null;
+    });
+  }
+
+  /**
+   * Re-extract every failed invoice of a batch; the extracted ones are kept
+   */
+  async retryFailedInvoices(req, res) {
+    return this.retryInvoices(req, res, failedInvoices => failedInvoices);
+  }
+
+  /**
+   * Queue an EXTRACT_BATCH job limited to some failed invoices
+   * @param {Function} selectInvoices - (failedInvoices) => invoices to retry, or null when the requested one is unknown
+   */
+  async retryInvoices(req, res, selectInvoices) {
     try {
-      // Defensive: do not run extraction if SPLIT_ONLY is enabled
       if (process.env.SPLIT_ONLY === 'true') {
-        throw new Error('SPLIT_ONLY mode enabled — batch extraction aborted');
+        return res.status(403).json({
+          success: false,
+          error: 'Data extraction is disabled in SPLIT_ONLY mode'
+        });
       }
 
-      console.log(`Starting data extraction for batch: ${documentBatch.id}`);
+      const { batchId } = req.params;
 
-      if (!documentBatch.validatedSplits || documentBatch.validatedSplits.length === 0) {
-        throw new Error('No validated splits found');
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
       }
 
-      const extractedInvoices = [];
-      const confidenceScores = {};
-
-      // Process each split
-      for (let i = 0; i < documentBatch.validatedSplits.length; i++) {
-        const split = documentBatch.validatedSplits[i];
-        console.log(`Extracting data from invoice ${i + 1}/${documentBatch.validatedSplits.length}: ${split.invoiceNumber}`);
-
-        // Construct file path for the split PDF
-        // Files are named like: DKEF-01286-1_pages_1-2_2025-08-31.pdf
-        const today = new Date().toISOString().split('T')[0];
-        // Clean invoice number by removing confidence markers
-        const cleanInvoiceNumber = (split.invoiceNumber || '')
-          .replace(/\s*\[LOW_CONFIDENCE\]\s*/g, '')
-          .trim();
-        const filename = `${cleanInvoiceNumber}_pages_${split.startPage}-${split.endPage}_${today}.pdf`;
-        const splitFilePath = `storage/split/${documentBatch.id}/${filename}`;
-        
-        console.log(`Looking for file: ${splitFilePath}`);
-
-        // Extract invoice data using Invoice Mapping Agent (100% Schema)
-        console.log('🚀 Using Invoice Mapping Agent (100% Schema Compliance)...');
-        console.log(`🗺️  ORCHESTRATOR: Starting mapping for invoice ${i + 1}/${documentBatch.validatedSplits.length}`);
-        console.log(`📁 Target file: ${splitFilePath}`);
-        const extractionResult = await azureDocumentService.processInvoiceWithFullMapping(splitFilePath);
-        
-        // Enhanced extraction debugging
-        console.log('🎯 MAPPING ORCHESTRATOR RESULTS');
-        console.log('====================================');
-        console.log('📁 File processed:', splitFilePath);
-        console.log('📊 Mapping success:', extractionResult.success);
-        if (extractionResult.success) {
-          const metadata = extractionResult.metadata;
-          console.log('📊 Invoice Mapping Agent summary:');
-          console.log(`  ✅ Fields covered: ${metadata?.fieldsCovered}/48 (${Math.round((metadata?.fieldsCovered/48)*100)}%)`);
-          console.log(`  � Items extracted: ${metadata?.itemsExtracted}`);
-          console.log(`  📈 Average confidence: ${Math.round((metadata?.averageConfidence || 0)*100)}%`);
-          console.log('🎯 Key mapped fields:');
-          const payload = extractionResult.finalPayload || {};
-          console.log(`  📄 Invoice ID: ${payload.invoice_id}`);
-          console.log(`  📅 Issue Date: ${payload.issue_date}`);
-          console.log(`  📅 Due Date: ${payload.due_date}`);
-          console.log(`  💰 Total HT: ${payload.total_ht}`);
-          console.log(`  💰 Total TTC: ${payload.total_ttc}`);
-          console.log(`  💱 Currency: ${payload.currency}`);
-          console.log(`  📦 Package: ${payload.package_number}`);
-          console.log(`  👥 Exporter: ${payload.exporter_name}`);
-          console.log(`  🏢 Importer: ${payload.importer_name}`);
-          console.log(`🔗 Field mapping process will now begin...`);
-        } else {
-          console.log('❌ Mapping failed:', extractionResult.error);
-        }
-        console.log('====================================');
-        console.log('🎯 MAPPING ORCHESTRATOR DEBUG END\n');
-        
-        if (extractionResult.success) {
-          // Mapping Agent returns finalPayload with complete schema
-          let extractedData = extractionResult.finalPayload;
-          
-          console.log('🔗 POST-MAPPING FIELD VARIATIONS');
-          console.log('=================================');
-          console.log('🔄 Applying field mapping variations...');
-          console.log(`📊 Original data keys: ${Object.keys(extractedData).join(', ')}`);
-          
-          // Log the data before field variations
-          console.log('📄 EXTRACTED DATA BEFORE FIELD VARIATIONS (JSON)');
-          console.log('=================================================');
-          const beforeVariationsStr = JSON.stringify(extractedData, null, 2);
-          if (beforeVariationsStr.length > 8000) {
-            console.log(beforeVariationsStr.substring(0, 4000) + '\n...[TRUNCATED]...');
-          } else {
-            console.log(beforeVariationsStr);
-          }
-          console.log('=================================================');
-          
-          // Apply field mapping to ensure canonical field names
-          extractedData = this.mapFieldVariations(extractedData);
-
-          // Normalize line item numeric fields and correct implausible unit prices (guardrail)
-          try {
-            if (Array.isArray(extractedData.items) && extractedData.items.length) {
-              extractedData.items = this.normalizeItemsNumbers(extractedData.items);
-            }
-          } catch (e) {
-            console.warn('Item normalization failed, continuing without correction:', e?.message || e);
-          }
-          console.log(`📊 Mapped data keys: ${Object.keys(extractedData).join(', ')}`);
-          
-          // Log the data after field variations
-          console.log('📄 FINAL EXTRACTED DATA AFTER FIELD VARIATIONS (JSON)');
-          console.log('======================================================');
-          const afterVariationsStr = JSON.stringify(extractedData, null, 2);
-          if (afterVariationsStr.length > 8000) {
-            console.log(afterVariationsStr.substring(0, 4000) + '\n...[TRUNCATED]...');
-          } else {
-            console.log(afterVariationsStr);
-          }
-          console.log('======================================================');
-          
-          console.log('✅ Field mapping variations applied');
-          console.log('=================================');
-          
-          // Create enhanced validation
-          console.log('🔍 VALIDATION PHASE');
-          console.log('===================');
-          const validation = this.validateEnhancedExtractionData(extractedData, extractionResult.metadata);
-          console.log(`✅ Validation result: ${validation.isValid ? 'VALID' : 'INVALID'}`);
-          if (validation.errors.length > 0) {
-            console.log(`❌ Validation errors: ${validation.errors.join(', ')}`);
-          }
-          if (validation.warnings.length > 0) {
-            console.log(`⚠️  Validation warnings: ${validation.warnings.join(', ')}`);
-          }
-          console.log('===================');
-          
-          // Calculate confidence from mapping agent metadata
-          const confidence = extractionResult.metadata?.averageConfidence || 0;
-
-          extractedInvoices.push({
-            splitId: split.id,
-            invoiceNumber: split.invoiceNumber,
-            pageRange: split.pageRange,
-            extractedData: extractedData,
-            items: extractedData.items || [],
-            confidence: confidence,
-            validation: validation,
-            metadata: {
-              ...extractionResult.metadata,
-              extractionMethod: 'mapping-agent',
-              auditTrail: extractionResult.auditPayload,
-              itemCurrencySummary: (() => {
-                try {
-                  const audit = extractionResult.auditPayload || {};
-                  const summary = {};
-                  Object.entries(audit).forEach(([k, v]) => {
-                    if (k.startsWith('item_') && v && typeof v === 'object' && v.detected_currency && v.detected_currency.evidence) {
-                      const code = String(v.detected_currency.evidence).match(/Detected in item context: (\w{3})/);
-                      const curr = code ? code[1] : 'UNKNOWN';
-                      summary[curr] = (summary[curr] || 0) + 1;
-                    }
-                  });
-                  return summary;
-                } catch { return {}; }
-              })()
-              , fieldSources: (() => {
-                try {
-                  const audit = extractionResult.auditPayload || {};
-                  const sources = {};
-                  Object.keys(extractedData || {}).forEach(k => {
-                    const a = audit[k];
-                    if (a && a.source) sources[k] = a.source;
-                  });
-                  return sources;
-                } catch { return {}; }
-              })()
-            }
-          });
-
-          confidenceScores[split.id] = confidence;
-          console.log(`✅ Invoice ${i + 1} processed successfully (confidence: ${Math.round(confidence * 100)}%)`);
-          try {
-            const itemCurrencySummary = extractedInvoices[extractedInvoices.length - 1].metadata.itemCurrencySummary || {};
-            const summaryPairs = Object.entries(itemCurrencySummary).map(([c, n]) => `${c}:${n}`).join(', ');
-            if (summaryPairs) console.log(`💱 Detected item currencies: ${summaryPairs}`);
-          } catch {}
-        } else {
-          console.warn(`Invoice Mapping Agent failed for split ${split.id}: ${extractionResult.error}`);
-          
-          // Create empty invoice with error info
-          extractedInvoices.push({
-            splitId: split.id,
-            invoiceNumber: split.invoiceNumber,
-            pageRange: split.pageRange,
-            extractedData: {}, // Empty schema - extraction service archived
-            items: [],
-            confidence: 0,
-            validation: { isValid: false, errors: [extractionResult.error], warnings: [] },
-            metadata: { error: extractionResult.error, extractionMethod: 'mapping-agent-failed' }
-          });
-
-          confidenceScores[split.id] = 0;
-        }
+      if (!documentBatch.extractedData) {
+        return res.status(409).json({
+          success: false,
+          error: 'Batch has no extraction results to retry; start extraction first'
+        });
       }
 
-      // Update document batch with extracted data
-      console.log(`🎯 BATCH EXTRACTION SUMMARY`);
-      console.log(`============================`);
-      console.log(`📊 Batch ID: ${documentBatch.id}`);
-      console.log(`📄 Total invoices processed: ${extractedInvoices.length}`);
-      console.log(`✅ Successful extractions: ${extractedInvoices.filter(inv => inv.confidence > 0).length}`);
-      console.log(`❌ Failed extractions: ${extractedInvoices.filter(inv => inv.confidence === 0).length}`);
-      
-      // Calculate batch-level metrics
-      const validInvoices = extractedInvoices.filter(inv => inv.confidence > 0);
-      if (validInvoices.length > 0) {
-        const avgConfidence = validInvoices.reduce((sum, inv) => sum + inv.confidence, 0) / validInvoices.length;
-        const totalItems = validInvoices.reduce((sum, inv) => sum + (inv.items?.length || 0), 0);
-        const totalFieldsExtracted = validInvoices.reduce((sum, inv) => {
-          const data = inv.extractedData || {};
-          return sum + Object.keys(data).filter(key => {
-            const value = data[key];
-            return value !== "" && value !== 0 && value !== null && !(Array.isArray(value) && value.length === 0);
-          }).length;
-        }, 0);
-        
-        console.log(`📈 Average confidence: ${Math.round(avgConfidence * 100)}%`);
-        console.log(`📋 Total line items: ${totalItems}`);
-        console.log(`📊 Total fields populated: ${totalFieldsExtracted}`);
-        console.log(`🏆 Best confidence: ${Math.round(Math.max(...validInvoices.map(inv => inv.confidence)) * 100)}%`);
-        console.log(`⚠️  Lowest confidence: ${Math.round(Math.min(...validInvoices.map(inv => inv.confidence)) * 100)}%`);
+      if (!canTransition(documentBatch.status, 'EXTRACTING_DATA') || documentBatch.status === 'EXTRACTING_DATA') {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot retry invoices of batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
+        });
       }
-      console.log(`============================`);
-      
-      await documentBatch.update({
-        status: 'DATA_VALIDATION_PENDING',
-        extracted_data: extractedInvoices,
-        confidence_scores: confidenceScores
+
+      const failedInvoices = getFailedInvoices(documentBatch.extractedData);
+      const invoices = selectInvoices(failedInvoices);
+      if (!invoices) {
+        const known = documentBatch.extractedData.some(invoice => String(invoice.splitId) === String(req.params.splitId));
+        return res.status(known ? 409 : 404).json({
+          success: false,
+          error: known ? 'Invoice was extracted successfully; only failed invoices can be retried' : 'Invoice not found in this batch'
+        });
+      }
+      if (invoices.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Batch has no failed invoices'
+        });
+      }
+
+      const splitIds = invoices.map(invoice => invoice.splitId);
+      await documentBatch.update({ status: 'EXTRACTING_DATA', error_message: null, progress: null });
+      const job = await jobQueue.enqueue('EXTRACT_BATCH', { batchId: documentBatch.id, payload: { splitIds } });
+
+      res.json({
+        success: true,
+        message: `Retrying ${splitIds.length} failed invoice(s)`,
+        data: {
+          batchId: documentBatch.id,
+          status: 'EXTRACTING_DATA',
+          splitIds,
+          jobId: job.id
+        }
       });
 
-      console.log(`✅ Data extraction completed for batch: ${documentBatch.id} (${extractedInvoices.length} invoices)`);
+    } catch (error) {
+      console.error('Retry invoices error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to retry invoices'
+      });
+    }
+  }
+
+  /**
+   * Cancel a batch
+   * The batch is marked CANCELLED first, so work still in flight can no longer write to it;
+   * its running jobs are then aborted (Azure DI pollers, OpenAI calls) and queued ones dropped.
+   * Answers 202 without waiting for the aborted jobs: they remove the split PDFs written so far
+   * when they exit (runBatchJob), and a batch with nothing running is cleaned up right away.
+   * The uploaded PDF is kept until the batch is deleted.
+   */
+  async cancelBatch(req, res) {
+    try {
+      const { batchId } = req.params;
+
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      if (!canTransition(documentBatch.status, 'CANCELLED') || documentBatch.status === 'CANCELLED') {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot cancel batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
+        });
+      }
+
+      const previousStatus = documentBatch.status;
+      await documentBatch.update({ status: 'CANCELLED' });
+
+      const jobs = await jobQueue.cancelBatchJobs(batchId, { types: BATCH_WORK_JOB_TYPES });
+      if (jobs.aborted === 0) {
+        await pdfSplitterService.cleanupBatchFiles(batchId);
+      }
+
+      console.log(`🛑 Batch ${batchId} cancelled by ${this.getRequestAuthor(req)} (was ${previousStatus}; ${jobs.aborted} job(s) aborted, ${jobs.dequeued} dropped)`);
+
+      res.status(202).json({
+        success: true,
+        message: jobs.aborted > 0 ? 'Batch cancelled; running work is being aborted' : 'Batch cancelled',
+        data: {
+          batchId,
+          status: 'CANCELLED',
+          previousStatus,
+          abortedJobs: jobs.aborted,
+          dequeuedJobs: jobs.dequeued,
+          // Aborted jobs remove the split files when they exit
+          splitFilesRemoved: jobs.aborted === 0
+        }
+      });
 
     } catch (error) {
-      console.error(`Data extraction error for batch ${documentBatch.id}:`, error);
-      await documentBatch.update({
-        status: 'ERROR',
-        error_message: error.message
+      console.error('Cancel batch error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to cancel batch'
       });
-      throw error;
     }
   }
 
   /**
-   * Get extracted invoice data for validation
+   * Complete a batch
+   * Closes a split-only batch (SPLIT_VALIDATED) or one whose extracted data was reviewed
+   * (DATA_VALIDATION_PENDING). Goes through DocumentBatch#update, so the `batch.completed`
+   * webhook and SSE status event fire as they do for the pipeline.
    */
-  async getExtractedData(req, res) {
+  async completeBatch(req, res) {
     try {
       const { batchId } = req.params;
-      
+
       const documentBatch = await DocumentBatch.findById(batchId);
       if (!documentBatch) {
         return res.status(404).json({
@@ -732,269 +1196,220 @@ class ProcessingController {
         });
       }
 
-      if (!documentBatch.extractedData) {
-        return res.status(400).json({
+      if (!canTransition(documentBatch.status, 'COMPLETED') || documentBatch.status === 'COMPLETED') {
+        return res.status(409).json({
           success: false,
-          error: 'No extracted data available'
+          error: `Cannot complete batch in status: ${documentBatch.status}`,
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
+        });
+      }
+
+      // A pipeline run still working on the batch completes it (or not) itself
+      if (await Job.findActive(BATCH_WORK_JOB_TYPES, batchId)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Batch is still being processed',
+          details: { status: documentBatch.status, allowed: getNextStatuses(documentBatch.status) }
         });
       }
 
+      const previousStatus = documentBatch.status;
+      await documentBatch.update({ status: 'COMPLETED' });
+
+      console.log(`✅ Batch ${batchId} completed by ${this.getRequestAuthor(req)} (was ${previousStatus})`);
+
       res.json({
         success: true,
+        message: 'Batch completed',
         data: {
-          batchId: documentBatch.id,
-          status: documentBatch.status,
-          extractedInvoices: documentBatch.extractedData,
-          confidenceScores: documentBatch.confidenceScores,
-          totalInvoices: documentBatch.extractedData.length
+          batchId,
+          status: 'COMPLETED',
+          previousStatus
         }
       });
 
     } catch (error) {
-      console.error('Get extracted data error:', error);
-      res.status(500).json({
+      if (!error.status) console.error('Complete batch error:', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: error.message || 'Failed to get extracted data'
+        error: error.message || 'Failed to complete batch'
       });
     }
   }
 
   /**
-   * Map common field variations to canonical field names
+   * Extract data from all invoices in a batch (internal method)
+   * Each validated split PDF goes through the Layout API and extractFromLayout (or
+   * extractFromLayoutChunked when the batch's `extractionMode` is 'chunked'), with the batch's
+   * `extractionProfile` (EXTRACTION_PROFILE when none was chosen); excluded
+   * splits (attachments, packing lists...) are skipped. Invoices that fail are recorded
+   * with their error, and the batch only fails when no invoice could be extracted.
+   * Progress (current invoice, stage, counts, ETA) is saved on the batch as it goes.
+   * With `splitIds` (invoice retries) only those splits are extracted and their results
+   * are merged into the existing `extracted_data`.
+   * @param {DocumentBatch} documentBatch - Batch in EXTRACTING_DATA
+   * @param {Object} [scope] - { splitIds, signal } (signal is aborted when the batch is cancelled)
    */
-  mapFieldVariations(extractedData) {
-    console.log(`🔄 FIELD VARIATIONS MAPPING START`);
-    console.log(`==============================`);
-    console.log(`📥 Input data keys: ${Object.keys(extractedData).join(', ')}`);
-    
-    const mappedData = { ...extractedData };
-    let mappingCount = 0;
-    
-    // Map invoice number variations
-    if (!mappedData.invoice_id && mappedData.invoice_number) {
-      console.log(`  📋 Mapping invoice_number → invoice_id: "${mappedData.invoice_number}"`);
-      mappedData.invoice_id = mappedData.invoice_number;
-      mappingCount++;
+  async extractBatchInvoiceData(documentBatch, { splitIds = null, signal = null } = {}) {
+    // Defensive: do not run extraction if SPLIT_ONLY is enabled
+    if (process.env.SPLIT_ONLY === 'true') {
+      throw new Error('SPLIT_ONLY mode enabled — batch extraction aborted');
     }
-    
-    // Map invoice date variations
-    if (!mappedData.issue_date && mappedData.invoice_date) {
-      console.log(`  📅 Mapping invoice_date → issue_date: "${mappedData.invoice_date}"`);
-      mappedData.issue_date = mappedData.invoice_date;
-      mappingCount++;
-    }
-    
-    // Map total amount variations
-    if (!mappedData.total_ttc && mappedData.total_amount) {
-      console.log(`  💰 Mapping total_amount → total_ttc: "${mappedData.total_amount}"`);
-      mappedData.total_ttc = mappedData.total_amount;
-      mappingCount++;
-    }
-    
-    // Map vendor/exporter fields
-    if (!mappedData.exporter_name && mappedData.vendor_name) {
-      console.log(`  🏢 Mapping vendor_name → exporter_name: "${mappedData.vendor_name}"`);
-      mappedData.exporter_name = mappedData.vendor_name;
-      mappingCount++;
-    }
-    
-    if (!mappedData.exporter_street && mappedData.vendor_address) {
-      console.log(`  🏠 Mapping vendor_address → exporter_street: "${mappedData.vendor_address}"`);
-      mappedData.exporter_street = mappedData.vendor_address;
-      mappingCount++;
-    }
-    
-    // Map customer/importer fields
-    if (!mappedData.importer_name && mappedData.customer_name) {
-      console.log(`  👥 Mapping customer_name → importer_name: "${mappedData.customer_name}"`);
-      mappedData.importer_name = mappedData.customer_name;
-      mappingCount++;
+
+    console.log(`Starting data extraction for batch: ${documentBatch.id}`);
+
+    const invoiceSplits = (documentBatch.validatedSplits || []).filter(split => !split.excluded);
+    if (invoiceSplits.length === 0) {
+      throw new Error('No validated invoice splits found');
     }
-    
-    if (!mappedData.importer_street && mappedData.customer_address) {
-      console.log(`  🏠 Mapping customer_address → importer_street: "${mappedData.customer_address}"`);
-      mappedData.importer_street = mappedData.customer_address;
-      mappingCount++;
+
+    const retryIds = splitIds ? splitIds.map(String) : null;
+    const targetSplits = retryIds ? invoiceSplits.filter(split => retryIds.includes(String(split.id))) : invoiceSplits;
+    if (targetSplits.length === 0) {
+      throw new Error(`None of the splits to retry (${retryIds.join(', ')}) is a validated invoice split`);
     }
-    
-    // Map line items structure
-    if (!mappedData.items && mappedData.line_items) {
-      console.log(`  📋 Mapping line_items → items (${mappedData.line_items.length} items)`);
-      mappedData.items = mappedData.line_items.map((item, index) => {
-        console.log(`    📦 Item ${index + 1}: "${item.description || 'N/A'}" (qty: ${item.quantity || 0}, price: ${item.unit_price || 0})`);
-        return {
-          product_name: item.description || '',
-          Reference: '', // Not available in source data
-          po_number: item.po_number || '', // Use item-level PO number from extraction
-          client_order: item.client_order || '',
-          item_code: item.product_code || '',
-          description: item.description || '',
-          size: '',
-          hs_code: '',
-          made_in: '',
-          unit_weight: '',
-          net_weight: 0,
-          net_gold_weight: 0,
-          net_platine_weight: 0,
-          discount: 0,
-          quantity: parseInt(item.quantity) || 0,
-          unit_price: this.parseNumericValue(item.unit_price) || 0,
-          total_price_ht: this.parseNumericValue(item.line_total) || 0
-        };
+
+    const extractionMode = documentBatch.processingOptions?.extractionMode === 'chunked' ? 'chunked' : 'standard';
+    const profile = documentBatch.processingOptions?.extractionProfile || null;
+    const progress = createExtractionProgress(targetSplits.length);
+    const saveProgress = () => documentBatch.update({ progress: progress.snapshot() });
+    await saveProgress();
+
+    const results = [];
+    for (let i = 0; i < targetSplits.length; i++) {
+      const split = targetSplits[i];
+      console.log(`Extracting data from invoice ${i + 1}/${targetSplits.length}: ${split.invoiceNumber} (${split.filename || split.pageRange})`);
+
+      if (signal) signal.throwIfAborted();
+      progress.startInvoice(i, split);
+      await saveProgress();
+
+      const invoice = await this.extractSplitInvoice(split, async (stage) => {
+        progress.setStage(stage);
+        await saveProgress();
+      }, signal, extractionMode, profile);
+      results.push(invoice);
+      progress.finishInvoice(invoice.status === 'EXTRACTED');
+      batchEvents.publish(documentBatch.id, invoice.status === 'EXTRACTED' ? 'invoice_extracted' : 'invoice_failed', {
+        index: i + 1,
+        total: targetSplits.length,
+        retry: !!retryIds,
+        splitId: invoice.splitId,
+        invoiceNumber: invoice.invoiceNumber,
+        pageRange: invoice.pageRange,
+        error: invoice.error
       });
-      mappingCount++;
-    }
-    
-    console.log(`✅ Field variations mapping completed: ${mappingCount} mappings applied`);
-    console.log(`📤 Output data keys: ${Object.keys(mappedData).join(', ')}`);
-    console.log(`==============================`);
-    console.log(`🔄 FIELD VARIATIONS MAPPING END`);
-    
-    return mappedData;
-  }
-  
-  /**
-   * Normalize line item numbers and correct implausible unit prices using total/quantity
-   * - Parses numbers robustly using parseNumericValue
-   * - If unit_price * quantity is wildly off vs total_price_ht, replace unit_price with total/quantity
-   */
-  normalizeItemsNumbers(items) {
-    return (items || []).map((it) => {
-      const item = { ...it };
-      const q = this.parseNumericValue(item.quantity);
-      const total = this.parseNumericValue(item.total_price_ht || item.line_total || item.Amount);
-      let up = this.parseNumericValue(item.unit_price || item.UnitPrice);
-
-      // Assign parsed values back (keeping other fields untouched)
-      item.quantity = q;
-      item.total_price_ht = total;
-      item.unit_price = up;
-
-      if (q > 0 && total > 0 && up > 0) {
-        const ratio = (up * q) / total;
-        // Correct only when egregiously off (likely OCR/format issue): >50x or <1/50x
-        if (!isFinite(ratio) || ratio > 50 || ratio < 0.02) {
-          item.unit_price = +(total / q).toFixed(2);
-        }
+
+      if (invoice.status === 'EXTRACTED') {
+        console.log(`✅ Invoice ${i + 1} extracted (${invoice.extract.lineItems.length} line items)`);
+      } else {
+        console.warn(`❌ Invoice ${i + 1} extraction failed: ${invoice.error}`);
       }
+    }
 
-      // Sanitize other numeric fields if present
-      if (item.net_weight != null) item.net_weight = this.parseNumericValue(item.net_weight);
-      if (item.net_gold_weight != null) item.net_gold_weight = this.parseNumericValue(item.net_gold_weight);
-      if (item.net_platine_weight != null) item.net_platine_weight = this.parseNumericValue(item.net_platine_weight);
-      if (item.discount != null) item.discount = this.parseNumericValue(item.discount);
-      return item;
-    });
-  }
+    // Retries leave the invoices that were not retried untouched
+    const extractedInvoices = retryIds ? mergeInvoiceResults(documentBatch.extractedData, results) : results;
 
-  /**
-   * Parse numeric value from string (handles European format with commas)
-   */
-  parseNumericValue(value) {
-    if (value == null || value === '') return 0;
-    if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
-
-    // Keep digits, separators, minus; drop everything else (incl. currency symbols/codes)
-    let s = String(value).trim();
-    // Normalize common currency words/symbols quickly
-    s = s.replace(/(CHF|EUR|USD|GBP|JPY|CNY|€|\$|£)\s*/gi, '');
-    // Keep only digits, comma, dot, minus, and apostrophe/space as thousand markers
-    s = s.replace(/[^0-9,.'\-\s]/g, '');
-
-    // Remove spaces and apostrophes used as thousand separators
-    s = s.replace(/[\s']/g, '');
-
-    // Determine decimal separator as the last occurrence of ',' or '.'
-    const lastComma = s.lastIndexOf(',');
-    const lastDot = s.lastIndexOf('.');
-    const lastSep = Math.max(lastComma, lastDot);
-    if (lastSep !== -1) {
-      const intPart = s.slice(0, lastSep).replace(/[.,]/g, '');
-      const decPart = s.slice(lastSep + 1);
-      s = `${intPart}.${decPart}`;
-    } else {
-      // No decimal separator present; ensure only digits and optional leading minus remain
-      s = s.replace(/[^0-9\-]/g, '');
+    const failed = getFailedInvoices(extractedInvoices);
+    if (failed.length === extractedInvoices.length) {
+      // Keep the per-invoice errors so the failed invoices can be retried individually
+      await documentBatch.update({ extracted_data: extractedInvoices });
+      throw new Error(`Extraction failed for all ${failed.length} invoice(s): ${failed[0].error}`);
     }
 
-    const n = parseFloat(s);
-    return Number.isFinite(n) ? n : 0;
+    progress.complete();
+    await documentBatch.update({
+      status: 'DATA_VALIDATION_PENDING',
+      extracted_data: extractedInvoices,
+      progress: progress.snapshot()
+    });
+
+    console.log(`✅ Data extraction ${retryIds ? `retry (${results.length} invoice(s)) ` : ''}completed for batch: ${documentBatch.id} (${extractedInvoices.length - failed.length} extracted, ${failed.length} failed)`);
   }
 
   /**
-   * Validate enhanced extraction data
+   * Extract one split PDF with the Layout API and extractFromLayout
+   * @param {Object} split - Validated split (with the `filePath` written by the splitter)
+   * @param {Function} [onStage] - Called with 'layout', 'llm' and 'validation'
+   * @param {AbortSignal} [signal] - Aborted when the batch is cancelled; cancellation is rethrown, not recorded as a failed invoice
+   * @param {string} [extractionMode] - 'standard' (extractFromLayout) or 'chunked' (extractFromLayoutChunked)
+   * @param {string} [profile] - Extraction profile (customs, ap, shipping); EXTRACTION_PROFILE when null
+   * @returns {Promise<Object>} - { splitId, invoiceNumber, pageRange, filename, status, extract, diagnostics, error }
    */
-  validateEnhancedExtractionData(extractedData, metadata) {
-    const errors = [];
-    const warnings = [];
-    
-    // Map common field variations to canonical field names
-    const mappedData = this.mapFieldVariations(extractedData);
-    
-    // Check required fields
-    const requiredFields = ['invoice_id', 'issue_date', 'total_ttc'];
-    for (const field of requiredFields) {
-      if (!mappedData[field]) {
-        errors.push(`Missing required field: ${field}`);
+  async extractSplitInvoice(split, onStage = () => {}, signal = null, extractionMode = 'standard', profile = null) {
+    const invoice = {
+      splitId: split.id,
+      invoiceNumber: split.invoiceNumber,
+      pageRange: split.pageRange,
+      filename: split.filename || null
+    };
+
+    try {
+      if (!split.filePath) {
+        throw new Error('Split PDF not found; validate the splits again');
       }
-    }
-    
-    // Check extraction success rate
-    const summary = metadata?.extractionSummary;
-    if (summary) {
-      const successRate = parseFloat(summary.successRate);
-      if (successRate < 30) {
-        warnings.push(`Low extraction success rate: ${summary.successRate}%`);
+
+      await onStage('layout');
+      const layoutResult = await azureDocumentService.getLayoutFromPDF(split.filePath, { signal });
+      if (signal) signal.throwIfAborted();
+      if (!layoutResult.success) {
+        throw new Error(`Layout extraction failed: ${layoutResult.error}`);
       }
-      
-      // Check if too many fields need query fields
-      const queryFieldsCount = summary.tierBreakdown?.Query || 0;
-      if (queryFieldsCount > 10) {
-        warnings.push(`Many fields require query field implementation: ${queryFieldsCount}`);
+
+      let result;
+      if (extractionMode === 'chunked') {
+        result = await extractFromLayoutChunked(layoutResult.layout, { onStage, signal, profile });
+      } else {
+        result = await extractFromLayout(layoutResult.layout, { onStage, signal, profile });
       }
+      const { extract, diagnostics } = result;
+      return { ...invoice, status: 'EXTRACTED', extract, diagnostics, error: null, extractedAt: new Date().toISOString() };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      return { ...invoice, status: 'FAILED', extract: null, diagnostics: null, error: error.message, extractedAt: new Date().toISOString() };
     }
-    
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings,
-      extractionMethod: 'enhanced'
-    };
   }
 
   /**
-   * Calculate confidence from enhanced extraction metadata
+   * Get extracted invoice data for validation
    */
-  calculateEnhancedConfidence(metadata) {
-    const summary = metadata?.extractionSummary;
-    if (!summary) return 0.5; // Default moderate confidence
-    
-    const successRate = parseFloat(summary.successRate) / 100;
-    const tierBreakdown = summary.tierBreakdown || {};
-    
-    // Weight different tiers differently
-    const tierWeights = {
-      Standard: 1.0,    // Highest confidence
-      Intelligent: 0.8, // Good confidence
-      Query: 0.6,       // Moderate confidence
-      Missing: 0.0      // No confidence
-    };
-    
-    let weightedSum = 0;
-    let totalFields = 0;
-    
-    for (const [tier, count] of Object.entries(tierBreakdown)) {
-      const weight = tierWeights[tier] || 0;
-      weightedSum += count * weight;
-      totalFields += count;
+  async getExtractedData(req, res) {
+    try {
+      const { batchId } = req.params;
+      
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      if (!documentBatch.extractedData) {
+        return res.status(400).json({
+          success: false,
+          error: 'No extracted data available'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          batchId: documentBatch.id,
+          status: documentBatch.status,
+          extractedInvoices: documentBatch.extractedData,
+          confidenceScores: documentBatch.confidenceScores,
+          totalInvoices: documentBatch.extractedData.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Get extracted data error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get extracted data'
+      });
     }
-    
-    if (totalFields === 0) return 0.5;
-    
-    const tierConfidence = weightedSum / totalFields;
-    
-    // Combine success rate with tier confidence
-    return Math.min(0.95, (successRate * 0.7) + (tierConfidence * 0.3));
   }
 
   /**
@@ -11,11 +11,16 @@
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
  * 📤 FILE UPLOAD:
- * • uploadPDF(req, res)                    - Handle PDF file upload and batch creation
+ * • uploadPDF(req, res)                    - Handle PDF (or JPEG/PNG/TIFF image) upload and batch creation
+ * • uploadGroup(req, res)                  - Several PDFs, images / ZIP archives: one batch per document, or one merged batch
+ * • getUploadGroup(req, res)               - Upload group with the status of its batches
+ * • listUploadGroups(req, res)             - List upload groups
  * • uploadMiddleware()                     - Multer middleware for file processing
  * 
  * 📂 BATCH MANAGEMENT:
  * • createDocumentBatch(fileInfo)          - Create new document batch record
+ * • createBatchFromFile(file, options)     - Check an uploaded PDF and create its batch (upload, pipeline)
+ * • toPdf(file)                            - Convert an uploaded image to PDF, keeping the original
  * • validateUploadedFile(file)             - Validate PDF file integrity and format
  * • generateBatchMetadata(file)            - Generate batch metadata and identifiers
  * 
@@ -37,14 +42,16 @@
  * 📂 **Storage Structure:**
  * ```
  * storage/
- * ├── uploads/           - Original uploaded PDFs
+ * ├── uploads/           - Original uploaded PDFs (and images with their converted PDF)
  * ├── processing/        - Files being processed
  * └── split/            - Individual invoice PDFs after splitting
  *     └── {batchId}/    - Batch-specific split files
  * ```
  * 
  * 🔒 **Security Features:**
- * • File type validation (PDF only)
+ * • File type validation (PDF and JPEG/PNG/TIFF images; upload groups also take ZIP archives of them)
+ * • Images detected by file signature and converted to PDF with pdf-lib (original kept)
+ * • ZIP entries written under generated names (no zip-slip), entry count and size limits
  * • File size limits (configurable, default 50MB)
  * • Unique filename generation to prevent conflicts
  * • Directory traversal protection
@@ -116,7 +123,33 @@ const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const DocumentBatch = require('../models/document-batch.model');
+const SplitRevision = require('../models/split-revision.model');
+const Job = require('../models/job.model');
 const pdfSplitter = require('../services/pdf-splitter.service');
+const batchEvents = require('../services/batch-events.service');
+const webhookService = require('../services/webhook.service');
+const WebhookSubscription = require('../models/webhook-subscription.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const UploadGroup = require('../models/upload-group.model');
+const { validateWebhookSubscription } = require('../validation/webhook.validation');
+const { extractDocumentsFromZip } = require('../services/upload/extractDocumentsFromZip');
+const { IMAGE_MIME_TYPES, readImageType, convertImageToPdf } = require('../services/upload/convertImageToPdf');
+const { getProfile } = require('../services/extractor/profiles');
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'];
+
+// Browsers and HTTP clients label ZIP archives and scans inconsistently; the extension settles octet-stream uploads
+function isZipFile(file) {
+  return ZIP_MIME_TYPES.includes(file.mimetype) ||
+    (file.mimetype === 'application/octet-stream' && /\.zip$/i.test(file.originalname));
+}
+
+const SOURCE_CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', tiff: 'image/tiff' };
+
+function isImageFile(file) {
+  return IMAGE_MIME_TYPES.includes(file.mimetype) ||
+    (file.mimetype === 'application/octet-stream' && /\.(jpe?g|png|tiff?)$/i.test(file.originalname));
+}
 
 class UploadController {
   constructor() {
@@ -137,22 +170,51 @@ class UploadController {
       }
     });
 
-    this.upload = multer({
+    this.upload = this.createUploader({ maxFiles: 1 });
+    this.uploadMany = this.createUploader({
+      maxFiles: parseInt(process.env.MAX_UPLOAD_FILES) || 20,
+      allowArchives: true
+    });
+  }
+
+  /**
+   * Multer instance for PDF and image (JPEG, PNG, TIFF) uploads; `allowArchives` also accepts ZIP files
+   * @param {Object} options - { maxFiles, allowArchives }
+   */
+  createUploader({ maxFiles, allowArchives = false }) {
+    return multer({
       storage: this.storage,
       limits: {
         fileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024, // 50MB default
-        files: 1
+        files: maxFiles
       },
       fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
+        if (file.mimetype === 'application/pdf' || isImageFile(file) || (allowArchives && isZipFile(file))) {
           cb(null, true);
         } else {
-          cb(new Error('Only PDF files are allowed'), false);
+          const error = new Error(allowArchives ? 'Only PDF, image (JPEG, PNG, TIFF) and ZIP files are allowed' : 'Only PDF and image (JPEG, PNG, TIFF) files are allowed');
+          error.code = 'UNSUPPORTED_FILE_TYPE';
+          cb(error, false);
         }
       }
     });
   }
 
+  /**
+   * Per-upload processing options (multipart text fields)
+   * `profile` picks the extraction profile of the batch (an unknown one is a 400)
+   */
+  getProcessingOptions(req) {
+    const processingOptions = {};
+    if (req.body && req.body.autoApprove !== undefined) {
+      processingOptions.autoApprove = ['true', '1', 'yes'].includes(String(req.body.autoApprove).toLowerCase());
+    }
+    if (req.body && req.body.profile) {
+      processingOptions.extractionProfile = getProfile(req.body.profile).name;
+    }
+    return processingOptions;
+  }
+
   /**
    * Upload PDF file and create document batch
    */
@@ -167,39 +229,39 @@ class UploadController {
 
       console.log(`File uploaded: ${req.file.originalname} (${req.file.size} bytes)`);
 
-      // Get PDF information
-      const pdfInfo = await pdfSplitter.getPDFInfo(req.file.path);
-      
-      if (!pdfInfo.success) {
-        // Clean up uploaded file
-        await fs.unlink(req.file.path).catch(console.error);
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid PDF file'
-        });
-      }
+      const processingOptions = this.getProcessingOptions(req);
 
-      // Validate page count
-      const maxPages = parseInt(process.env.MAX_PAGES_PER_BATCH) || 200;
-      if (pdfInfo.pageCount > maxPages) {
-        await fs.unlink(req.file.path).catch(console.error);
-        return res.status(400).json({
-          success: false,
-          error: `PDF has too many pages (${pdfInfo.pageCount}). Maximum allowed: ${maxPages}`
+      // API client the batch belongs to (its webhooks apply to the batch)
+      const clientId = req.get('X-Client-Id') || (req.body && req.body.clientId) || null;
+      const batchId = uuidv4();
+
+      // Optional per-upload webhook (multipart fields webhookUrl, webhookEvents, webhookSecret)
+      let webhookRequest = null;
+      if (req.body && req.body.webhookUrl) {
+        webhookRequest = validateWebhookSubscription({
+          url: req.body.webhookUrl,
+          events: req.body.webhookEvents,
+          secret: req.body.webhookSecret,
+          batchId
         });
+        if (!webhookRequest.valid) {
+          await fs.unlink(req.file.path).catch(console.error);
+          return res.status(422).json({
+            success: false,
+            error: 'Invalid webhook',
+            details: { errors: webhookRequest.errors }
+          });
+        }
       }
 
-      // Create document batch record
-      const batchId = uuidv4();
-      const documentBatch = await DocumentBatch.create({
-        id: batchId,
-        originalFilename: req.file.originalname,
-        filePath: req.file.path,
-        status: 'UPLOADED',
-        totalPages: pdfInfo.pageCount
-      });
+      // Check the PDF and create the document batch record
+      const { documentBatch, pdfInfo } = await this.createBatchFromFile(req.file, { id: batchId, processingOptions, clientId });
 
-      console.log(`Document batch created: ${batchId} (${pdfInfo.pageCount} pages)`);
+      let webhook = null;
+      if (webhookRequest) {
+        const { subscription, secret } = await webhookService.createSubscription(webhookRequest.value);
+        webhook = { ...subscription.toJSON(), secret };
+      }
 
       res.json({
         success: true,
@@ -210,25 +272,317 @@ class UploadController {
           totalPages: documentBatch.totalPages,
           fileSize: pdfInfo.fileSize,
           status: documentBatch.status,
+          processingOptions: documentBatch.processingOptions,
+          clientId: documentBatch.clientId,
+          ...(webhook && { webhook }),
           uploadedAt: documentBatch.createdAt
         }
       });
 
     } catch (error) {
-      console.error('Upload error:', error);
+      if (!error.status) console.error('Upload error:', error);
       
       // Clean up uploaded file if it exists
       if (req.file && req.file.path) {
         await fs.unlink(req.file.path).catch(console.error);
       }
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Upload failed'
+      });
+    }
+  }
+
+  /**
+   * PDF to run through the pipeline for an uploaded file
+   * Images (JPEG, PNG, single or multi-page TIFF) are assembled into a PDF next to the
+   * original, in page order; PDFs are used as they are. The PDF gets its own `-converted`
+   * name, since an image uploaded under a .pdf name would otherwise be overwritten.
+   * @param {Object} file - Multer file (or { originalname, path })
+   * @returns {Promise<Object>} - { pdfPath, sourceFile } (sourceFile: { path, type } of a converted image, else null)
+   */
+  async toPdf(file) {
+    const imageType = await readImageType(file.path);
+    if (!imageType) {
+      return { pdfPath: file.path, sourceFile: null };
+    }
+
+    const pdfPath = path.join(path.dirname(file.path), `${path.parse(file.path).name}-converted.pdf`);
+    const conversion = await convertImageToPdf(file.path, pdfPath);
+    console.log(`Converted ${imageType.toUpperCase()} ${file.originalname} to PDF (${conversion.pageCount} page(s))`);
+
+    return { pdfPath, sourceFile: { path: file.path, type: imageType } };
+  }
+
+  /**
+   * Check an uploaded PDF or image and create its document batch (shared by /upload, /upload-groups and /pipeline)
+   * Rejected files throw with `status = 400`; the caller removes the uploaded file.
+   * @param {Object} file - Multer file
+   * @param {Object} [options] - { id, processingOptions, clientId, uploadGroupId }
+   * @returns {Promise<Object>} - { documentBatch, pdfInfo }
+   */
+  async createBatchFromFile(file, { id = uuidv4(), processingOptions = {}, clientId = null, uploadGroupId = null } = {}) {
+    // Images become a PDF first; the original image is kept as the batch's source file
+    const { pdfPath, sourceFile } = await this.toPdf(file);
+    const reject = async (message) => {
+      if (sourceFile) await fs.unlink(pdfPath).catch(console.error);
+      return Object.assign(new Error(message), { status: 400 });
+    };
+
+    // Get PDF information
+    const pdfInfo = await pdfSplitter.getPDFInfo(pdfPath);
+    if (!pdfInfo.success) {
+      throw await reject('Invalid PDF file');
+    }
+
+    // Validate page count
+    const maxPages = parseInt(process.env.MAX_PAGES_PER_BATCH) || 200;
+    if (pdfInfo.pageCount > maxPages) {
+      throw await reject(`${sourceFile ? 'Image' : 'PDF'} has too many pages (${pdfInfo.pageCount}). Maximum allowed: ${maxPages}`);
+    }
+
+    const documentBatch = await DocumentBatch.create({
+      id,
+      originalFilename: file.originalname,
+      filePath: pdfPath,
+      sourceFilePath: sourceFile ? sourceFile.path : null,
+      sourceFileType: sourceFile ? sourceFile.type : null,
+      status: 'UPLOADED',
+      totalPages: pdfInfo.pageCount,
+      processingOptions,
+      clientId,
+      uploadGroupId
+    });
+
+    console.log(`Document batch created: ${id} (${pdfInfo.pageCount} pages)`);
+    return { documentBatch, pdfInfo };
+  }
+
+  /**
+   * Upload several PDFs and/or ZIP archives of PDFs as one upload group
+   * mode=separate (default) creates one batch per PDF; mode=merge concatenates them
+   * (in upload and archive order) into a single batch. Files that cannot be used are
+   * listed in `skipped` instead of failing the whole upload.
+   */
+  async uploadGroup(req, res) {
+    const received = req.files || [];
+    // Files on disk that no batch owns yet; removed if the upload fails
+    const pending = new Set(received.map(file => file.path));
+
+    try {
+      if (received.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded'
+        });
+      }
+
+      const requestedMode = String((req.body && req.body.mode) || 'separate').toLowerCase();
+      const mode = { separate: 'SEPARATE', merge: 'MERGED', merged: 'MERGED' }[requestedMode];
+      if (!mode) {
+        await Promise.all([...pending].map(filePath => fs.unlink(filePath).catch(console.error)));
+        return res.status(400).json({
+          success: false,
+          error: `Unknown upload mode: ${req.body.mode}`,
+          details: { allowed: ['separate', 'merge'] }
+        });
+      }
+
+      const processingOptions = this.getProcessingOptions(req);
+      const clientId = req.get('X-Client-Id') || (req.body && req.body.clientId) || null;
+      const uploadGroupId = uuidv4();
+      const skipped = [];
+
+      // Unpack archives; their PDFs and images are handled like uploaded ones
+      const documents = [];
+      for (const file of received) {
+        if (!isZipFile(file)) {
+          documents.push(file);
+          continue;
+        }
+
+        const archive = await extractDocumentsFromZip(file.path, path.dirname(file.path));
+        archive.files.forEach(entry => pending.add(entry.path));
+        await fs.unlink(file.path).catch(console.error);
+        pending.delete(file.path);
+
+        archive.files.forEach(entry => documents.push({ ...entry, originalname: `${file.originalname}/${entry.originalname}` }));
+        archive.skipped.forEach(entry => skipped.push({ name: `${file.originalname}/${entry.name}`, reason: entry.reason }));
+      }
+
+      const skip = async (file, reason) => {
+        await fs.unlink(file.path).catch(console.error);
+        pending.delete(file.path);
+        skipped.push({ name: file.originalname, reason });
+      };
+
+      const files = [];
+      if (mode === 'SEPARATE') {
+        for (const file of documents) {
+          try {
+            const { documentBatch } = await this.createBatchFromFile(file, { processingOptions, clientId, uploadGroupId });
+            pending.delete(file.path);
+            files.push({ name: file.originalname, batchId: documentBatch.id, totalPages: documentBatch.totalPages });
+          } catch (error) {
+            if (!error.status) throw error;
+            await skip(file, error.message);
+          }
+        }
+      } else {
+        const mergeable = [];
+        for (const file of documents) {
+          let pdfPath;
+          try {
+            ({ pdfPath } = await this.toPdf(file));
+          } catch (error) {
+            if (!error.status) throw error;
+            await skip(file, error.message);
+            continue;
+          }
+          pending.add(pdfPath);
+
+          const pdfInfo = await pdfSplitter.getPDFInfo(pdfPath);
+          if (pdfInfo.success) {
+            mergeable.push({ file, pdfPath, pageCount: pdfInfo.pageCount });
+          } else {
+            if (pdfPath !== file.path) {
+              await fs.unlink(pdfPath).catch(console.error);
+              pending.delete(pdfPath);
+            }
+            await skip(file, 'Invalid PDF file');
+          }
+        }
+
+        if (mergeable.length > 0) {
+          const mergedPath = path.join(path.dirname(mergeable[0].file.path), `merged-${uploadGroupId}.pdf`);
+          pending.add(mergedPath);
+          const mergeResult = await pdfSplitter.mergePDFs(mergeable.map(({ pdfPath }) => pdfPath), mergedPath);
+          if (!mergeResult.success) {
+            throw new Error(`Merging the uploaded PDFs failed: ${mergeResult.error}`);
+          }
+
+          // A single archive names the merged batch, several files get a generic name
+          const mergedName = received.length === 1 ? `${path.parse(received[0].originalname).name}.pdf` : `merged-${mergeable.length}-files.pdf`;
+          const { documentBatch } = await this.createBatchFromFile({ originalname: mergedName, path: mergedPath }, { processingOptions, clientId, uploadGroupId });
+          pending.delete(mergedPath);
+
+          // The sources now live in the merged PDF; each keeps its page range in the group
+          let startPage = 1;
+          for (const { file, pdfPath, pageCount } of mergeable) {
+            files.push({ name: file.originalname, batchId: documentBatch.id, startPage, endPage: startPage + pageCount - 1 });
+            startPage += pageCount;
+            for (const filePath of new Set([file.path, pdfPath])) {
+              await fs.unlink(filePath).catch(console.error);
+              pending.delete(filePath);
+            }
+          }
+        }
+      }
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'None of the uploaded files is a usable PDF or image',
+          details: { skipped }
+        });
+      }
+
+      const uploadGroup = await UploadGroup.create({ id: uploadGroupId, mode, clientId, files, skipped });
+      const batchCount = new Set(files.map(file => file.batchId)).size;
+
+      console.log(`Upload group created: ${uploadGroupId} (${mode}, ${files.length} document(s), ${batchCount} batch(es), ${skipped.length} skipped)`);
+
+      res.status(201).json({
+        success: true,
+        message: `${batchCount} batch(es) created from ${files.length} document(s)`,
+        data: {
+          ...uploadGroup.toJSON(),
+          batchIds: [...new Set(files.map(file => file.batchId))]
+        }
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Upload group error:', error);
+
+      await Promise.all([...pending].map(filePath => fs.unlink(filePath).catch(() => {})));
+
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Upload failed'
       });
     }
   }
 
+  /**
+   * Upload group with the current status of its batches
+   */
+  async getUploadGroup(req, res) {
+    try {
+      const uploadGroup = await UploadGroup.findById(req.params.uploadGroupId);
+      if (!uploadGroup) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload group not found'
+        });
+      }
+
+      const batches = await DocumentBatch.findByUploadGroupId(uploadGroup.id);
+      const statusCounts = {};
+      batches.forEach(batch => {
+        statusCounts[batch.status] = (statusCounts[batch.status] || 0) + 1;
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...uploadGroup.toJSON(),
+          batches: batches.map(batch => ({
+            batchId: batch.id,
+            originalFilename: batch.originalFilename,
+            totalPages: batch.totalPages,
+            status: batch.status,
+            errorMessage: batch.errorMessage,
+            createdAt: batch.createdAt,
+            updatedAt: batch.updatedAt
+          })),
+          statusCounts
+        }
+      });
+
+    } catch (error) {
+      console.error('Get upload group error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get upload group'
+      });
+    }
+  }
+
+  /**
+   * List upload groups (of the calling client when X-Client-Id is sent)
+   */
+  async listUploadGroups(req, res) {
+    try {
+      const uploadGroups = await UploadGroup.findAll({ clientId: req.get('X-Client-Id') || req.query.clientId || null });
+
+      res.json({
+        success: true,
+        data: {
+          uploadGroups: uploadGroups.map(uploadGroup => uploadGroup.toJSON()),
+          totalCount: uploadGroups.length
+        }
+      });
+
+    } catch (error) {
+      console.error('List upload groups error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list upload groups'
+      });
+    }
+  }
+
   /**
    * Get upload status and batch information
    */
@@ -255,6 +609,15 @@ class UploadController {
           validatedSplits: documentBatch.validatedSplits,
           extractedData: documentBatch.extractedData,
           confidenceScores: documentBatch.confidenceScores,
+          processingOptions: documentBatch.processingOptions,
+          splitApproval: documentBatch.splitApproval,
+          clientId: documentBatch.clientId,
+          uploadGroupId: documentBatch.uploadGroupId,
+          // Set when an image was uploaded and converted to the batch PDF
+          sourceFile: documentBatch.sourceFilePath ? {
+            type: documentBatch.sourceFileType,
+            url: `/api/files/${documentBatch.id}/source`
+          } : null,
           errorMessage: documentBatch.errorMessage,
           createdAt: documentBatch.createdAt,
           updatedAt: documentBatch.updatedAt
@@ -282,6 +645,7 @@ class UploadController {
         originalFilename: batch.originalFilename,
         totalPages: batch.totalPages,
         status: batch.status,
+        uploadGroupId: batch.uploadGroupId,
         createdAt: batch.createdAt,
         updatedAt: batch.updatedAt
       }));
@@ -324,6 +688,9 @@ class UploadController {
         if (documentBatch.filePath) {
           await fs.unlink(documentBatch.filePath).catch(console.error);
         }
+        if (documentBatch.sourceFilePath) {
+          await fs.unlink(documentBatch.sourceFilePath).catch(console.error);
+        }
         
         // Clean up split files
         await pdfSplitter.cleanupBatchFiles(batchId);
@@ -331,8 +698,13 @@ class UploadController {
         console.warn('File cleanup warning:', cleanupError.message);
       }
 
-      // Delete database record
+      // Delete database records
+      await SplitRevision.deleteByBatchId(batchId);
+      await Job.deleteByBatchId(batchId);
+      await WebhookDelivery.deleteByBatchId(batchId);
+      await WebhookSubscription.deleteByBatchId(batchId);
       await documentBatch.delete();
+      batchEvents.forget(batchId);
 
       console.log(`Batch deleted: ${batchId}`);
 
@@ -398,11 +770,16 @@ class UploadController {
           success: false,
           error: 'Too many files'
         });
+      } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          error: `Unexpected file field: ${error.field}`
+        });
       }
-    } else if (error.message === 'Only PDF files are allowed') {
+    } else if (error.code === 'UNSUPPORTED_FILE_TYPE') {
       return res.status(400).json({
         success: false,
-        error: 'Only PDF files are allowed'
+        error: error.message
       });
     }
 
@@ -439,9 +816,10 @@ class UploadController {
         });
       }
 
-      // Set appropriate headers for PDF
+      // Set appropriate headers for PDF (a converted image keeps its name with a .pdf extension)
+      const filename = batch.sourceFilePath ? `${path.parse(batch.originalFilename).name}.pdf` : batch.originalFilename;
       res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="${batch.originalFilename}"`);
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
       
       // Stream the PDF file
       const fs_sync = require('fs');
@@ -456,6 +834,47 @@ class UploadController {
       });
     }
   }
+
+  /**
+   * Serve the image a batch PDF was converted from, as uploaded
+   */
+  async serveSourceFile(req, res) {
+    try {
+      const batch = await DocumentBatch.findById(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+      if (!batch.sourceFilePath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch was uploaded as a PDF; it has no source image'
+        });
+      }
+
+      try {
+        await fs.access(batch.sourceFilePath);
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source file not found'
+        });
+      }
+
+      res.setHeader('Content-Type', SOURCE_CONTENT_TYPES[batch.sourceFileType] || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `inline; filename="${batch.originalFilename}"`);
+      require('fs').createReadStream(batch.sourceFilePath).pipe(res);
+
+    } catch (error) {
+      console.error('Error serving source file:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to serve source file'
+      });
+    }
+  }
 }
 
 module.exports = new UploadController();
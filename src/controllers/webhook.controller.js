@@ -0,0 +1,277 @@
+/**
+ * ================================================================================
+ * WEBHOOK CONTROLLER - OUTBOUND NOTIFICATION MANAGEMENT
+ * ================================================================================
+ *
+ * Manages webhook subscriptions and their delivery log. A subscription belongs to
+ * an API client (identified by the X-Client-Id header, matching every batch it
+ * uploads) or to a single batch. Deliveries are sent by the webhook service.
+ * Callers only see and act on their own subscriptions and deliveries: those of another
+ * client answer 404, and listing requires a client id.
+ *
+ * 🎯 PRIMARY ENDPOINTS:
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * • createWebhook(req, res)        - Register a URL (the signing secret is returned once)
+ * • listWebhooks(req, res)         - List the calling client's subscriptions
+ * • deleteWebhook(req, res)        - Remove a subscription
+ * • testWebhook(req, res)          - Queue a `webhook.test` delivery
+ * • listDeliveries(req, res)       - Delivery log of the calling client; ?status=DEAD is the dead-letter log
+ * • redeliver(req, res)            - Send a delivery again
+ *
+ * ================================================================================
+ */
+
+const DocumentBatch = require('../models/document-batch.model');
+const WebhookSubscription = require('../models/webhook-subscription.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const webhookService = require('../services/webhook.service');
+const { validateWebhookSubscription } = require('../validation/webhook.validation');
+
+class WebhookController {
+  getClientId(req) {
+    return req.get('X-Client-Id') || (req.body && req.body.clientId) || null;
+  }
+
+  /**
+   * API client a subscription belongs to: its own, or the client of its batch
+   */
+  async getOwnerClientId(subscription) {
+    if (subscription.clientId) return subscription.clientId;
+    const documentBatch = subscription.batchId ? await DocumentBatch.findById(subscription.batchId) : null;
+    return documentBatch ? documentBatch.clientId : null;
+  }
+
+  /**
+   * A subscription of the calling client, or null (another client's is reported as not found)
+   */
+  async findOwnSubscription(req, webhookId) {
+    const subscription = await WebhookSubscription.findById(webhookId);
+    if (!subscription) return null;
+    return (await this.getOwnerClientId(subscription)) === this.getClientId(req) ? subscription : null;
+  }
+
+  /**
+   * 400 for listing requests without a client id
+   */
+  requireClientId(req, res) {
+    const clientId = this.getClientId(req) || req.query.clientId || null;
+    if (!clientId) {
+      res.status(400).json({
+        success: false,
+        error: 'X-Client-Id header is required'
+      });
+    }
+    return clientId;
+  }
+
+  /**
+   * Register a webhook for the calling API client, or for one batch (`batchId`)
+   */
+  async createWebhook(req, res) {
+    try {
+      const validation = validateWebhookSubscription({
+        url: req.body.url,
+        events: req.body.events,
+        secret: req.body.secret,
+        description: req.body.description,
+        batchId: req.body.batchId || null,
+        clientId: req.body.batchId ? null : this.getClientId(req)
+      });
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: 'Invalid webhook subscription',
+          details: { errors: validation.errors }
+        });
+      }
+
+      if (validation.value.batchId) {
+        const documentBatch = await DocumentBatch.findById(validation.value.batchId);
+        if (!documentBatch || documentBatch.clientId !== this.getClientId(req)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Batch not found'
+          });
+        }
+      }
+
+      const { subscription, secret } = await webhookService.createSubscription(validation.value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook registered. Store the secret: it is not shown again.',
+        data: { ...subscription.toJSON(), secret }
+      });
+
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to register webhook'
+      });
+    }
+  }
+
+  async listWebhooks(req, res) {
+    try {
+      const clientId = this.requireClientId(req, res);
+      if (!clientId) return;
+
+      const subscriptions = await WebhookSubscription.findAll({ clientId });
+
+      res.json({
+        success: true,
+        data: subscriptions.map(subscription => subscription.toJSON())
+      });
+
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list webhooks'
+      });
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const subscription = await this.findOwnSubscription(req, req.params.webhookId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      await subscription.delete();
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to delete webhook'
+      });
+    }
+  }
+
+  /**
+   * Queue a test delivery to check the receiver and its signature verification
+   */
+  async testWebhook(req, res) {
+    try {
+      const subscription = await this.findOwnSubscription(req, req.params.webhookId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      const delivery = await webhookService.sendTest(subscription);
+
+      res.status(202).json({
+        success: true,
+        message: 'Test delivery queued',
+        data: delivery.toJSON()
+      });
+
+    } catch (error) {
+      console.error('Test webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to queue test delivery'
+      });
+    }
+  }
+
+  /**
+   * Delivery log, newest first (?status=PENDING|DELIVERED|DEAD&batchId=&webhookId=&limit=)
+   */
+  async listDeliveries(req, res) {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+      if (status && !WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown delivery status: ${req.query.status}`,
+          details: { allowed: WebhookDelivery.DELIVERY_STATUSES }
+        });
+      }
+
+      const clientId = this.requireClientId(req, res);
+      if (!clientId) return;
+
+      const deliveries = await WebhookDelivery.findAll({
+        clientId,
+        status,
+        batchId: req.query.batchId || null,
+        subscriptionId: req.query.webhookId || null,
+        limit: Math.min(500, parseInt(req.query.limit, 10) || 100)
+      });
+
+      res.json({
+        success: true,
+        data: deliveries.map(delivery => delivery.toJSON())
+      });
+
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list webhook deliveries'
+      });
+    }
+  }
+
+  /**
+   * Send a delivery again (typically from the dead-letter log) with a fresh set of attempts
+   */
+  async redeliver(req, res) {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+      const subscription = delivery ? await WebhookSubscription.findById(delivery.subscriptionId) : null;
+      if (!delivery || (subscription && (await this.getOwnerClientId(subscription)) !== this.getClientId(req))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      if (delivery.status === 'PENDING') {
+        return res.status(409).json({
+          success: false,
+          error: 'Delivery is still pending'
+        });
+      }
+
+      if (!subscription) {
+        return res.status(409).json({
+          success: false,
+          error: 'The webhook of this delivery was deleted'
+        });
+      }
+
+      await webhookService.redeliver(delivery);
+
+      res.status(202).json({
+        success: true,
+        message: 'Redelivery queued',
+        data: delivery.toJSON()
+      });
+
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to redeliver webhook'
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,96 @@
+/**
+ * Metrics for comparing proposed invoice splits with labelled ground truth.
+ * A boundary is the first page of a split (the first page of the document is not
+ * counted, it is always a boundary). A split is exact when a proposed split covers
+ * exactly the same pages. The invoice number of an expected invoice is checked on
+ * the proposed split that holds its first page, so a wrong boundary does not hide
+ * a correctly read number.
+ */
+
+const { getSplitPages, formatPageRange } = require('../services/splitter/splitPages');
+const { normalizeInvoiceNumber } = require('../services/splitter/detectHeuristicBoundaries');
+
+function boundaryPages(splits) {
+  const starts = splits.map(split => getSplitPages(split)[0]);
+  const firstPage = Math.min(...starts);
+  return new Set(starts.filter(page => page !== firstPage));
+}
+
+function ratio(hits, total, whenEmpty = null) {
+  return total > 0 ? Number((hits / total).toFixed(4)) : whenEmpty;
+}
+
+/**
+ * Score one document
+ * @param {Array} expectedSplits - Labelled splits ({ startPage, endPage } or { pages }, invoiceNumber, excluded)
+ * @param {Array} proposedSplits - Splits returned by detectInvoiceBoundaries
+ * @returns {Object} - { boundaries, exactSplits, invoiceNumbers } with counts, rates and mismatches
+ */
+function scoreBoundaryProposal(expectedSplits = [], proposedSplits = []) {
+  const expectedBoundaries = boundaryPages(expectedSplits);
+  const proposedBoundaries = proposedSplits.length > 0 ? boundaryPages(proposedSplits) : new Set();
+  const truePositives = [...proposedBoundaries].filter(page => expectedBoundaries.has(page)).length;
+
+  const proposedRanges = new Set(proposedSplits.map(split => formatPageRange(getSplitPages(split))));
+  const missedSplits = expectedSplits
+    .map(split => formatPageRange(getSplitPages(split)))
+    .filter(range => !proposedRanges.has(range));
+
+  const labelled = expectedSplits.filter(split => split.invoiceNumber && !split.excluded);
+  const wrongNumbers = [];
+  labelled.forEach(split => {
+    const startPage = getSplitPages(split)[0];
+    const proposed = proposedSplits.find(candidate => getSplitPages(candidate).includes(startPage));
+    const found = proposed ? proposed.invoiceNumber || null : null;
+    if (normalizeInvoiceNumber(found) !== normalizeInvoiceNumber(split.invoiceNumber)) {
+      wrongNumbers.push({ startPage, expected: split.invoiceNumber, found });
+    }
+  });
+
+  return {
+    boundaries: {
+      expected: expectedBoundaries.size,
+      proposed: proposedBoundaries.size,
+      truePositives,
+      // Nothing to find or nothing proposed counts as perfect, not as undefined
+      precision: ratio(truePositives, proposedBoundaries.size, 1),
+      recall: ratio(truePositives, expectedBoundaries.size, 1),
+      missed: [...expectedBoundaries].filter(page => !proposedBoundaries.has(page)).sort((a, b) => a - b),
+      spurious: [...proposedBoundaries].filter(page => !expectedBoundaries.has(page)).sort((a, b) => a - b)
+    },
+    exactSplits: {
+      expected: expectedSplits.length,
+      matched: expectedSplits.length - missedSplits.length,
+      accuracy: ratio(expectedSplits.length - missedSplits.length, expectedSplits.length),
+      missed: missedSplits
+    },
+    invoiceNumbers: {
+      expected: labelled.length,
+      matched: labelled.length - wrongNumbers.length,
+      accuracy: ratio(labelled.length - wrongNumbers.length, labelled.length),
+      mismatches: wrongNumbers
+    }
+  };
+}
+
+/**
+ * Micro-average document scores over a whole fixture set
+ * @param {Array} scores - scoreBoundaryProposal() results
+ * @returns {Object} - { documents, boundaryPrecision, boundaryRecall, exactSplitAccuracy, invoiceNumberAccuracy }
+ */
+function summarizeScores(scores) {
+  const sum = (pick) => scores.reduce((total, score) => total + pick(score), 0);
+  const truePositives = sum(score => score.boundaries.truePositives);
+  const proposed = sum(score => score.boundaries.proposed);
+  const expected = sum(score => score.boundaries.expected);
+
+  return {
+    documents: scores.length,
+    boundaryPrecision: ratio(truePositives, proposed, 1),
+    boundaryRecall: ratio(truePositives, expected, 1),
+    exactSplitAccuracy: ratio(sum(score => score.exactSplits.matched), sum(score => score.exactSplits.expected)),
+    invoiceNumberAccuracy: ratio(sum(score => score.invoiceNumbers.matched), sum(score => score.invoiceNumbers.expected))
+  };
+}
+
+module.exports = { scoreBoundaryProposal, summarizeScores };
@@ -0,0 +1,217 @@
+/**
+ * ================================================================================
+ * BOUNDARY DETECTION EVALUATION - OFFLINE HARNESS
+ * ================================================================================
+ *
+ * Runs azureOpenAIService.detectInvoiceBoundaries over labelled page-text fixtures
+ * and scores the proposals, so prompt changes (getSystemPrompt,
+ * createBoundaryDetectionPrompt) can be compared before they ship.
+ *
+ * 📁 FIXTURES (one JSON file per document, default src/eval/fixtures/boundaries):
+ * {
+ *   "name": "two-invoices-and-packing-list",
+ *   "description": "optional",
+ *   "pages": [{ "pageNumber": 1, "text": "..." }],
+ *   "expectedSplits": [{ "startPage": 1, "endPage": 2, "invoiceNumber": "INV-1", "documentType": "invoice" }],
+ *   "recordedResponses": ["[ { \"startPage\": 1, ... } ]"]
+ * }
+ *
+ * 🚀 USAGE:
+ * npm run eval:boundaries                          - Replay recorded responses (no Azure needed)
+ * npm run eval:boundaries -- --live                - Call Azure OpenAI with the current prompt
+ * npm run eval:boundaries -- --live --record       - Same, and save the responses into the fixtures
+ * npm run eval:boundaries -- --fixtures <dir> --only <name> --json --verbose
+ *
+ * 📊 REPORT (per document and micro-averaged):
+ * • Boundary precision / recall
+ * • Exact-split accuracy
+ * • Invoice-number accuracy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const azureOpenAIService = require('../services/azure-openai.service');
+const { createRecordedClient, createRecordingClient } = require('./recordedClient');
+const { scoreBoundaryProposal, summarizeScores } = require('./boundaryMetrics');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'boundaries');
+
+/**
+ * Load every fixture of a folder
+ * @param {string} fixturesDir - Folder of *.json fixtures
+ * @returns {Array<Object>} - Fixtures with their `file` path
+ */
+function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  return fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(fixturesDir, file);
+      const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!Array.isArray(fixture.pages) || !Array.isArray(fixture.expectedSplits)) {
+        throw new Error(`Fixture ${file} needs "pages" and "expectedSplits" arrays`);
+      }
+      return { name: path.basename(file, '.json'), recordedResponses: [], ...fixture, file: filePath };
+    });
+}
+
+// The service logs every prompt and response; keep the report readable unless asked otherwise
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * Run boundary detection on one fixture and score it
+ * @param {Object} fixture - Loaded fixture
+ * @param {Object} [options] - { live, record, verbose }
+ * @returns {Promise<Object>} - Document report
+ */
+async function evaluateFixture(fixture, { live = false, record = false, verbose = false } = {}) {
+  let client;
+  let deploymentName = 'recorded';
+
+  if (live) {
+    if (!azureOpenAIService.client) azureOpenAIService.initialize();
+    if (!azureOpenAIService.client) {
+      throw new Error('Azure OpenAI is not configured; run without --live to replay recorded responses');
+    }
+    client = record ? createRecordingClient(azureOpenAIService.client) : azureOpenAIService.client;
+    deploymentName = azureOpenAIService.deploymentName;
+  } else {
+    client = createRecordedClient(fixture.recordedResponses);
+  }
+
+  const result = await quietly(verbose, () =>
+    azureOpenAIService.detectInvoiceBoundaries(fixture.pages, { client, deploymentName }));
+
+  if (live && record) {
+    const { file, name, ...stored } = fixture;
+    fs.writeFileSync(file, JSON.stringify({ name, ...stored, recordedResponses: client.responses }, null, 2) + '\n');
+  }
+
+  return {
+    name: fixture.name,
+    pages: fixture.pages.length,
+    success: result.success,
+    error: result.success ? null : result.error,
+    detectionMethod: result.metadata ? result.metadata.detectionMethod : null,
+    fallbackReason: result.metadata ? result.metadata.fallbackReason || null : null,
+    expectedCount: fixture.expectedSplits.length,
+    proposedCount: result.proposedSplits.length,
+    scores: scoreBoundaryProposal(fixture.expectedSplits, result.proposedSplits)
+  };
+}
+
+/**
+ * Evaluate a fixture folder
+ * @param {Object} [options] - { fixturesDir, only, live, record, verbose }
+ * @returns {Promise<Object>} - { documents, summary }
+ */
+async function runEvaluation({ fixturesDir = DEFAULT_FIXTURES_DIR, only = null, ...options } = {}) {
+  const fixtures = loadFixtures(fixturesDir).filter(fixture => !only || fixture.name === only);
+  if (fixtures.length === 0) {
+    throw new Error(only ? `No fixture named ${only} in ${fixturesDir}` : `No fixtures found in ${fixturesDir}`);
+  }
+
+  const documents = [];
+  for (const fixture of fixtures) {
+    documents.push(await evaluateFixture(fixture, options));
+  }
+
+  return {
+    documents,
+    summary: summarizeScores(documents.map(document => document.scores))
+  };
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatReport({ documents, summary }) {
+  const lines = [];
+  const header = ['Document', 'Pages', 'Splits', 'Method', 'B.Prec', 'B.Rec', 'Exact', 'Inv#'];
+  const rows = documents.map(document => [
+    document.name,
+    String(document.pages),
+    `${document.proposedCount}/${document.expectedCount}`,
+    document.success ? document.detectionMethod : 'ERROR',
+    percent(document.scores.boundaries.precision),
+    percent(document.scores.boundaries.recall),
+    percent(document.scores.exactSplits.accuracy),
+    percent(document.scores.invoiceNumbers.accuracy)
+  ]);
+  rows.push(['TOTAL (micro)', '', '', '',
+    percent(summary.boundaryPrecision), percent(summary.boundaryRecall),
+    percent(summary.exactSplitAccuracy), percent(summary.invoiceNumberAccuracy)]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  lines.push(format(header));
+  lines.push(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.slice(0, -1).forEach(row => lines.push(format(row)));
+  lines.push(widths.map(width => '-'.repeat(width)).join('  '));
+  lines.push(format(rows[rows.length - 1]));
+
+  documents.forEach(document => {
+    const { boundaries, exactSplits, invoiceNumbers } = document.scores;
+    const notes = [];
+    if (document.error) notes.push(`error: ${document.error}`);
+    if (document.fallbackReason) notes.push(`fallback: ${document.fallbackReason}`);
+    if (boundaries.missed.length) notes.push(`missed boundaries at pages ${boundaries.missed.join(', ')}`);
+    if (boundaries.spurious.length) notes.push(`spurious boundaries at pages ${boundaries.spurious.join(', ')}`);
+    if (exactSplits.missed.length) notes.push(`no exact split for ${exactSplits.missed.join(' / ')}`);
+    invoiceNumbers.mismatches.forEach(mismatch => {
+      notes.push(`page ${mismatch.startPage}: expected invoice ${mismatch.expected}, got ${mismatch.found || 'none'}`);
+    });
+    if (notes.length) {
+      lines.push('');
+      lines.push(`${document.name}:`);
+      notes.forEach(note => lines.push(`  • ${note}`));
+    }
+  });
+
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const options = { fixturesDir: DEFAULT_FIXTURES_DIR, only: null, live: false, record: false, json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fixtures') options.fixturesDir = path.resolve(argv[++i]);
+    else if (arg === '--only') options.only = argv[++i];
+    else if (arg === '--live') options.live = true;
+    else if (arg === '--record') options.record = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (options.record && !options.live) {
+    throw new Error('--record needs --live');
+  }
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const { json, ...options } = parseArgs(process.argv.slice(2));
+      const report = await runEvaluation(options);
+      console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+      process.exit(report.documents.every(document => document.success) ? 0 : 1);
+    } catch (error) {
+      console.error('Boundary evaluation failed:', error.message);
+      process.exit(2);
+    }
+  })();
+}
+
+module.exports = { DEFAULT_FIXTURES_DIR, loadFixtures, evaluateFixture, runEvaluation, formatReport };
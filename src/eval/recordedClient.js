@@ -0,0 +1,58 @@
+/**
+ * Chat-completions clients for offline boundary evaluation.
+ * A recorded client replays the model responses stored with a fixture, so an
+ * evaluation run needs no Azure credentials. A recording client wraps the live
+ * Azure OpenAI client and keeps every response so they can be saved as fixtures.
+ */
+
+/**
+ * Replay recorded responses in call order (one per LLM call, windows included)
+ * Running out of responses throws, which makes detectInvoiceBoundaries fall back
+ * to the heuristic detector exactly as it does when Azure is unreachable.
+ * @param {Array<string>} responses - Raw model responses
+ * @returns {Object} - OpenAI-compatible client with a `calls` log
+ */
+function createRecordedClient(responses = []) {
+  const calls = [];
+
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (request) => {
+          calls.push(request);
+          const response = responses[calls.length - 1];
+          if (response === undefined) {
+            throw new Error(`No recorded response for LLM call ${calls.length}`);
+          }
+          return { choices: [{ message: { role: 'assistant', content: response } }] };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a live client and keep the content of every response
+ * @param {Object} client - OpenAI-compatible client
+ * @returns {Object} - Client with a `responses` list
+ */
+function createRecordingClient(client) {
+  const responses = [];
+
+  return {
+    responses,
+    chat: {
+      completions: {
+        create: async (request) => {
+          const response = await client.chat.completions.create(request);
+          const choice = response.choices && response.choices[0];
+          responses.push(choice ? choice.message.content : '');
+          return response;
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createRecordedClient, createRecordingClient };
@@ -0,0 +1,94 @@
+/**
+ * Document batch lifecycle.
+ * Every status change of a batch goes through DocumentBatch#update, which checks it
+ * against the transitions below, so a batch can never jump stages (extracting data
+ * from unvalidated splits, reprocessing a completed batch...).
+ *
+ *   UPLOADED → PROCESSING_SPLIT → SPLIT_PROPOSED → SPLIT_VALIDATED → EXTRACTING_DATA
+ *            → DATA_VALIDATION_PENDING → COMPLETED
+ *
+ * ERROR is reachable from the working stages and can be retried; CANCELLED and
+ * COMPLETED are final. Job failure handlers check canTransition before marking a batch
+ * ERROR, since a job can fail after its batch has moved to a review stage.
+ */
+
+const BATCH_STATUSES = [
+  'UPLOADED',
+  'PROCESSING_SPLIT',
+  'SPLIT_PROPOSED',
+  'SPLIT_VALIDATED',
+  'EXTRACTING_DATA',
+  'DATA_VALIDATION_PENDING',
+  'COMPLETED',
+  'ERROR',
+  'CANCELLED'
+];
+
+const TRANSITIONS = {
+  UPLOADED: ['PROCESSING_SPLIT', 'CANCELLED'],
+  PROCESSING_SPLIT: ['SPLIT_PROPOSED', 'ERROR', 'CANCELLED'],
+  // Reprocessing discards the proposal and runs boundary detection again
+  SPLIT_PROPOSED: ['SPLIT_VALIDATED', 'PROCESSING_SPLIT', 'CANCELLED'],
+  // Split-only deliveries stop here and may be closed directly
+  SPLIT_VALIDATED: ['EXTRACTING_DATA', 'COMPLETED', 'CANCELLED'],
+  EXTRACTING_DATA: ['DATA_VALIDATION_PENDING', 'ERROR', 'CANCELLED'],
+  DATA_VALIDATION_PENDING: ['COMPLETED', 'EXTRACTING_DATA', 'CANCELLED'],
+  COMPLETED: [],
+  // A failed batch is retried from split detection, or from extraction when its splits were validated
+  ERROR: ['PROCESSING_SPLIT', 'EXTRACTING_DATA', 'CANCELLED'],
+  CANCELLED: []
+};
+
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to, reason = null) {
+    super(reason || `Cannot move batch from ${from} to ${to}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+    this.allowed = getNextStatuses(from);
+  }
+}
+
+function getNextStatuses(status) {
+  return TRANSITIONS[status] ? [...TRANSITIONS[status]] : [];
+}
+
+function isFinalStatus(status) {
+  return getNextStatuses(status).length === 0;
+}
+
+/**
+ * Whether a batch may move from one status to another (staying put is always allowed)
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (!BATCH_STATUSES.includes(to)) return false;
+  return from === to || getNextStatuses(from).includes(to);
+}
+
+/**
+ * Throw InvalidStatusTransitionError (HTTP 409) unless the transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+function assertTransition(from, to) {
+  if (!BATCH_STATUSES.includes(to)) {
+    throw new InvalidStatusTransitionError(from, to, `Unknown batch status: ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    throw new InvalidStatusTransitionError(from, to);
+  }
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  TRANSITIONS,
+  InvalidStatusTransitionError,
+  getNextStatuses,
+  isFinalStatus,
+  canTransition,
+  assertTransition
+};
@@ -1,4 +1,6 @@
 const database = require('../config/database');
+const { assertTransition, InvalidStatusTransitionError } = require('./batch-state-machine');
+const batchEvents = require('../services/batch-events.service');
 
 class DocumentBatch {
   constructor(data) {
@@ -11,6 +13,13 @@ class DocumentBatch {
     this.validatedSplits = data.validated_splits ? JSON.parse(data.validated_splits) : null;
     this.extractedData = data.extracted_data ? JSON.parse(data.extracted_data) : null;
     this.confidenceScores = data.confidence_scores ? JSON.parse(data.confidence_scores) : null;
+    this.processingOptions = data.processing_options ? JSON.parse(data.processing_options) : {};
+    this.splitApproval = data.split_approval ? JSON.parse(data.split_approval) : null;
+    this.progress = data.progress ? JSON.parse(data.progress) : null;
+    this.clientId = data.client_id || null;
+    this.uploadGroupId = data.upload_group_id || null;
+    this.sourceFilePath = data.source_file_path || null;
+    this.sourceFileType = data.source_file_type || null;
     this.errorMessage = data.error_message;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
@@ -23,17 +32,23 @@ class DocumentBatch {
       originalFilename,
       filePath,
       status = 'UPLOADED',
-      totalPages = null
+      totalPages = null,
+      processingOptions = {},
+      clientId = null,
+      uploadGroupId = null,
+      sourceFilePath = null,
+      sourceFileType = null
     } = batchData;
 
     return new Promise((resolve, reject) => {
       const sql = `
         INSERT INTO document_batches (
-          id, original_filename, file_path, status, total_pages
-        ) VALUES (?, ?, ?, ?, ?)
+          id, original_filename, file_path, status, total_pages, processing_options, client_id, upload_group_id,
+          source_file_path, source_file_type
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
-      db.run(sql, [id, originalFilename, filePath, status, totalPages], function(err) {
+      db.run(sql, [id, originalFilename, filePath, status, totalPages, JSON.stringify(processingOptions), clientId, uploadGroupId, sourceFilePath, sourceFileType], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -42,7 +57,12 @@ class DocumentBatch {
             original_filename: originalFilename,
             file_path: filePath,
             status,
-            total_pages: totalPages
+            total_pages: totalPages,
+            processing_options: JSON.stringify(processingOptions),
+            client_id: clientId,
+            upload_group_id: uploadGroupId,
+            source_file_path: sourceFilePath,
+            source_file_type: sourceFileType
           }));
         }
       });
@@ -83,11 +103,58 @@ class DocumentBatch {
     });
   }
 
+  static async findByUploadGroupId(uploadGroupId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM document_batches WHERE upload_group_id = ? ORDER BY created_at ASC';
+
+      db.all(sql, [uploadGroupId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new DocumentBatch(row)));
+        }
+      });
+    });
+  }
+
+  static async findByStatus(statuses) {
+    const db = database.getDb();
+    const list = Array.isArray(statuses) ? statuses : [statuses];
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM document_batches WHERE status IN (${list.map(() => '?').join(', ')}) ORDER BY created_at ASC`;
+
+      db.all(sql, list, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new DocumentBatch(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Update columns; a status change must be a legal transition from the current status
+   * The UPDATE also matches the status the instance was read with, so a batch moved on
+   * by another request in the meantime is not overwritten. Other updates (progress,
+   * extracted data...) are refused once the batch is CANCELLED, so work still winding
+   * down after a cancel leaves it untouched.
+   * @param {Object} updateData - Column values (objects are stored as JSON)
+   * @returns {Promise<DocumentBatch>}
+   */
   async update(updateData) {
     const db = database.getDb();
+    const changesStatus = updateData.status !== undefined && updateData.status !== this.status;
+    if (changesStatus) {
+      assertTransition(this.status, updateData.status);
+    }
     const allowedFields = [
       'status', 'total_pages', 'proposed_splits', 'validated_splits',
-      'extracted_data', 'confidence_scores', 'error_message'
+      'extracted_data', 'confidence_scores', 'error_message',
+      'processing_options', 'split_approval', 'progress'
     ];
 
     const updates = [];
@@ -112,27 +179,48 @@ class DocumentBatch {
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(this.id);
 
-    const sql = `UPDATE document_batches SET ${updates.join(', ')} WHERE id = ?`;
+    let sql = `UPDATE document_batches SET ${updates.join(', ')} WHERE id = ?`;
+    if (changesStatus) {
+      sql += ' AND status = ?';
+      values.push(this.status);
+    } else {
+      sql += " AND status != 'CANCELLED'";
+    }
 
     return new Promise((resolve, reject) => {
+      const batch = this;
+      const previousStatus = this.status;
       db.run(sql, values, function(err) {
         if (err) {
           reject(err);
+        } else if (changesStatus && this.changes === 0) {
+          reject(new InvalidStatusTransitionError(batch.status, updateData.status,
+            `Batch ${batch.id} is no longer in ${batch.status}; it was changed by another request`));
+        } else if (this.changes === 0) {
+          reject(Object.assign(new Error(`Batch ${batch.id} was cancelled or deleted; update not applied`), { status: 409 }));
         } else {
           // Update instance properties
           Object.keys(updateData).forEach((key) => {
             if (allowedFields.includes(key)) {
-              if (key.includes('splits') || key.includes('data') || key.includes('scores')) {
-                this[this.toCamelCase(key)] = updateData[key];
-              } else {
-                this[this.toCamelCase(key)] = updateData[key];
-              }
+              batch[batch.toCamelCase(key)] = updateData[key];
             }
           });
-          
-          resolve(this);
+
+          // Let live subscribers (SSE stream) know about the change
+          if (changesStatus) {
+            batchEvents.publish(batch.id, 'status', {
+              from: previousStatus,
+              to: batch.status,
+              errorMessage: updateData.error_message || null
+            });
+          }
+          if (updateData.progress) {
+            batchEvents.publish(batch.id, 'progress', updateData.progress);
+          }
+
+          resolve(batch);
         }
-      }.bind(this));
+      });
     });
   }
 
@@ -140,7 +228,12 @@ class DocumentBatch {
     return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
   }
 
-  // Static method to update splits for a batch
+  /**
+   * Replace the proposed splits of a batch that is still waiting for split review
+   * @param {string} id - Batch id
+   * @param {Array} splits - Edited splits
+   * @returns {Promise<boolean>} - False when the batch is missing or no longer in SPLIT_PROPOSED
+   */
   static async updateSplits(id, splits) {
     const db = database.getDb();
     
@@ -148,7 +241,7 @@ class DocumentBatch {
       const sql = `
         UPDATE document_batches 
         SET proposed_splits = ?, updated_at = DATETIME('now')
-        WHERE id = ?
+        WHERE id = ? AND status = 'SPLIT_PROPOSED'
       `;
       
       db.run(sql, [JSON.stringify(splits), id], function(err) {
@@ -0,0 +1,264 @@
+const database = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Background work (split detection, extraction...) is persisted so a restart does not lose it
+const JOB_STATUSES = ['QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED', 'CANCELLED'];
+
+class Job {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type;
+    this.batchId = data.batch_id || null;
+    this.payload = data.payload ? JSON.parse(data.payload) : {};
+    this.status = data.status;
+    this.attempts = data.attempts;
+    this.maxAttempts = data.max_attempts;
+    this.runAt = data.run_at;
+    this.lockedAt = data.locked_at || null;
+    this.lastError = data.last_error || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} jobData - { type, batchId, payload, maxAttempts, runAt }
+   * @returns {Promise<Job>}
+   */
+  static async create(jobData) {
+    const db = database.getDb();
+    const { type, batchId = null, payload = {}, maxAttempts = 3, runAt = Date.now() } = jobData;
+    const id = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO jobs (id, type, batch_id, payload, status, attempts, max_attempts, run_at)
+        VALUES (?, ?, ?, ?, 'QUEUED', 0, ?, ?)
+      `;
+
+      db.run(sql, [id, type, batchId, JSON.stringify(payload), maxAttempts, runAt], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return Job.findById(id);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM jobs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Job(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM jobs WHERE batch_id = ? ORDER BY created_at ASC, rowid ASC';
+
+      db.all(sql, [batchId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Job(row)));
+        }
+      });
+    });
+  }
+
+  static async findByStatus(status) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM jobs WHERE status = ? ORDER BY run_at ASC', [status], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Job(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Find a queued or running job of a type (or of any of several types) for a batch
+   * @param {string|Array<string>} type - Job type(s)
+   * @param {string} batchId - Batch id
+   * @returns {Promise<Job|null>}
+   */
+  static async findActive(type, batchId) {
+    const db = database.getDb();
+    const types = Array.isArray(type) ? type : [type];
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM jobs WHERE type IN (${types.map(() => '?').join(', ')}) AND batch_id = ? AND status IN ('QUEUED', 'RUNNING') LIMIT 1`;
+
+      db.get(sql, [...types, batchId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Job(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Take the next due job and mark it RUNNING
+   * The conditional UPDATE makes the claim safe if two workers pick the same row.
+   * @param {Array<string>} types - Job types this process can run
+   * @returns {Promise<Job|null>}
+   */
+  static async claimNext(types) {
+    const db = database.getDb();
+    const now = Date.now();
+
+    const row = await new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM jobs
+        WHERE status = 'QUEUED' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+        ORDER BY run_at ASC, created_at ASC
+        LIMIT 1
+      `;
+
+      db.get(sql, [now, ...types], (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    if (!row) return null;
+
+    const claimed = await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'RUNNING', attempts = attempts + 1, locked_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'QUEUED'
+      `;
+
+      db.run(sql, [now, row.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    return claimed ? Job.findById(row.id) : Job.claimNext(types);
+  }
+
+  async update(updateData) {
+    const db = database.getDb();
+    const allowedFields = ['status', 'attempts', 'run_at', 'locked_at', 'last_error', 'payload'];
+
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = ?`);
+        values.push(typeof updateData[key] === 'object' && updateData[key] !== null
+          ? JSON.stringify(updateData[key])
+          : updateData[key]);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          Object.keys(updateData).forEach(key => {
+            if (allowedFields.includes(key)) {
+              this[key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = updateData[key];
+            }
+          });
+          resolve(this);
+        }
+      }.bind(this));
+    });
+  }
+
+  /**
+   * Cancel the queued jobs of a batch (optionally only some types)
+   * @param {string} batchId - Batch id
+   * @param {Array<string>} [types] - Job types
+   * @returns {Promise<number>} - Jobs cancelled
+   */
+  static async cancelQueuedByBatchId(batchId, types = null) {
+    const db = database.getDb();
+    const typeFilter = types ? ` AND type IN (${types.map(() => '?').join(', ')})` : '';
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'CANCELLED', last_error = 'Cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE batch_id = ? AND status = 'QUEUED'${typeFilter}
+      `;
+
+      db.run(sql, [batchId, ...(types || [])], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  static async deleteByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM jobs WHERE batch_id = ?', [batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      batchId: this.batchId,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextRunAt: this.status === 'QUEUED' ? new Date(this.runAt).toISOString() : null,
+      lastError: this.lastError,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Job.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = Job;
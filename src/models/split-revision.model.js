@@ -0,0 +1,116 @@
+const database = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Every change to a batch's splits is stored as a numbered revision
+const REVISION_KINDS = ['AI_PROPOSAL', 'MANUAL_EDIT', 'VALIDATED'];
+
+class SplitRevision {
+  constructor(data) {
+    this.id = data.id;
+    this.batchId = data.batch_id;
+    this.revisionNumber = data.revision_number;
+    this.kind = data.kind;
+    this.splits = data.splits ? JSON.parse(data.splits) : [];
+    this.author = data.author;
+    this.note = data.note || null;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Append a revision; the revision number is the next one for the batch
+   * @param {Object} revisionData - { batchId, kind, splits, author, note }
+   * @returns {Promise<SplitRevision>}
+   */
+  static async create(revisionData) {
+    const db = database.getDb();
+    const { batchId, kind, splits, author = 'anonymous', note = null } = revisionData;
+
+    if (!REVISION_KINDS.includes(kind)) {
+      throw new Error(`Unknown revision kind: ${kind}`);
+    }
+
+    const id = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO split_revisions (id, batch_id, revision_number, kind, splits, author, note)
+        SELECT ?, ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?
+        FROM split_revisions WHERE batch_id = ?
+      `;
+
+      db.run(sql, [id, batchId, kind, JSON.stringify(splits || []), author, note, batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return SplitRevision.findById(id);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM split_revisions WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new SplitRevision(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM split_revisions WHERE batch_id = ? ORDER BY revision_number ASC';
+
+      db.all(sql, [batchId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new SplitRevision(row)));
+        }
+      });
+    });
+  }
+
+  static async findByNumber(batchId, revisionNumber) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM split_revisions WHERE batch_id = ? AND revision_number = ?';
+
+      db.get(sql, [batchId, revisionNumber], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new SplitRevision(row) : null);
+        }
+      });
+    });
+  }
+
+  static async deleteByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM split_revisions WHERE batch_id = ?', [batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+}
+
+SplitRevision.REVISION_KINDS = REVISION_KINDS;
+
+module.exports = SplitRevision;
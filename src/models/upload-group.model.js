@@ -0,0 +1,93 @@
+const database = require('../config/database');
+
+// SEPARATE: one batch per PDF received; MERGED: all PDFs concatenated into one batch
+const UPLOAD_GROUP_MODES = ['SEPARATE', 'MERGED'];
+
+class UploadGroup {
+  constructor(data) {
+    this.id = data.id;
+    this.mode = data.mode;
+    this.clientId = data.client_id || null;
+    this.files = data.files ? JSON.parse(data.files) : [];
+    this.skipped = data.skipped ? JSON.parse(data.skipped) : [];
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Record a multi-file upload once its batches exist
+   * @param {Object} groupData - { id, mode, clientId, files, skipped }
+   * @returns {Promise<UploadGroup>}
+   */
+  static async create(groupData) {
+    const db = database.getDb();
+    const { id, mode, clientId = null, files = [], skipped = [] } = groupData;
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO upload_groups (id, mode, client_id, files, skipped)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [id, mode, clientId, JSON.stringify(files), JSON.stringify(skipped)], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return UploadGroup.findById(id);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM upload_groups WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new UploadGroup(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * List upload groups, newest first, optionally those of one API client
+   * @param {Object} [filters] - { clientId }
+   * @returns {Promise<Array<UploadGroup>>}
+   */
+  static async findAll({ clientId = null } = {}) {
+    const db = database.getDb();
+    const sql = clientId
+      ? 'SELECT * FROM upload_groups WHERE client_id = ? ORDER BY created_at DESC'
+      : 'SELECT * FROM upload_groups ORDER BY created_at DESC';
+
+    return new Promise((resolve, reject) => {
+      db.all(sql, clientId ? [clientId] : [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new UploadGroup(row)));
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      uploadGroupId: this.id,
+      mode: this.mode,
+      clientId: this.clientId,
+      files: this.files,
+      skipped: this.skipped,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+UploadGroup.UPLOAD_GROUP_MODES = UPLOAD_GROUP_MODES;
+
+module.exports = UploadGroup;
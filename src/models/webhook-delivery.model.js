@@ -0,0 +1,185 @@
+const database = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// One notification sent to one subscription; DEAD deliveries form the dead-letter log
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'DEAD'];
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.subscriptionId = data.subscription_id;
+    this.batchId = data.batch_id || null;
+    this.event = data.event;
+    this.payload = data.payload ? JSON.parse(data.payload) : null;
+    this.status = data.status;
+    this.attempts = data.attempts;
+    this.lastStatusCode = data.last_status_code || null;
+    this.lastError = data.last_error || null;
+    this.lastAttemptAt = data.last_attempt_at || null;
+    this.deliveredAt = data.delivered_at || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Record a pending delivery
+   * @param {Object} deliveryData - { id, subscriptionId, batchId, event, payload }
+   * @returns {Promise<WebhookDelivery>}
+   */
+  static async create(deliveryData) {
+    const db = database.getDb();
+    const { id = uuidv4(), subscriptionId, batchId = null, event, payload } = deliveryData;
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_deliveries (id, subscription_id, batch_id, event, payload, status)
+        VALUES (?, ?, ?, ?, ?, 'PENDING')
+      `;
+
+      db.run(sql, [id, subscriptionId, batchId, event, JSON.stringify(payload)], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return WebhookDelivery.findById(id);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new WebhookDelivery(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filters] - { status, batchId, subscriptionId, clientId, limit }
+   * @returns {Promise<Array<WebhookDelivery>>}
+   */
+  static async findAll({ status = null, batchId = null, subscriptionId = null, clientId = null, limit = 100 } = {}) {
+    const db = database.getDb();
+    const conditions = [];
+    const values = [];
+
+    if (clientId) {
+      // Deliveries of the client's subscriptions, including those registered for one of its batches
+      conditions.push(`subscription_id IN (
+        SELECT id FROM webhook_subscriptions
+        WHERE client_id = ? OR batch_id IN (SELECT id FROM document_batches WHERE client_id = ?)
+      )`);
+      values.push(clientId, clientId);
+    }
+
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      values.push(batchId);
+    }
+    if (subscriptionId) {
+      conditions.push('subscription_id = ?');
+      values.push(subscriptionId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit);
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, rowid DESC LIMIT ?`;
+
+      db.all(sql, values, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookDelivery(row)));
+        }
+      });
+    });
+  }
+
+  async update(updateData) {
+    const db = database.getDb();
+    const allowedFields = ['status', 'attempts', 'last_status_code', 'last_error', 'last_attempt_at', 'delivered_at'];
+
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = ?`);
+        values.push(updateData[key]);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE webhook_deliveries SET ${updates.join(', ')} WHERE id = ?`, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          Object.keys(updateData).forEach(key => {
+            if (allowedFields.includes(key)) {
+              this[key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = updateData[key];
+            }
+          });
+          resolve(this);
+        }
+      }.bind(this));
+    });
+  }
+
+  static async deleteByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_deliveries WHERE batch_id = ?', [batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      subscriptionId: this.subscriptionId,
+      batchId: this.batchId,
+      event: this.event,
+      status: this.status,
+      attempts: this.attempts,
+      lastStatusCode: this.lastStatusCode,
+      lastError: this.lastError,
+      lastAttemptAt: this.lastAttemptAt,
+      deliveredAt: this.deliveredAt,
+      payload: this.payload,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+WebhookDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,174 @@
+const database = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Batch statuses an ERP can be notified about
+const WEBHOOK_EVENTS = ['SPLIT_PROPOSED', 'DATA_VALIDATION_PENDING', 'COMPLETED', 'ERROR'];
+
+class WebhookSubscription {
+  constructor(data) {
+    this.id = data.id;
+    this.url = data.url;
+    this.secret = data.secret;
+    this.events = data.events ? JSON.parse(data.events) : [];
+    this.clientId = data.client_id || null;
+    this.batchId = data.batch_id || null;
+    this.description = data.description || null;
+    this.active = data.active === 1 || data.active === true;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Register a subscription for an API client (clientId) or a single batch (batchId)
+   * @param {Object} subscriptionData - { url, secret, events, clientId, batchId, description }
+   * @returns {Promise<WebhookSubscription>}
+   */
+  static async create(subscriptionData) {
+    const db = database.getDb();
+    const {
+      url,
+      secret,
+      events = WEBHOOK_EVENTS,
+      clientId = null,
+      batchId = null,
+      description = null
+    } = subscriptionData;
+    const id = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_subscriptions (id, url, secret, events, client_id, batch_id, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [id, url, secret, JSON.stringify(events), clientId, batchId, description], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return WebhookSubscription.findById(id);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new WebhookSubscription(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * List subscriptions, optionally those of one API client (its own and those of its batches)
+   * @param {Object} [filters] - { clientId }
+   * @returns {Promise<Array<WebhookSubscription>>}
+   */
+  static async findAll({ clientId = null } = {}) {
+    const db = database.getDb();
+    const sql = clientId
+      ? `SELECT * FROM webhook_subscriptions
+         WHERE client_id = ? OR batch_id IN (SELECT id FROM document_batches WHERE client_id = ?)
+         ORDER BY created_at ASC`
+      : 'SELECT * FROM webhook_subscriptions ORDER BY created_at ASC';
+
+    return new Promise((resolve, reject) => {
+      db.all(sql, clientId ? [clientId, clientId] : [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookSubscription(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Active subscriptions that apply to a batch: its own, and its API client's
+   * @param {DocumentBatch} documentBatch - Batch
+   * @returns {Promise<Array<WebhookSubscription>>}
+   */
+  static async findForBatch(documentBatch) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM webhook_subscriptions
+        WHERE active = 1 AND (batch_id = ? OR (batch_id IS NULL AND client_id IS NOT NULL AND client_id = ?))
+        ORDER BY created_at ASC
+      `;
+
+      db.all(sql, [documentBatch.id, documentBatch.clientId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookSubscription(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether the subscription wants to hear about a batch status
+   * @param {string} status - Batch status
+   * @returns {boolean}
+   */
+  wants(status) {
+    return this.active && this.events.includes(status);
+  }
+
+  async delete() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_subscriptions WHERE id = ?', [this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  static async deleteByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_subscriptions WHERE batch_id = ?', [batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // The secret is only returned once, when the subscription is created
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      clientId: this.clientId,
+      batchId: this.batchId,
+      description: this.description,
+      active: this.active,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+WebhookSubscription.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
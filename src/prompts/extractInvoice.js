@@ -1,32 +1,44 @@
-function buildExtractPrompt({ markdown, tablesGlossary, interfaceCode }) {
-  const system = "You are an invoice data extraction engine. Extract structured data from invoices and output ONLY a JSON object that matches the exact required schema format. Focus on accurate field mapping and data normalization.";
-  
+const DEFAULT_SYSTEM = "You are an invoice data extraction engine. Extract structured data from invoices and output ONLY a JSON object that matches the exact required schema format. Focus on accurate field mapping and data normalization.";
+
+/**
+ * Extraction prompt for an extraction profile
+ * (interfaceCode, rules, example and the optional system prompt come from the profile)
+ */
+function buildExtractPrompt({ markdown, tablesGlossary, interfaceCode, rules, example, system = DEFAULT_SYSTEM, scope }) {
+  const user = {
+    markdown,
+    tables_glossary: tablesGlossary,
+    interface: interfaceCode,
+    extraction_rules: rules,
+    schema_example: example
+  };
+  // Chunked extraction sends part of the document and asks for part of the schema
+  if (scope) user.scope = scope;
+  return { system, user };
+}
+
+/**
+ * Ask for the line items a first extraction left out, when the rows do not add up
+ * to the document totals. Rows already extracted are listed so they are not repeated.
+ */
+function buildMissingRowsPrompt({ markdown, tablesGlossary, interfaceCode, extractedRows, gaps }) {
+  const system = "You are an invoice data extraction engine. A previous extraction missed some line items. Output ONLY a JSON object { \"lineItems\": [...] } with the missing rows.";
+
   const user = {
     markdown,
     tables_glossary: tablesGlossary,
+    extracted_rows: extractedRows,
+    gaps,
     interface: interfaceCode,
     extraction_rules: [
-      "CRITICAL: Output data in the exact required schema format with these sections:",
-      "1) exporter: Company details (name, vatNumber, address, city, zipCode, country as ISO alpha-2)",
-      "2) importer: Recipient details (name, address, city, zipCode, country as ISO alpha-2)", 
-      "3) basicInformation: Document info (documentType, documentNumber, documentDate as DD/MM/YYYY, dispatchCountry, finalDestination, originCountries)",
-      "4) totalsAndSubtotals: Financial totals (amountDue, currency, totalNetWeight, totalGrossWeight, totalQuantity)",
-      "5) lineItems: Product details (productCode, description, hsCode, originCountry, totalAmount, netWeight, grossWeight, quantity, UOM)",
-      "6) Extract ALL product rows from tables - include model numbers, HS codes, weights, quantities",
-      "7) Normalize countries to ISO 3166-1 alpha-2 format (FR, CH, DE, etc.)",
-      "8) Extract weights in kg, quantities as numbers, amounts as numbers",
-      "9) Map document types: FACTURE->Invoice, PROFORMA->Proforma, etc.",
-      "10) Return strict JSON only—no commentary or explanations.",
-    ],
-    schema_example: {
-      "exporter": [{"name": "Company Name", "vatNumber": "VAT123", "address": "Street", "city": "City", "zipCode": 12345, "country": "FR"}],
-      "importer": [{"name": "Importer Name", "address": "Address", "city": "City", "zipCode": 12345, "country": "CH"}],
-      "basicInformation": [{"documentType": "Invoice", "documentNumber": "INV123", "documentDate": "05/02/2025", "dispatchCountry": "FR", "finalDestination": "CH"}],
-      "totalsAndSubtotals": [{"amountDue": 100.50, "currency": "CHF", "totalNetWeight": 2.5, "totalGrossWeight": 3.0, "totalQuantity": 5}],
-      "lineItems": [{"productCode": "ABC123", "description": "Product Name", "hsCode": "1234567890", "originCountry": "FR", "totalAmount": 50.25, "netWeight": 1.2, "grossWeight": 1.5, "quantity": 2, "UOM": "pcs"}]
-    }
+      "1) extracted_rows lists the rows already extracted, in document order; do NOT return any of them again",
+      "2) gaps gives, per line item field (amount, weight, quantity...), how much the extracted rows are short of the document totals",
+      "3) Return only rows printed in the document that are missing from extracted_rows",
+      "4) Do not invent rows to close the gap; return an empty lineItems array when nothing is missing",
+      "5) Amounts, weights (kg), quantities and counts as numbers; strict JSON only",
+    ]
   };
   return { system, user };
 }
 
-module.exports = { buildExtractPrompt };
+module.exports = { buildExtractPrompt, buildMissingRowsPrompt };
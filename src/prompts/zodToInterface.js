@@ -0,0 +1,68 @@
+/**
+ * TypeScript-style interface of a Zod schema, for the `interface` of the extraction prompts.
+ * The interface shows what the schema outputs: transforms are read through their pipe
+ * (`.transform(parseNumber).pipe(z.number())` is a number), refinements and preprocessing
+ * are transparent. `.describe()` texts are added as trailing comments.
+ */
+
+const { z } = require('zod');
+
+const INDENT = '  ';
+
+function unwrap(schema) {
+  let current = schema;
+  let optional = false;
+  for (;;) {
+    if (current instanceof z.ZodOptional || current instanceof z.ZodNullable) {
+      optional = true;
+      current = current.unwrap();
+    } else if (current instanceof z.ZodDefault) {
+      optional = true;
+      current = current._def.innerType;
+    } else if (current instanceof z.ZodPipeline) {
+      current = current._def.out;
+    } else if (current instanceof z.ZodEffects) {
+      current = current.innerType();
+    } else {
+      return { schema: current, optional };
+    }
+  }
+}
+
+function objectType(schema, depth) {
+  const pad = INDENT.repeat(depth + 1);
+  const lines = Object.entries(schema.shape).map(([key, field]) => {
+    const { optional } = unwrap(field);
+    const comment = field.description ? ` // ${field.description}` : '';
+    return `${pad}${key}${optional ? '?' : ''}: ${typeOf(field, depth + 1)};${comment}`;
+  });
+  return `{\n${lines.join('\n')}\n${INDENT.repeat(depth)}}`;
+}
+
+function typeOf(field, depth) {
+  const { schema } = unwrap(field);
+
+  if (schema instanceof z.ZodObject) return objectType(schema, depth);
+  if (schema instanceof z.ZodArray) return `Array<${typeOf(schema.element, depth)}>`;
+  if (schema instanceof z.ZodString) return 'string';
+  if (schema instanceof z.ZodNumber) return 'number';
+  if (schema instanceof z.ZodBoolean) return 'boolean';
+  if (schema instanceof z.ZodLiteral) return JSON.stringify(schema.value);
+  if (schema instanceof z.ZodEnum) return schema.options.map(option => JSON.stringify(option)).join(' | ');
+  if (schema instanceof z.ZodUnion) return [...new Set(schema.options.map(option => typeOf(option, depth)))].join(' | ');
+  if (schema instanceof z.ZodRecord) return `Record<string, ${typeOf(schema.valueSchema, depth)}>`;
+  return 'any';
+}
+
+/**
+ * @param {import('zod').ZodObject} schema - Object schema of the extract
+ * @param {string} name - Interface name (InvoiceExtract...)
+ * @returns {string} - `export interface <name> { ... }`
+ */
+function zodToInterface(schema, name) {
+  const { schema: root } = unwrap(schema);
+  if (!(root instanceof z.ZodObject)) throw new Error(`${name}: an object schema is required`);
+  return `export interface ${name} ${objectType(root, 0)}`;
+}
+
+module.exports = { zodToInterface };
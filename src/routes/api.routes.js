@@ -11,18 +11,42 @@
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
  * 📤 UPLOAD ENDPOINTS:
- * • POST   /api/upload                     - Upload PDF and create document batch
+ * • POST   /api/upload                     - Upload PDF (or JPEG/PNG/TIFF image) and create document batch
  * • GET    /api/batches                    - List all document batches
  * • GET    /api/batches/:batchId           - Get specific batch information
  * • DELETE /api/batches/:batchId           - Delete batch and associated files
+ * • POST   /api/upload-groups              - Upload several PDFs, images / ZIP archives (one batch each, or merged)
+ * • GET    /api/upload-groups              - List upload groups
+ * • GET    /api/upload-groups/:uploadGroupId - Upload group with the status of its batches
  * 
  * 🔄 PROCESSING ENDPOINTS:
  * • POST   /api/batches/:batchId/process   - Start batch processing (text extraction + AI)
+ * • POST   /api/batches/:batchId/cancel    - Cancel a batch (aborts running work)
+ * • POST   /api/batches/:batchId/complete  - Close a reviewed batch (COMPLETED)
  * • POST   /api/batches/:batchId/splits    - Apply splits and extract invoice data
  * • POST   /api/batches/:batchId/reprocess - Reprocess failed or updated batch
  * • GET    /api/batches/:batchId/health    - Check Azure services health status
+ * • GET    /api/batches/:batchId/revisions - Split revision history
+ * • GET    /api/batches/:batchId/revisions/diff - Diff two split revisions (?from=&to=)
+ * • POST   /api/batches/:batchId/extract   - Extract invoice data from the validated splits
+ * • POST   /api/batches/:batchId/invoices/:splitId/retry - Re-extract one failed invoice
+ * • POST   /api/batches/:batchId/invoices/retry-failed   - Re-extract every failed invoice
+ * • GET    /api/batches/:batchId/events    - Live batch events (Server-Sent Events)
  * 
- * 📊 EXTRACTION ENDPOINTS:
+ * 🚀 PIPELINE ENDPOINTS:
+ * • POST   /api/pipeline                   - Upload, split and extract in one call (async=true for a job id)
+ * • GET    /api/pipeline/:jobId            - Result of a pipeline job
+ * 
+ * 🔔 WEBHOOK ENDPOINTS:
+ * • POST   /api/webhooks                   - Register a webhook (per API client or per batch)
+ * • GET    /api/webhooks                   - List the calling client's webhook subscriptions
+ * • DELETE /api/webhooks/:webhookId        - Remove a webhook
+ * • POST   /api/webhooks/:webhookId/test   - Queue a test delivery
+ * • GET    /api/webhooks/deliveries        - Delivery log (?status=DEAD for the dead-letter log)
+ * • POST   /api/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+ * 
+ * 📊 EXTRACTION ENDPOINTS (?profile=customs|ap|shipping, or a `profile` field with the PDF):
+ * • GET    /api/extraction-profiles        - Extraction profiles and their interfaces
  * • POST   /api/extract                    - Extract from Azure DI Layout JSON
  * • POST   /api/extract-chunked            - Extract using chunked processing
  * • POST   /api/extract-pdf                - Extract directly from PDF file
@@ -41,12 +65,13 @@
  * 📁 FILE SERVING ENDPOINTS:
  * • GET    /api/files/split/:batchId/:filename - Serve split PDF files
  * • GET    /api/files/original/:filename   - Serve original uploaded files
+ * • GET    /api/files/:batchId/source      - Serve the image a batch PDF was converted from
  * 
  * 🔧 MIDDLEWARE CONFIGURATION:
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
  * • **JSON Parser** - 10MB limit for large extraction payloads
- * • **Multer Upload** - File upload handling with PDF validation
+ * • **Multer Upload** - File upload handling with PDF / image validation
  * • **Error Handling** - Comprehensive error capture and response formatting
  * • **CORS Support** - Cross-origin request handling for frontend integration
  * 
@@ -97,15 +122,17 @@
  *    - Detect invoice boundaries using AI
  *    - Generate split proposals
  * 
- * 3. **Apply Splits** → POST /api/batches/:id/splits
+ * 3. **Apply Splits** → POST /api/batches/:id/validate-splits
  *    - Apply approved splits
- *    - Extract data from individual invoices
- *    - Generate structured data
+ *    - Create individual invoice PDFs
+ * 
+ * 4. **Extract** → POST /api/batches/:id/extract
+ *    - Extract data from individual invoices (Layout API + extractFromLayout)
+ *    - Generate structured data for validation
  * 
- * 4. **Validate** → POST /api/batches/:id/validate/:index
- *    - Submit user-validated data
- *    - Update validation status
- *    - Complete processing when all validated
+ * Status changes follow src/models/batch-state-machine.js:
+ * UPLOADED → PROCESSING_SPLIT → SPLIT_PROPOSED → SPLIT_VALIDATED → EXTRACTING_DATA
+ * → DATA_VALIDATION_PENDING → COMPLETED (illegal transitions return 409)
  * 
  * 🐛 DEBUG FEATURES:
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -142,10 +169,13 @@ const path = require('path');
 const fs = require('fs').promises;
 const { extractFromLayout } = require('../services/extractor/extractFromLayout');
 const { extractFromLayoutChunked } = require('../services/extractor/extractFromLayoutChunked');
+const { getProfile, describeProfiles } = require('../services/extractor/profiles');
 
 // Import controllers
 const uploadController = require('../controllers/upload.controller');
 const processingController = require('../controllers/processing.controller');
+const webhookController = require('../controllers/webhook.controller');
+const pipelineController = require('../controllers/pipeline.controller');
 
 // Import services for debugging (split-only minimal services)
 const azureDocumentService = require('../services/azure-document.service');
@@ -171,6 +201,28 @@ router.post('/upload',
   uploadController.handleUploadError.bind(uploadController)
 );
 
+/**
+ * POST /api/upload-groups
+ * Upload several PDFs and/or ZIP archives (`files` field); mode=separate|merge
+ */
+router.post('/upload-groups',
+  uploadController.uploadMany.array('files'),
+  uploadController.uploadGroup.bind(uploadController),
+  uploadController.handleUploadError.bind(uploadController)
+);
+
+/**
+ * GET /api/upload-groups
+ * List upload groups
+ */
+router.get('/upload-groups', uploadController.listUploadGroups.bind(uploadController));
+
+/**
+ * GET /api/upload-groups/:uploadGroupId
+ * Get an upload group and the status of its batches
+ */
+router.get('/upload-groups/:uploadGroupId', uploadController.getUploadGroup.bind(uploadController));
+
 /**
  * GET /api/batches
  * List all document batches
@@ -201,6 +253,12 @@ router.get('/storage/stats', uploadController.getStorageStats.bind(uploadControl
  */
 router.get('/files/:batchId/pdf', uploadController.servePDF.bind(uploadController));
 
+/**
+ * GET /api/files/:batchId/source
+ * Serve the image a batch PDF was converted from
+ */
+router.get('/files/:batchId/source', uploadController.serveSourceFile.bind(uploadController));
+
 // ============================================================================
 // PROCESSING ROUTES
 // ============================================================================
@@ -211,12 +269,31 @@ router.get('/files/:batchId/pdf', uploadController.servePDF.bind(uploadControlle
  */
 router.post('/batches/:batchId/process', processingController.startProcessing.bind(processingController));
 
+/**
+ * POST /api/batches/:batchId/cancel
+ * Cancel a batch: status CANCELLED, abort running work (202; partial split files are removed once it exits)
+ */
+router.post('/batches/:batchId/cancel', processingController.cancelBatch.bind(processingController));
+
+/**
+ * POST /api/batches/:batchId/complete
+ * Close a batch once its splits (split-only) or extracted data have been reviewed (409 from other statuses)
+ */
+router.post('/batches/:batchId/complete', processingController.completeBatch.bind(processingController));
+
 /**
  * GET /api/batches/:batchId/status
  * Get processing status for a batch
  */
 router.get('/batches/:batchId/status', processingController.getProcessingStatus.bind(processingController));
 
+/**
+ * GET /api/batches/:batchId/events
+ * Server-Sent Events stream of a batch: status transitions, split proposals,
+ * extraction progress, per-invoice results and errors
+ */
+router.get('/batches/:batchId/events', processingController.streamBatchEvents.bind(processingController));
+
 /**
  * POST /api/batches/:batchId/validate-splits
  * Validate and confirm splits, create individual PDF files
@@ -229,6 +306,43 @@ router.post('/batches/:batchId/validate-splits', processingController.validateSp
  */
 router.put('/batches/:batchId/splits', processingController.updateSplits.bind(processingController));
 
+/**
+ * GET /api/batches/:batchId/revisions
+ * List split revisions (AI proposal, manual edits, validated set)
+ */
+router.get('/batches/:batchId/revisions', processingController.getSplitRevisions.bind(processingController));
+
+/**
+ * GET /api/batches/:batchId/revisions/diff?from=1&to=3
+ * Diff two split revisions (defaults to first vs latest)
+ */
+router.get('/batches/:batchId/revisions/diff', processingController.diffSplitRevisions.bind(processingController));
+
+/**
+ * POST /api/batches/:batchId/extract
+ * Queue data extraction for every validated invoice split (SPLIT_VALIDATED → EXTRACTING_DATA)
+ * Body: { profile } optional extraction profile (customs, ap, shipping), kept for retries
+ */
+router.post('/batches/:batchId/extract', processingController.extractInvoiceData.bind(processingController));
+
+/**
+ * POST /api/batches/:batchId/invoices/retry-failed
+ * Re-extract every failed invoice of the batch, keeping the extracted ones
+ */
+router.post('/batches/:batchId/invoices/retry-failed', processingController.retryFailedInvoices.bind(processingController));
+
+/**
+ * POST /api/batches/:batchId/invoices/:splitId/retry
+ * Re-extract one failed invoice
+ */
+router.post('/batches/:batchId/invoices/:splitId/retry', processingController.retryInvoice.bind(processingController));
+
+/**
+ * GET /api/batches/:batchId/data
+ * Get extracted invoice data (per-invoice status, extract and errors)
+ */
+router.get('/batches/:batchId/data', processingController.getExtractedData.bind(processingController));
+
 
 
 /**
@@ -237,26 +351,97 @@ router.put('/batches/:batchId/splits', processingController.updateSplits.bind(pr
  */
 router.get('/health', processingController.checkServiceHealth.bind(processingController));
 
+// ============================================================================
+// WEBHOOK ROUTES (Outbound notifications)
+// ============================================================================
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for the calling API client (X-Client-Id) or for one batch (batchId)
+ */
+router.post('/webhooks', webhookController.createWebhook.bind(webhookController));
+
+/**
+ * GET /api/webhooks
+ * List the webhook subscriptions of the calling API client (X-Client-Id required)
+ */
+router.get('/webhooks', webhookController.listWebhooks.bind(webhookController));
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log of the calling API client (?status=DEAD for the dead-letter log, ?batchId=, ?webhookId=)
+ */
+router.get('/webhooks/deliveries', webhookController.listDeliveries.bind(webhookController));
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', webhookController.redeliver.bind(webhookController));
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Remove a webhook subscription
+ */
+router.delete('/webhooks/:webhookId', webhookController.deleteWebhook.bind(webhookController));
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Queue a test delivery to the webhook URL
+ */
+router.post('/webhooks/:webhookId/test', webhookController.testWebhook.bind(webhookController));
+
+// ============================================================================
+// PIPELINE ROUTES (One-shot processing)
+// ============================================================================
+
+/**
+ * POST /api/pipeline
+ * Upload a PDF, split it with auto-approval and extract every invoice in one call
+ * (fields: confidenceThreshold, extractionMode, profile, async)
+ */
+router.post('/pipeline',
+  uploadController.upload.single('pdf'),
+  pipelineController.runPipelineRequest.bind(pipelineController),
+  uploadController.handleUploadError.bind(uploadController)
+);
+
+/**
+ * GET /api/pipeline/:jobId
+ * Status and result of a pipeline job
+ */
+router.get('/pipeline/:jobId', pipelineController.getPipelineRun.bind(pipelineController));
+
 // ============================================================================
 // EXTRACTION ROUTES (Invoice Data Extraction)
 // ============================================================================
 
+/**
+ * GET /api/extraction-profiles
+ * Available extraction profiles, with their sections, critical fields and prompt interface
+ */
+router.get('/extraction-profiles', (req, res) => {
+  res.json({ success: true, data: { profiles: describeProfiles() } });
+});
+
 /**
  * POST /api/extract
- * Accepts Azure Document Intelligence Layout v4 JSON and returns a strict InvoiceExtract
+ * Accepts Azure Document Intelligence Layout v4 JSON and returns the strict extract of
+ * the `?profile=` extraction profile (InvoiceExtract for customs, the default)
  */
 router.post('/extract', async (req, res) => {
   try {
+    const profile = getProfile(req.query.profile);
     const layout = req.body;
     if (!layout || typeof layout !== 'object') {
       return res.status(400).json({ success: false, error: 'Invalid layout payload' });
     }
 
-    const { extract, diagnostics } = await extractFromLayout(layout);
+    const { extract, diagnostics } = await extractFromLayout(layout, { profile });
     return res.json({ success: true, data: { extract, diagnostics }, message: 'Extraction completed' });
   } catch (error) {
-    console.error('Extraction error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    if (!error.status) console.error('Extraction error:', error);
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -266,28 +451,30 @@ router.post('/extract', async (req, res) => {
  */
 router.post('/extract-chunked', async (req, res) => {
   try {
+    const profile = getProfile(req.query.profile);
     const layout = req.body;
     if (!layout || typeof layout !== 'object') {
       return res.status(400).json({ success: false, error: 'Invalid layout payload' });
     }
 
-    const { extract, diagnostics } = await extractFromLayoutChunked(layout);
+    const { extract, diagnostics } = await extractFromLayoutChunked(layout, { profile });
     return res.json({ success: true, data: { extract, diagnostics }, message: 'Chunked extraction completed' });
   } catch (error) {
-    console.error('Chunked extraction error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    if (!error.status) console.error('Chunked extraction error:', error);
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 /**
  * POST /api/extract-pdf
- * Accepts PDF file, processes through Azure DI, then extracts invoice data
+ * Accepts PDF file, processes through Azure DI, then extracts invoice data (optional `profile` field)
  */
 router.post('/extract-pdf', uploadController.upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No PDF file provided' });
     }
+    const profile = getProfile(req.body.profile || req.query.profile);
 
     // Get Layout JSON from PDF
     const layoutResult = await azureDocumentService.getLayoutFromPDF(req.file.path);
@@ -296,7 +483,7 @@ router.post('/extract-pdf', uploadController.upload.single('pdf'), async (req, r
     }
 
     // Extract invoice data from Layout
-    const { extract, diagnostics } = await extractFromLayout(layoutResult.layout);
+    const { extract, diagnostics } = await extractFromLayout(layoutResult.layout, { profile });
     
     // Clean up uploaded file
     try { require('fs').unlinkSync(req.file.path); } catch {}
@@ -307,8 +494,9 @@ router.post('/extract-pdf', uploadController.upload.single('pdf'), async (req, r
       message: 'PDF extraction completed' 
     });
   } catch (error) {
-    console.error('PDF extraction error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    if (!error.status) console.error('PDF extraction error:', error);
+    if (req.file) { try { require('fs').unlinkSync(req.file.path); } catch {} }
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -321,6 +509,7 @@ router.post('/extract-pdf-chunked', uploadController.upload.single('pdf'), async
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No PDF file provided' });
     }
+    const profile = getProfile(req.body.profile || req.query.profile);
 
     // Get Layout JSON from PDF
     const layoutResult = await azureDocumentService.getLayoutFromPDF(req.file.path);
@@ -329,7 +518,7 @@ router.post('/extract-pdf-chunked', uploadController.upload.single('pdf'), async
     }
 
     // Extract invoice data using chunked processing
-    const { extract, diagnostics } = await extractFromLayoutChunked(layoutResult.layout);
+    const { extract, diagnostics } = await extractFromLayoutChunked(layoutResult.layout, { profile });
     
     // Clean up uploaded file
     try { require('fs').unlinkSync(req.file.path); } catch {}
@@ -340,8 +529,9 @@ router.post('/extract-pdf-chunked', uploadController.upload.single('pdf'), async
       message: 'PDF chunked extraction completed' 
     });
   } catch (error) {
-    console.error('PDF chunked extraction error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    if (!error.status) console.error('PDF chunked extraction error:', error);
+    if (req.file) { try { require('fs').unlinkSync(req.file.path); } catch {} }
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -22,14 +22,17 @@ class AzureDocumentLayoutService {
   }
 
   // Extracts simple page-level text using Azure Document Intelligence prebuilt-layout
-  async extractTextFromPDF(filePath) {
+  // Barcodes are only requested (add-on feature) when separator sheets are identified by barcode
+  // An aborted `signal` (batch cancelled) stops the analysis and its poller
+  async extractTextFromPDF(filePath, { signal } = {}) {
     try {
       await this.initialize();
       const pdfBuffer = fs.readFileSync(filePath);
       if (!this.client) return { success: false, error: 'Azure Form Recognizer client not configured', pages: [] };
 
-      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer);
-      const result = await poller.pollUntilDone();
+      const options = process.env.SEPARATOR_BARCODE ? { features: ['barcodes'], abortSignal: signal } : { abortSignal: signal };
+      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer, options);
+      const result = await poller.pollUntilDone({ abortSignal: signal });
       if (!result || !result.pages) return { success: false, error: 'No pages found', pages: [] };
 
       const pages = result.pages.map(pg => {
@@ -40,7 +43,8 @@ class AzureDocumentLayoutService {
           text = pageParagraphs.map(p => p.content).join('\n');
         }
         if (!text && pg.lines) text = pg.lines.map(l => l.content).join('\n');
-        return { pageNumber, text: (text || '').trim(), wordCount: (text || '').split(/\s+/).filter(Boolean).length };
+        const barcodes = (pg.barcodes || []).map(b => ({ kind: b.kind, value: b.value }));
+        return { pageNumber, text: (text || '').trim(), wordCount: (text || '').split(/\s+/).filter(Boolean).length, barcodes };
       });
 
       return { success: true, pages, totalPages: pages.length, totalWords: pages.reduce((s, p) => s + p.wordCount, 0) };
@@ -52,7 +56,7 @@ class AzureDocumentLayoutService {
   isConfigured() { return !!this.client; }
 
   // Get complete layout JSON from PDF for extraction processing
-  async getLayoutFromPDF(filePath) {
+  async getLayoutFromPDF(filePath, { signal } = {}) {
     try {
       await this.initialize();
       if (!this.client) {
@@ -63,8 +67,8 @@ class AzureDocumentLayoutService {
       console.log(`Analyzing PDF with Azure Document Intelligence Layout API...`);
       
       // Use prebuilt-layout model to extract complete document structure
-      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer);
-      const result = await poller.pollUntilDone();
+      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer, { abortSignal: signal });
+      const result = await poller.pollUntilDone({ abortSignal: signal });
       
       if (!result) {
         return { success: false, error: 'No result from Azure Document Intelligence' };
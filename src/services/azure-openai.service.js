@@ -14,14 +14,17 @@
  * • isConfigured()                         - Check if service is properly configured
  * 
  * 📄 INVOICE BOUNDARY DETECTION:
- * • detectInvoiceBoundaries(pages)         - Main entry point for multi-page invoice splitting
+ * • detectInvoiceBoundaries(pages, opts)   - Main entry point for multi-page invoice splitting
+ * • requestBoundaryProposal(pageTexts)     - Single LLM call returning parsed splits
+ * • requestBoundaryProposalWindowed(pages) - Overlapping page windows for large documents
  * • getSystemPrompt()                      - System prompt for boundary detection
  * • createBoundaryDetectionPrompt(pages)   - Create formatted prompt for GPT-4
  * • parseAIResponse(response, totalPages)  - Parse GPT-4 response into structured splits
  * • validateSplits(splits, totalPages)     - Validate and fix proposed splits
- * • calculateSplitConfidence(splits, pages)- Calculate confidence scores for splits
+ * • calculateSplitConfidence(splits, pages)- Average evidence-based confidence of the splits
  * 
  * 🧠 ADVANCED FIELD EXTRACTION:
+ * • confirmFromJsonWindows(request)           - Strict verbatim verifier (post-extraction confirm pass)
  * • extractMissingFields(azure, data, fields) - LLM-based extraction for missing fields
  * • extractTaxRateFromText(text, financial)   - Extract tax rates using intelligent analysis
  * • getFieldExtractionSystemPrompt()          - System prompt for field extraction
@@ -52,6 +55,7 @@
  * 
  * ✅ Multi-language invoice detection (French, English, German, etc.)
  * ✅ Conservative splitting approach (minimizes false negatives)
+ * ✅ Heuristic boundary fallback and cross-check (no LLM required)
  * ✅ Invoice pattern recognition (headers, numbers, dates, totals)
  * ✅ Content transition analysis for accurate boundaries
  * ✅ Vendor-agnostic field extraction
@@ -81,6 +85,11 @@
  */
 
 const azureConfig = require('../config/azure');
+const { detectHeuristicBoundaries, compareWithHeuristic } = require('./splitter/detectHeuristicBoundaries');
+const { planWindows, mergeWindowProposals } = require('./splitter/boundaryWindows');
+const { DOCUMENT_TYPES, annotateDocumentTypes, normalizeDocumentType, buildUnassignedSplit } = require('./splitter/classifyDocumentType');
+const { detectSeparatorPages, applySeparatorBoundaries } = require('./splitter/detectSeparatorPages');
+const { scoreSplits } = require('./splitter/scoreSplitEvidence');
 
 class AzureOpenAIService {
   constructor() {
@@ -88,6 +97,10 @@ class AzureOpenAIService {
     this.deploymentName = null;
   this.maxJsonWindowBytes = parseInt(process.env.MAX_JSON_WINDOW_BYTES || '30000', 10);
   this.llmFallbackMode = (process.env.LLM_FALLBACK_MODE || 'confirm-only').toLowerCase();
+    // Sliding-window boundary detection for documents larger than one prompt
+    this.boundaryWindowPages = parseInt(process.env.BOUNDARY_WINDOW_PAGES || '20', 10);
+    this.boundaryWindowOverlap = parseInt(process.env.BOUNDARY_WINDOW_OVERLAP || '4', 10);
+    this.boundaryPromptCharBudget = parseInt(process.env.BOUNDARY_PROMPT_CHAR_BUDGET || '40000', 10);
   }
 
   initialize() {
@@ -108,8 +121,10 @@ class AzureOpenAIService {
   /**
    * Confirm-only extractor: given small JSON windows from Azure DI, return exact substring if present.
    * Never computes or reformats. Returns null when not found verbatim in provided windows.
+   * @param {Object} request - { field, hints, windows: [{ text, paths }] }
+   * @param {Object} [options] - { signal } aborts the LLM call
    */
-  async confirmFromJsonWindows({ field, hints = [], windows = [] }) {
+  async confirmFromJsonWindows({ field, hints = [], windows = [] }, { signal = null } = {}) {
     if (!this.client) this.initialize();
     if (!this.client) throw new Error('Azure OpenAI client not available');
 
@@ -163,7 +178,7 @@ class AzureOpenAIService {
           }
         }
       ]
-    });
+    }, signal ? { signal } : undefined);
 
     let parsed = null;
     try {
@@ -199,14 +214,22 @@ class AzureOpenAIService {
 
   /**
    * Detect invoice boundaries in a multi-page document
+   * Falls back to the heuristic detector when the LLM is unavailable or its answer
+   * cannot be parsed, and otherwise records heuristic disagreements on each split.
+   * Blank and separator sheets found in a pre-pass are hard boundaries in either case.
    * @param {Array} pages - Array of page objects with text content
+   * @param {Object} [options] - { client, deploymentName } to run against another chat-completions client (evaluation stubs),
+   *   { signal } to abort pending LLM calls (batch cancelled); an aborted call never falls back to the heuristics
    * @returns {Promise<Object>} - Proposed invoice splits
    */
-  async detectInvoiceBoundaries(pages) {
+  async detectInvoiceBoundaries(pages, options = {}) {
     try {
-      if (!this.client) {
+      if (!options.client && !this.client) {
         this.initialize();
       }
+      const client = options.client || this.client;
+      const deploymentName = options.client ? (options.deploymentName || null) : this.deploymentName;
+      const signal = options.signal || null;
 
       console.log(`Analyzing ${pages.length} pages for invoice boundaries`);
 
@@ -214,55 +237,94 @@ class AzureOpenAIService {
       const pageTexts = pages.map((page, index) => ({
         pageNumber: page.pageNumber || (index + 1),
         text: page.text || '',
-        wordCount: page.wordCount || 0
+        wordCount: page.wordCount != null ? page.wordCount : (page.text || '').split(/\s+/).filter(Boolean).length,
+        barcodes: page.barcodes || []
       }));
 
-      // Create the prompt for GPT-4o
-      const prompt = this.createBoundaryDetectionPrompt(pageTexts);
+      // Separator pre-pass: flagged pages are hinted to the LLM and enforced on every proposal
+      const separatorPages = detectSeparatorPages(pageTexts);
+      const separatorPageNumbers = new Set(separatorPages.map(separator => separator.pageNumber));
+      pageTexts.forEach(page => { page.separator = separatorPageNumbers.has(page.pageNumber); });
+      if (separatorPages.length > 0) {
+        console.log(`Separator pre-pass: ${separatorPages.length} separator/blank pages (${[...separatorPageNumbers].join(', ')})`);
+      }
 
-      // Call Azure OpenAI
-      const response = await this.client.chat.completions.create({
-        model: this.deploymentName,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.1, // Low temperature for consistent results
-        max_tokens: 2000,
-        top_p: 0.95
-      });
+      const heuristic = detectHeuristicBoundaries(pageTexts);
+      heuristic.splits = applySeparatorBoundaries(heuristic.splits, separatorPages);
 
-      if (!response.choices || response.choices.length === 0) {
-        throw new Error('No response from OpenAI');
+      let llmResult = null;
+      let fallbackReason = null;
+      if (!client) {
+        fallbackReason = 'Azure OpenAI client not available';
+      } else {
+        try {
+          llmResult = this.needsWindowedDetection(pageTexts)
+            ? await this.requestBoundaryProposalWindowed(pageTexts, heuristic.splits, { client, deploymentName, signal })
+            : await this.requestBoundaryProposal(pageTexts, null, { client, deploymentName, signal });
+          if (llmResult.proposedSplits.some(split => split.source === 'fallback')) {
+            fallbackReason = 'AI response could not be parsed';
+          }
+        } catch (error) {
+          if (signal && signal.aborted) throw error;
+          console.warn('LLM boundary detection failed, using heuristic detector:', error.message);
+          fallbackReason = `LLM call failed: ${error.message}`;
+        }
       }
 
-      const aiResponse = response.choices[0].message.content;
-      console.log('AI Response:', aiResponse);
+      if (fallbackReason && heuristic.splits.length > 0) {
+        console.log(`Using heuristic boundary detection (${fallbackReason})`);
+        const scored = scoreSplits(applySeparatorBoundaries(
+          this.validateSplits(annotateDocumentTypes(heuristic.splits, pageTexts), pages.length),
+          separatorPages
+        ), pageTexts);
 
-      // Parse the AI response to extract invoice boundaries
-      const proposedSplits = this.parseAIResponse(aiResponse, pages.length);
+        return {
+          success: true,
+          totalPages: pages.length,
+          invoiceCount: scored.splits.length,
+          proposedSplits: scored.splits,
+          aiResponse: llmResult ? llmResult.aiResponse : null,
+          metadata: {
+            analyzedAt: new Date().toISOString(),
+            model: null,
+            detectionMethod: 'heuristic',
+            fallbackReason,
+            separatorPages,
+            review: scored.summary,
+            confidence: this.calculateSplitConfidence(scored.splits, pageTexts)
+          }
+        };
+      }
+
+      if (!llmResult) {
+        throw new Error(fallbackReason || 'Boundary detection produced no result');
+      }
 
-      // Validate the proposed splits
-      const validatedSplits = this.validateSplits(proposedSplits, pages.length);
+      // Classify and validate the proposed splits, then cross-check them against the heuristics
+      const validatedSplits = applySeparatorBoundaries(
+        this.validateSplits(annotateDocumentTypes(llmResult.proposedSplits, pageTexts), pages.length),
+        separatorPages
+      );
+      const crossCheck = compareWithHeuristic(validatedSplits, heuristic.splits);
+      const scored = scoreSplits(crossCheck.splits, pageTexts);
 
-      console.log(`Boundary detection completed: ${validatedSplits.length} invoices detected`);
+      console.log(`Boundary detection completed: ${scored.splits.length} invoices detected (${crossCheck.summary.disagreementCount} heuristic disagreements, ${scored.summary.needsReview} splits need review)`);
 
       return {
         success: true,
         totalPages: pages.length,
-        invoiceCount: validatedSplits.length,
-        proposedSplits: validatedSplits,
-        aiResponse: aiResponse,
+        invoiceCount: scored.splits.length,
+        proposedSplits: scored.splits,
+        aiResponse: llmResult.aiResponse,
         metadata: {
           analyzedAt: new Date().toISOString(),
-          model: this.deploymentName,
-          confidence: this.calculateSplitConfidence(validatedSplits, pageTexts)
+          model: deploymentName,
+          detectionMethod: llmResult.windows ? 'llm-windowed' : 'llm',
+          ...(llmResult.windows && { windows: llmResult.windows }),
+          heuristicCrossCheck: crossCheck.summary,
+          separatorPages,
+          review: scored.summary,
+          confidence: this.calculateSplitConfidence(scored.splits, pageTexts)
         }
       };
 
@@ -278,6 +340,119 @@ class AzureOpenAIService {
     }
   }
 
+  /**
+   * Ask the LLM for invoice boundaries over the given pages
+   * @param {Array} pageTexts - Array of page text objects
+   * @param {Object} [windowContext] - { totalPages } when the pages are one window of a larger document
+   * @param {Object} [llm] - { client, deploymentName, signal }, defaults to the Azure OpenAI client
+   * @returns {Promise<Object>} - Parsed (unvalidated) splits and the raw AI response
+   */
+  async requestBoundaryProposal(pageTexts, windowContext = null, llm = {}) {
+    const client = llm.client || this.client;
+
+    // Create the prompt for GPT-4o
+    const prompt = this.createBoundaryDetectionPrompt(pageTexts, windowContext);
+
+    // Call Azure OpenAI
+    const response = await client.chat.completions.create({
+      model: llm.client ? llm.deploymentName : this.deploymentName,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt()
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.1, // Low temperature for consistent results
+      max_tokens: 2000,
+      top_p: 0.95
+    }, llm.signal ? { signal: llm.signal } : undefined);
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error('No response from OpenAI');
+    }
+
+    const aiResponse = response.choices[0].message.content;
+    console.log('AI Response:', aiResponse);
+
+    // Parse the AI response to extract invoice boundaries
+    return {
+      proposedSplits: this.parseAIResponse(aiResponse, pageTexts.length),
+      aiResponse
+    };
+  }
+
+  /**
+   * Check whether the pages fit in a single boundary-detection prompt
+   * @param {Array} pageTexts - Array of page text objects
+   * @returns {boolean} - True when sliding windows are needed
+   */
+  needsWindowedDetection(pageTexts) {
+    if (pageTexts.length > this.boundaryWindowPages) return true;
+    const promptChars = pageTexts.reduce((sum, page) => sum + Math.min(page.text.length, 2000), 0);
+    return promptChars > this.boundaryPromptCharBudget;
+  }
+
+  /**
+   * Run boundary detection over overlapping page windows and merge the results
+   * Windows whose LLM call fails or cannot be parsed use the heuristic splits instead.
+   * @param {Array} pageTexts - Array of page text objects
+   * @param {Array} heuristicSplits - Whole-document heuristic splits
+   * @param {Object} [llm] - { client, deploymentName, signal }, defaults to the Azure OpenAI client
+   * @returns {Promise<Object>} - Merged splits, raw responses and window summary
+   */
+  async requestBoundaryProposalWindowed(pageTexts, heuristicSplits = [], llm = {}) {
+    const pageNumbers = pageTexts.map(page => page.pageNumber);
+    const windows = planWindows(pageNumbers, {
+      windowSize: this.boundaryWindowPages,
+      overlap: this.boundaryWindowOverlap
+    });
+
+    console.log(`Windowed boundary detection: ${windows.length} windows of up to ${this.boundaryWindowPages} pages (overlap ${this.boundaryWindowOverlap})`);
+
+    const windowResults = [];
+    const aiResponses = [];
+
+    for (const window of windows) {
+      const windowPages = pageTexts.slice(window.startIndex, window.endIndex);
+      let splits = null;
+      let source = 'llm';
+
+      try {
+        const result = await this.requestBoundaryProposal(windowPages, { totalPages: pageTexts.length }, llm);
+        aiResponses.push({ window: window.index, response: result.aiResponse });
+        if (!result.proposedSplits.some(split => split.source === 'fallback')) {
+          splits = result.proposedSplits;
+        }
+      } catch (error) {
+        if (llm.signal && llm.signal.aborted) throw error;
+        console.warn(`Window ${window.index + 1}/${windows.length} (pages ${window.startPage}-${window.endPage}) failed:`, error.message);
+      }
+
+      if (!splits) {
+        source = 'heuristic';
+        splits = heuristicSplits.filter(split => split.startPage >= window.startPage && split.startPage <= window.endPage);
+      }
+
+      windowResults.push({ window, splits, source });
+    }
+
+    return {
+      proposedSplits: mergeWindowProposals(windowResults, pageNumbers),
+      aiResponse: aiResponses,
+      windows: windowResults.map(({ window, splits, source }) => ({
+        index: window.index,
+        pages: `${window.startPage}-${window.endPage}`,
+        corePages: `${window.coreStartPage}-${window.coreEndPage}`,
+        source,
+        boundariesReported: splits.length
+      }))
+    };
+  }
+
   /**
    * Get the system prompt for invoice boundary detection
    * @returns {string} - System prompt
@@ -293,14 +468,16 @@ IMPORTANT GUIDELINES:
 5. Invoices from the same vendor may have similar formatting
 6. Some invoices may span multiple pages
 7. Some pages may contain multiple invoices
+8. Scans also contain non-invoice documents (packing lists, CMR/delivery notes, certificates of origin, blank separator pages). Return each of them as its own entry with the matching documentType; never merge them into an invoice
 
 RESPONSE FORMAT:
-Respond with a JSON array of invoice objects. Each object should have:
+Respond with a JSON array of document objects. Each object should have:
 - "invoiceNumber": estimated invoice number or identifier (if found)
-- "startPage": first page number of the invoice
-- "endPage": last page number of the invoice  
+- "startPage": first page number of the document
+- "endPage": last page number of the document
+- "documentType": one of "invoice", "credit_note", "proforma", "packing_list", "certificate", "blank", "other"
 - "confidence": your confidence level (0.0 to 1.0)
-- "reasoning": brief explanation of why you identified this as an invoice
+- "reasoning": brief explanation of why you identified this document
 
 Example response:
 [
@@ -308,6 +485,7 @@ Example response:
     "invoiceNumber": "INV-2024-001",
     "startPage": 1,
     "endPage": 2,
+    "documentType": "invoice",
     "confidence": 0.95,
     "reasoning": "Clear invoice header with number, vendor info, and itemized billing"
   },
@@ -315,8 +493,17 @@ Example response:
     "invoiceNumber": "INV-2024-002", 
     "startPage": 3,
     "endPage": 3,
+    "documentType": "invoice",
     "confidence": 0.87,
     "reasoning": "Single page invoice with complete billing information"
+  },
+  {
+    "invoiceNumber": "INV-2024-002",
+    "startPage": 4,
+    "endPage": 4,
+    "documentType": "packing_list",
+    "confidence": 0.9,
+    "reasoning": "Packing list titled 'Packing List' referring to invoice INV-2024-002"
   }
 ]`;
   }
@@ -324,13 +511,22 @@ Example response:
   /**
    * Create the boundary detection prompt
    * @param {Array} pageTexts - Array of page text objects
+   * @param {Object} [windowContext] - { totalPages } when the pages are one window of a larger document
    * @returns {string} - Formatted prompt
    */
-  createBoundaryDetectionPrompt(pageTexts) {
+  createBoundaryDetectionPrompt(pageTexts, windowContext = null) {
     let prompt = `Please analyze the following ${pageTexts.length} pages of text and identify individual invoice boundaries:\n\n`;
 
+    if (windowContext) {
+      const firstPage = pageTexts[0].pageNumber;
+      const lastPage = pageTexts[pageTexts.length - 1].pageNumber;
+      prompt += `NOTE: These are pages ${firstPage}-${lastPage} of a ${windowContext.totalPages}-page document. An invoice may have started before page ${firstPage} or continue after page ${lastPage}. Use the absolute page numbers shown below.\n\n`;
+    }
+
     pageTexts.forEach((page) => {
-      prompt += `--- PAGE ${page.pageNumber} (${page.wordCount} words) ---\n`;
+      prompt += page.separator
+        ? `--- PAGE ${page.pageNumber} (${page.wordCount} words, SEPARATOR SHEET: no document continues across this page) ---\n`
+        : `--- PAGE ${page.pageNumber} (${page.wordCount} words) ---\n`;
       prompt += page.text.substring(0, 2000); // Limit text to avoid token limits
       if (page.text.length > 2000) {
         prompt += '\n[... text truncated ...]';
@@ -370,7 +566,9 @@ Example response:
         endPage: parseInt(split.endPage) || 1,
         confidence: parseFloat(split.confidence) || 0.5,
         reasoning: split.reasoning || 'AI detected invoice pattern',
-        pageRange: `${split.startPage}-${split.endPage}`
+        pageRange: `${split.startPage}-${split.endPage}`,
+        documentType: DOCUMENT_TYPES.includes(split.documentType) ? split.documentType : undefined,
+        source: 'llm'
       }));
 
     } catch (error) {
@@ -384,7 +582,8 @@ Example response:
         endPage: totalPages,
         confidence: 0.3,
         reasoning: 'Fallback: Could not parse AI response, treating as single invoice',
-        pageRange: `1-${totalPages}`
+        pageRange: `1-${totalPages}`,
+        source: 'fallback'
       }];
     }
   }
@@ -405,14 +604,18 @@ Example response:
         endPage: totalPages,
         confidence: 0.3,
         reasoning: 'No splits detected, treating as single invoice',
-        pageRange: `1-${totalPages}`
+        pageRange: `1-${totalPages}`,
+        documentType: 'invoice',
+        excluded: false,
+        source: 'fallback'
       }];
     }
 
     // Sort splits by start page
     splits.sort((a, b) => a.startPage - b.startPage);
 
-    // Validate and fix overlaps/gaps
+    // Validate and fix overlaps; pages no document claims are kept apart instead of
+    // being forced into a neighbouring invoice
     const validatedSplits = [];
     let currentPage = 1;
 
@@ -427,24 +630,25 @@ Example response:
       const finalEndPage = Math.max(endPage, startPage);
 
       if (startPage <= totalPages) {
-        validatedSplits.push({
+        if (startPage > currentPage) {
+          validatedSplits.push(buildUnassignedSplit(currentPage, startPage - 1));
+        }
+
+        validatedSplits.push(normalizeDocumentType({
           ...split,
           startPage,
           endPage: finalEndPage,
           pageRange: `${startPage}-${finalEndPage}`
-        });
+        }));
 
         currentPage = finalEndPage + 1;
       }
     });
 
-    // If there are remaining pages, add them to the last invoice or create a new one
+    // Remaining pages become an excluded block, or a single invoice if nothing was kept
     if (currentPage <= totalPages) {
       if (validatedSplits.length > 0) {
-        // Extend the last invoice
-        const lastSplit = validatedSplits[validatedSplits.length - 1];
-        lastSplit.endPage = totalPages;
-        lastSplit.pageRange = `${lastSplit.startPage}-${totalPages}`;
+        validatedSplits.push(buildUnassignedSplit(currentPage, totalPages));
       } else {
         // Create a new invoice for remaining pages
         validatedSplits.push({
@@ -454,7 +658,9 @@ Example response:
           endPage: totalPages,
           confidence: 0.3,
           reasoning: 'Remaining pages after validation',
-          pageRange: `${currentPage}-${totalPages}`
+          pageRange: `${currentPage}-${totalPages}`,
+          documentType: 'invoice',
+          excluded: false
         });
       }
     }
@@ -464,6 +670,7 @@ Example response:
 
   /**
    * Calculate confidence score for the splits
+   * Averages the per-split evidence confidence (see splitter/scoreSplitEvidence)
    * @param {Array} splits - Validated splits
    * @param {Array} pageTexts - Original page texts
    * @returns {number} - Overall confidence (0-1)
@@ -0,0 +1,121 @@
+/**
+ * ================================================================================
+ * BATCH EVENTS SERVICE - IN-PROCESS EVENT BUS
+ * ================================================================================
+ *
+ * Publishes what happens to a batch (status transitions, split proposals, extraction
+ * progress and per-invoice results, errors) to subscribers such as the
+ * GET /api/batches/:batchId/events Server-Sent Events stream.
+ *
+ * 🎯 PRIMARY METHODS:
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * • publish(batchId, type, data)        - Emit an event to the batch's subscribers
+ * • subscribe(batchId, listener)        - Listen to one batch, returns an unsubscribe function
+ * • subscribeAll(listener)              - Listen to every batch (webhook dispatcher)
+ * • getEventsSince(batchId, lastId)     - Recent events after an id (SSE Last-Event-ID replay)
+ *
+ * 📋 EVENT TYPES:
+ * • status            - { from, to, errorMessage }
+ * • splits_proposed   - Boundary detection finished ({ invoiceCount, detectionMethod, review, splits })
+ * • splits_updated    - Manual split edit saved
+ * • progress          - Extraction progress snapshot (current invoice, stage, ETA)
+ * • invoice_extracted - One invoice extracted
+ * • invoice_failed    - One invoice could not be extracted
+ * • batch_error       - A processing attempt failed ({ message, willRetry, nextRunAt })
+ *
+ * Events are kept in memory only (last EVENT_BUFFER_SIZE per batch) so a reconnecting
+ * client can catch up; the database stays the source of truth.
+ *
+ * ================================================================================
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_BUFFER_SIZE = 100;
+const MAX_BUFFERED_BATCHES = 500;
+const ALL_BATCHES = '*';
+
+class BatchEventsService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffers = new Map();
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Emit an event for a batch
+   * @param {string} batchId - Batch id
+   * @param {string} type - Event type (see header)
+   * @param {Object} [data] - Event payload
+   * @returns {Object} - The event ({ id, type, batchId, at, data })
+   */
+  publish(batchId, type, data = {}) {
+    const event = {
+      id: ++this.lastEventId,
+      type,
+      batchId,
+      at: new Date().toISOString(),
+      data
+    };
+
+    this.remember(event);
+    try {
+      this.emitter.emit(batchId, event);
+      this.emitter.emit(ALL_BATCHES, event);
+    } catch (error) {
+      // A broken subscriber must never break the processing that published the event
+      console.error(`Batch event listener failed for ${batchId}:`, error);
+    }
+    return event;
+  }
+
+  /**
+   * Listen to the events of one batch
+   * @param {string} batchId - Batch id
+   * @param {Function} listener - (event) => void
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(batchId, listener) {
+    this.emitter.on(batchId, listener);
+    return () => this.emitter.off(batchId, listener);
+  }
+
+  /**
+   * Listen to the events of every batch
+   * @param {Function} listener - (event) => void
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeAll(listener) {
+    return this.subscribe(ALL_BATCHES, listener);
+  }
+
+  /**
+   * Buffered events of a batch published after `lastEventId`
+   * @param {string} batchId - Batch id
+   * @param {number} lastEventId - Last id the client saw
+   * @returns {Array<Object>}
+   */
+  getEventsSince(batchId, lastEventId) {
+    return (this.buffers.get(batchId) || []).filter(event => event.id > lastEventId);
+  }
+
+  remember(event) {
+    const buffer = this.buffers.get(event.batchId) || [];
+    buffer.push(event);
+    if (buffer.length > EVENT_BUFFER_SIZE) buffer.shift();
+
+    // Re-insert so the Map stays ordered by last activity, then drop the stalest batches
+    this.buffers.delete(event.batchId);
+    this.buffers.set(event.batchId, buffer);
+    while (this.buffers.size > MAX_BUFFERED_BATCHES) {
+      this.buffers.delete(this.buffers.keys().next().value);
+    }
+  }
+
+  forget(batchId) {
+    this.buffers.delete(batchId);
+  }
+}
+
+module.exports = new BatchEventsService();
@@ -0,0 +1,56 @@
+const azureConfig = require('../../config/azure');
+
+/**
+ * JSON-mode chat completion on the configured Azure OpenAI deployment
+ * @param {object} prompt { system, user } (user is sent as JSON)
+ * @param {AbortSignal} [signal] aborts the request
+ * @param {object} [options] { maxTokens }
+ * @returns {Promise<string>} the raw JSON text
+ */
+async function callAzureOpenAI({ system, user }, signal = null, { maxTokens = 2000 } = {}) {
+  if (!azureConfig.openAIClient) {
+    azureConfig.initialize();
+  }
+  const client = azureConfig.getOpenAIClient();
+  const deployment = azureConfig.getOpenAIDeploymentName();
+
+  try {
+    const resp = await client.chat.completions.create({
+      model: deployment,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: JSON.stringify(user) },
+      ],
+      temperature: 0,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_object' },
+    }, signal ? { signal } : undefined);
+    
+    // Check if response was truncated due to token limits
+    const finishReason = resp?.choices?.[0]?.finish_reason;
+    if (finishReason === 'length') {
+      throw new Error('Response truncated due to token limit. The document may be too complex or contain too much data for processing.');
+    }
+    
+    const content = resp?.choices?.[0]?.message?.content?.trim() || '{}';
+    if (!content || content === '{}') {
+      throw new Error('Empty or invalid response from AI model. This may indicate token limitations or processing issues.');
+    }
+    
+    return content;
+  } catch (error) {
+    // Enhanced error handling for different types of failures
+    if (error.message.includes('token')) {
+      throw new Error(`Token limit exceeded: ${error.message}. Try processing a smaller document or fewer pages.`);
+    }
+    if (error.message.includes('rate limit')) {
+      throw new Error(`Rate limit exceeded: ${error.message}. Please wait a moment before retrying.`);
+    }
+    if (error.message.includes('quota')) {
+      throw new Error(`API quota exceeded: ${error.message}. Please check your Azure OpenAI usage limits.`);
+    }
+    throw error;
+  }
+}
+
+module.exports = { callAzureOpenAI };
@@ -0,0 +1,149 @@
+/**
+ * Verbatim-confirm pass for the fields a wrong value is most costly on: the extraction
+ * profile's criticalFields (customs: document number, date, amount due, currency, VAT
+ * numbers). For each one, small JSON windows of layout lines
+ * are cut around where the value was found (provenance) or, when it was not found, around
+ * the lines carrying the field's usual labels. azureOpenAIService.confirmFromJsonWindows
+ * then returns the value only if it is printed verbatim in those windows.
+ *
+ * Outcomes:
+ * - CONFIRMED     the verifier returned a printed form of the value; kept
+ * - NOT_CONFIRMED the verifier found nothing; kept with low confidence when the value is
+ *                 printed in the document, nulled when it is not (likely invented)
+ * - CONFLICT      the verifier returned a different value; nulled, the verbatim text is recorded
+ * - UNVERIFIED    the verifier call failed; kept
+ * - ABSENT        nothing was extracted for the field
+ * - COMPUTED      the profile's normalize derived the value (customs: amountDue from the line items)
+ */
+
+const azureOpenAIService = require('../azure-openai.service');
+const { isPrintedForm } = require('./groundExtract');
+
+// Lines kept on each side of a candidate line, and candidate windows per field
+const WINDOW_LINES = 3;
+const MAX_WINDOWS = 3;
+const CONTENT_WINDOW_CHARS = 300;
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+function lineContains(line, offset) {
+  const spans = line.spans || (line.span ? [line.span] : []);
+  return spans.some(span => offset >= span.offset && offset < span.offset + span.length);
+}
+
+/**
+ * JSON window of the layout lines around one line of a page
+ */
+function linesWindow(layout, pageIndex, lineIndex) {
+  const page = layout.pages[pageIndex];
+  const from = Math.max(0, lineIndex - WINDOW_LINES);
+  const lines = (page.lines || []).slice(from, lineIndex + WINDOW_LINES + 1).map((line, k) => ({
+    path: `pages[${pageIndex}].lines[${from + k}]`,
+    content: line.content
+  }));
+  return {
+    text: JSON.stringify({ pageNumber: page.pageNumber, lines }),
+    paths: lines.map(line => line.path)
+  };
+}
+
+/**
+ * Windows around where the value was found, or around the lines with the field's labels
+ */
+function buildWindows(layout, spec, grounding) {
+  const pages = layout.pages || [];
+
+  if (grounding && grounding.grounded) {
+    const { offset } = grounding.span;
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      const lineIndex = (pages[pageIndex].lines || []).findIndex(line => lineContains(line, offset));
+      if (lineIndex !== -1) return [linesWindow(layout, pageIndex, lineIndex)];
+    }
+    // Layouts without lines: a slice of the content around the match
+    const content = layout.content || '';
+    const start = Math.max(0, offset - CONTENT_WINDOW_CHARS);
+    return [{
+      text: JSON.stringify({ offset: start, content: content.slice(start, offset + grounding.span.length + CONTENT_WINDOW_CHARS) }),
+      paths: ['content']
+    }];
+  }
+
+  const candidates = [];
+  pages.forEach((page, pageIndex) => (page.lines || []).forEach((line, lineIndex) => {
+    if (spec.labels.test(line.content || '')) candidates.push({ pageIndex, lineIndex });
+  }));
+  const picked = spec.fromEnd ? candidates.slice(-MAX_WINDOWS) : candidates.slice(0, MAX_WINDOWS);
+  return picked.map(({ pageIndex, lineIndex }) => linesWindow(layout, pageIndex, lineIndex));
+}
+
+/**
+ * Confirm the critical fields of an extract against the layout
+ * @param {Object} extract - Normalized InvoiceExtract
+ * @param {Object} provenance - groundExtract result for the extract
+ * @param {Object} layout - Layout the extract was read from
+ * @param {Object} [options] - { signal }, { fields } the profile's criticalFields
+ *   ({ section, field, description, labels, fromEnd }, fromEnd: label lines are taken from the end)
+ * @returns {Promise<Object>} - { extract (unconfirmed values nulled), confirmation: { summary, fields } }
+ */
+async function confirmCriticalFields(extract, provenance, layout, { signal = null, fields: criticalFields = [] } = {}) {
+  const confirmed = JSON.parse(JSON.stringify(extract));
+  const fields = {};
+  const summary = { CONFIRMED: 0, NOT_CONFIRMED: 0, CONFLICT: 0, UNVERIFIED: 0, ABSENT: 0, COMPUTED: 0, nulled: 0 };
+
+  for (const spec of criticalFields) {
+    const entries = confirmed[spec.section] && confirmed[spec.section].length > 0 ? confirmed[spec.section] : [{}];
+    const path = `${spec.section}[0].${spec.field}`;
+    const value = entries[0][spec.field];
+
+    if (!hasValue(value)) {
+      fields[path] = { status: 'ABSENT' };
+      summary.ABSENT++;
+      continue;
+    }
+
+    const grounding = provenance && provenance.fields ? provenance.fields[path] : null;
+    if (grounding && grounding.computed) {
+      fields[path] = { status: 'COMPUTED', value };
+      summary.COMPUTED++;
+      continue;
+    }
+
+    const windows = buildWindows(layout, spec, grounding);
+    const outcome = { value, grounded: !!(grounding && grounding.grounded), windows: windows.flatMap(window => window.paths) };
+
+    try {
+      if (signal) signal.throwIfAborted();
+      const result = windows.length > 0
+        ? await azureOpenAIService.confirmFromJsonWindows({
+          field: spec.description,
+          hints: [`Extracted value: ${value}`, 'Return the text exactly as printed, without its label'],
+          windows
+        }, { signal })
+        : { value: null };
+
+      outcome.verbatim = result.value;
+      if (result.value === null) outcome.status = 'NOT_CONFIRMED';
+      else outcome.status = isPrintedForm(spec.field, value, result.value) ? 'CONFIRMED' : 'CONFLICT';
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      outcome.status = 'UNVERIFIED';
+      outcome.error = error.message;
+    }
+
+    if (outcome.status === 'CONFIRMED') outcome.confidence = 'high';
+    else if (outcome.status === 'UNVERIFIED' || (outcome.status === 'NOT_CONFIRMED' && outcome.grounded)) outcome.confidence = 'low';
+    else {
+      // Contradicted by the document, or printed nowhere in it
+      delete entries[0][spec.field];
+      outcome.nulled = true;
+      summary.nulled++;
+    }
+
+    fields[path] = outcome;
+    summary[outcome.status]++;
+  }
+
+  return { extract: confirmed, confirmation: { summary, fields } };
+}
+
+module.exports = { confirmCriticalFields };
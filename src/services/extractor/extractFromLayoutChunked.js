@@ -1,163 +1,300 @@
-const azureConfig = require('../../config/azure');
 const { deriveProductTableHints } = require('./deriveProductTableHints');
 const { buildExtractPrompt } = require('../../prompts/extractInvoice');
-const { InvoiceExtractSchema } = require('../../validation/invoice-extract.zod');
-const { normalizeInvoice } = require('./extractFromLayout');
+const { zodToInterface } = require('../../prompts/zodToInterface');
+const { getProfile } = require('./profiles');
+const { callAzureOpenAI } = require('./callAzureOpenAI');
+const { verifyExtract } = require('./verifyExtract');
+const { lineItemKey } = require('./reconcileInvoice');
 
-async function callAzureOpenAI({ system, user }) {
-  if (!azureConfig.openAIClient) {
-    azureConfig.initialize();
-  }
-  const client = azureConfig.getOpenAIClient();
-  const deployment = azureConfig.getOpenAIDeploymentName();
-
-  const resp = await client.chat.completions.create({
-    model: deployment,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: JSON.stringify(user) },
-    ],
-    temperature: 0,
-    max_tokens: 4000,
-    response_format: { type: 'json_object' },
+// Pages read for the header and parties, and for the totals
+const HEADER_PAGES = parseInt(process.env.CHUNKED_HEADER_PAGES || '2', 10);
+const TOTALS_PAGES = parseInt(process.env.CHUNKED_TOTALS_PAGES || '2', 10);
+// Pages per line-item call
+const PAGES_PER_CALL = parseInt(process.env.CHUNKED_PAGES_PER_CALL || '1', 10);
+// Rows at the top of a page compared with the end of the previous one
+const CARRY_OVER_ROWS = 3;
+
+const listKeys = keys => (keys.length > 1 ? `${keys.slice(0, -1).join(', ')} and ${keys[keys.length - 1]}` : keys[0]);
+
+/**
+ * Each call asks for one part of the profile's extract, from the pages where it is printed:
+ * the header sections from the first pages, the totals sections from the last pages, the
+ * line items page by page. Interfaces are generated from the picked part of the schema.
+ */
+const sectionsByProfile = new Map();
+function getSections(profile) {
+  if (sectionsByProfile.has(profile.name)) return sectionsByProfile.get(profile.name);
+
+  const keys = Object.keys(profile.schema.shape);
+  const totalsKeys = keys.filter(key => profile.totalsSections.includes(key));
+  const headerKeys = keys.filter(key => key !== 'lineItems' && !totalsKeys.includes(key));
+  const section = (sectionKeys, maxTokens, scope) => ({
+    keys: sectionKeys,
+    maxTokens,
+    scope,
+    interfaceCode: zodToInterface(profile.schema.pick(Object.fromEntries(sectionKeys.map(key => [key, true]))), profile.interfaceName)
   });
-  const content = resp?.choices?.[0]?.message?.content?.trim() || '{}';
-  return content;
+
+  const sections = {
+    header: section(headerKeys, 2000, `Extract only ${listKeys(headerKeys)} from these first pages; line items and totals are extracted separately. Return them as empty arrays.`),
+    totals: section(totalsKeys, 1000, `Extract only ${listKeys(totalsKeys)} from these last pages: the totals of the whole document, not the subtotals carried over from page to page. Return the other sections as empty arrays.`),
+    lineItems: section(['lineItems'], 4000, 'Extract only the lineItems printed on these pages, in order. Skip repeated table headers and "carried forward" / page subtotal rows. Return the other sections as empty arrays.')
+  };
+  sectionsByProfile.set(profile.name, sections);
+  return sections;
+}
+
+function formatPages(pages) {
+  return pages.length > 1 ? `${pages[0]}-${pages[pages.length - 1]}` : String(pages[0]);
+}
+
+function isOnPages(element, pageNumbers) {
+  return (element.boundingRegions || []).some(region => pageNumbers.includes(region.pageNumber));
 }
 
 /**
- * Extract from large layouts by chunking tables into smaller batches
+ * Text of a layout page, from its spans into `content` (or its lines when there are none)
  */
-async function extractFromLayoutChunked(layout) {
-  if (!layout || typeof layout !== 'object') throw new Error('layout payload required');
+function pageText(layout, page) {
+  const content = layout.content || '';
+  if (content && Array.isArray(page.spans) && page.spans.length > 0) {
+    return page.spans.map(span => content.slice(span.offset, span.offset + span.length)).join('\n');
+  }
+  return (page.lines || []).map(line => line.content || '').join('\n');
+}
 
-  console.log('📊 Processing layout with', layout.tables?.length || 0, 'tables');
+/**
+ * The part of a layout printed on some pages: their text, tables and paragraphs
+ */
+function sliceLayout(layout, pageNumbers) {
+  const pages = (layout.pages || []).filter(page => pageNumbers.includes(page.pageNumber));
 
-  const tables = layout.tables || [];
-  const CHUNK_SIZE = 10; // Process 10 tables at a time
-  const allLineItems = [];
-  let totalProcessed = 0;
+  return {
+    content: pages.map(page => `--- Page ${page.pageNumber} ---\n${pageText(layout, page)}`).join('\n\n'),
+    pages,
+    tables: (layout.tables || []).filter(table => isOnPages(table, pageNumbers)).map(table => ({
+      ...table,
+      // A table running over a page break keeps its header row on every page
+      cells: (table.cells || []).filter(cell => !cell.boundingRegions || cell.rowIndex === 0 || isOnPages(cell, pageNumbers))
+    })),
+    paragraphs: (layout.paragraphs || []).filter(paragraph => isOnPages(paragraph, pageNumbers))
+  };
+}
 
-  // Process tables in chunks
-  for (let i = 0; i < tables.length; i += CHUNK_SIZE) {
-    const chunk = tables.slice(i, i + CHUNK_SIZE);
-    const chunkLayout = {
-      ...layout,
-      tables: chunk
-    };
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    let cleaned = raw.replace(/```json\s*/g, '').replace(/```\s*$/g, '');
+    const startIndex = cleaned.indexOf('{');
+    const lastIndex = cleaned.lastIndexOf('}');
+    if (startIndex !== -1 && lastIndex > startIndex) {
+      cleaned = cleaned.substring(startIndex, lastIndex + 1);
+    }
+    return JSON.parse(cleaned.trim());
+  }
+}
 
-    console.log(`🔄 Processing chunk ${Math.floor(i/CHUNK_SIZE) + 1}/${Math.ceil(tables.length/CHUNK_SIZE)} (${chunk.length} tables)`);
+/**
+ * Extract one section of the profile's extract from a slice of the layout
+ * @returns {Promise<Object>} - The section's arrays, validated against the profile's schema
+ */
+async function extractSection(layoutSlice, profile, section, scope, signal) {
+  const { glossary } = deriveProductTableHints(layoutSlice);
+  const { system, user } = buildExtractPrompt({
+    markdown: layoutSlice.content || '',
+    tablesGlossary: glossary,
+    interfaceCode: section.interfaceCode,
+    rules: profile.rules,
+    example: profile.example,
+    system: profile.system,
+    scope
+  });
 
+  const maxRetries = 2;
+  let raw;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const { glossary } = deriveProductTableHints(chunkLayout);
-
-      // Build focused content for this chunk
-      let chunkContent = layout.content || '';
-      
-      // If content is too large, create a summary focusing on tables
-      if (chunkContent.length > 10000) {
-        chunkContent = `Document chunk ${Math.floor(i/CHUNK_SIZE) + 1} with ${chunk.length} tables:\n\n`;
-        chunk.forEach((table, idx) => {
-          const headerCells = table.cells?.filter(c => c.rowIndex === 0) || [];
-          const headers = headerCells
-            .sort((a, b) => a.columnIndex - b.columnIndex)
-            .map(c => c.content || '');
-          chunkContent += `Table ${i + idx + 1}: ${headers.join(', ')}\n`;
-          
-          // Add a few sample rows
-          const sampleRows = table.cells?.filter(c => c.rowIndex > 0 && c.rowIndex <= 3) || [];
-          const rowData = {};
-          sampleRows.forEach(cell => {
-            if (!rowData[cell.rowIndex]) rowData[cell.rowIndex] = [];
-            rowData[cell.rowIndex][cell.columnIndex] = cell.content || '';
-          });
-          
-          Object.values(rowData).forEach((row, rowIdx) => {
-            chunkContent += `Row ${rowIdx + 1}: ${row.join(' | ')}\n`;
-          });
-          chunkContent += '\n';
-        });
-      }
-
-      const interfaceCode = `export interface InvoiceExtract {
-  lineItems: Array<{
-    productCode?: string;
-    description?: string;
-    hsCode?: string;
-    originCountry?: string;
-    totalAmount?: number;
-    netWeight?: number;
-    grossWeight?: number;
-    quantity?: number;
-    UOM?: string;
-    type?: string; // 'product', 'shipping', 'tax', 'fee', 'discount', 'other'
-    rate?: number;
-    baseAmount?: number;
-    currency?: string;
-    category?: string;
-  }>;
-}`;
-
-      const { system, user } = buildExtractPrompt({
-        markdown: chunkContent,
-        tablesGlossary: glossary,
-        interfaceCode,
-      });
-
-      // Call LLM
-      let raw = '{}';
-      try {
-        raw = await callAzureOpenAI({ system, user });
-        console.log(`✅ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} LLM response: ${raw.length} chars`);
-      } catch (err) {
-        console.error(`❌ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} LLM failed:`, err.message);
-        continue; // Skip this chunk but continue with others
-      }
-
-      // Parse response
-      let parsed;
-      try {
-        parsed = JSON.parse(raw);
-      } catch (e) {
-        console.error(`❌ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} JSON parse error:`, e.message);
-        const cleaned = raw.replace(/```json\s*/g, '').replace(/```\s*$/g, '');
-        try {
-          parsed = JSON.parse(cleaned);
-        } catch (e2) {
-          console.error(`❌ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} cleanup failed, skipping`);
-          continue;
-        }
-      }
-
-      // Validate and collect items
-      if (parsed.lineItems && Array.isArray(parsed.lineItems)) {
-        allLineItems.push(...parsed.lineItems);
-        totalProcessed += parsed.lineItems.length;
-        console.log(`📦 Chunk ${Math.floor(i/CHUNK_SIZE) + 1} added ${parsed.lineItems.length} items (total: ${totalProcessed})`);
-      }
+      raw = await callAzureOpenAI({ system, user }, signal, { maxTokens: section.maxTokens });
+      break;
+    } catch (err) {
+      if (attempt === maxRetries || (signal && signal.aborted)) throw err;
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+    }
+  }
+
+  const parsed = parseJson(raw);
+  const picked = {};
+  section.keys.forEach((key) => {
+    picked[key] = Array.isArray(parsed[key]) ? parsed[key] : [];
+  });
+  const shape = Object.fromEntries(section.keys.map(key => [key, true]));
+  return profile.schema.pick(shape).parse(picked);
+}
+
+const normalizeText = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Text of the table rows that run over a page break: rows with a cell whose bounding
+ * regions are on both pages. Such a cell is in both page slices, so its row is extracted twice.
+ */
+function rowsAcrossBreak(layout, pageBefore, pageAfter) {
+  const rows = [];
+  (layout.tables || []).forEach((table) => {
+    const cells = table.cells || [];
+    const rowIndexes = new Set(cells
+      .filter(cell => isOnPages(cell, [pageBefore]) && isOnPages(cell, [pageAfter]))
+      .map(cell => cell.rowIndex));
+    rowIndexes.forEach((rowIndex) => {
+      rows.push(normalizeText(cells.filter(cell => cell.rowIndex === rowIndex).map(cell => cell.content).join(' ')));
+    });
+  });
+  return rows;
+}
+
+function isRowText(item, rowText) {
+  return [item.productCode, item.description].map(normalizeText).some(value => value && rowText.includes(value));
+}
+
+/**
+ * Drop the rows at the top of a page that repeat the last rows of the previous page
+ * Only a row the layout shows across the page break is dropped; the same article listed
+ * twice in a row is kept and returned in `repeated`, so it can be flagged instead.
+ * @param {Array} previousItems - Rows extracted from the previous page(s)
+ * @param {Array} items - Rows extracted from the current page(s)
+ * @param {Array<string>} breakRows - Text of the table rows across the break (rowsAcrossBreak)
+ * @returns {Object} - { items, removed, repeated } (repeated: indexes into items)
+ */
+function dropCarriedOverRows(previousItems, items, breakRows) {
+  const tail = new Set(previousItems.slice(-CARRY_OVER_ROWS).map(lineItemKey).filter(Boolean));
+  const unmatchedRows = [...breakRows];
+  const kept = [];
+  const repeated = [];
+  let removed = 0;
+  // Only the first rows of the page, up to the first one that is not in the previous page's tail
+  let atTop = true;
+
+  items.forEach((item, index) => {
+    atTop = atTop && index < CARRY_OVER_ROWS && tail.has(lineItemKey(item));
+    if (!atTop) {
+      kept.push(item);
+      return;
+    }
+
+    const rowIndex = unmatchedRows.findIndex(rowText => isRowText(item, rowText));
+    if (rowIndex >= 0) {
+      unmatchedRows.splice(rowIndex, 1);
+      removed++;
+    } else {
+      repeated.push(kept.length);
+      kept.push(item);
+    }
+  });
+  return { items: kept, removed, repeated };
+}
+
+/**
+ * Extract from large layouts page by page: header and parties from the first pages,
+ * totals from the last pages, line items from every page in order.
+ * @param {object} layout Azure Document Intelligence Layout JSON ({ content, pages, tables, paragraphs })
+ * @param {object} [options] { onStage } called with 'llm' and 'validation', { signal } aborts the pending LLM call,
+ *   { profile } extraction profile name (EXTRACTION_PROFILE by default)
+ * @returns {Promise<{ extract: any, diagnostics: any }>} - diagnostics.chunked lists the calls that failed
+ */
+async function extractFromLayoutChunked(layout, { onStage = () => {}, signal = null, profile = null } = {}) {
+  if (!layout || typeof layout !== 'object') throw new Error('layout payload required');
+  const extractionProfile = getProfile(profile);
+  const sections = getSections(extractionProfile);
+
+  // Layouts without page information are read as a single page
+  const pageNumbers = (layout.pages || []).map(page => page.pageNumber).filter(Number.isInteger);
+  const allPages = pageNumbers.length > 0 ? pageNumbers : [1];
+  const slice = pages => (pageNumbers.length > 0 ? sliceLayout(layout, pages) : layout);
 
+  console.log(`📊 Chunked extraction of ${allPages.length} page(s), ${layout.tables?.length || 0} tables`);
+
+  const failures = [];
+  let calls = 0;
+  const run = async (name, pages) => {
+    if (signal) signal.throwIfAborted();
+    calls++;
+    const scope = `Pages ${formatPages(pages)} of ${allPages.length}. ${sections[name].scope}`;
+    try {
+      return await extractSection(slice(pages), extractionProfile, sections[name], scope, signal);
     } catch (error) {
-      console.error(`❌ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} failed:`, error.message);
-      continue; // Continue with next chunk
+      if (signal && signal.aborted) throw error;
+      console.error(`❌ Chunked ${name} extraction failed on page(s) ${formatPages(pages)}:`, error.message);
+      failures.push({ section: name, pages: formatPages(pages), error: error.message });
+      return null;
+    }
+  };
+
+  await onStage('llm');
+  const headerPages = allPages.slice(0, HEADER_PAGES);
+  const totalsPages = allPages.slice(-TOTALS_PAGES);
+  const header = await run('header', headerPages);
+  const totals = await run('totals', totalsPages);
+
+  const lineItems = [];
+  let previousItems = [];
+  let duplicateRowsRemoved = 0;
+  const repeatedRowsKept = [];
+  const missingPages = [];
+  for (let i = 0; i < allPages.length; i += PAGES_PER_CALL) {
+    const pages = allPages.slice(i, i + PAGES_PER_CALL);
+    const result = await run('lineItems', pages);
+    if (!result) {
+      missingPages.push(...pages);
+      previousItems = [];
+      continue;
     }
+
+    const breakRows = previousItems.length > 0 ? rowsAcrossBreak(layout, allPages[i - 1], pages[0]) : [];
+    const { items, removed, repeated } = dropCarriedOverRows(previousItems, result.lineItems || [], breakRows);
+    repeated.forEach((index) => {
+      repeatedRowsKept.push({ pages: formatPages(pages), lineIndex: lineItems.length + index, description: items[index].description || items[index].productCode || null });
+    });
+    lineItems.push(...items);
+    duplicateRowsRemoved += removed;
+    previousItems = result.lineItems || [];
+    console.log(`📦 Page(s) ${formatPages(pages)}: ${items.length} items${removed ? ` (${removed} repeated across the break)` : ''}${repeated.length ? ` (${repeated.length} repeat(s) of the previous page kept)` : ''} (total: ${lineItems.length})`);
+  }
+
+  if (failures.length === calls) {
+    throw new Error(`Chunked extraction failed on every page: ${failures[0].error}`);
   }
 
-  console.log(`🎉 Extraction complete! Total items: ${allLineItems.length}`);
+  await onStage('validation');
+  const merged = { lineItems };
+  [[sections.header, header], [sections.totals, totals]].forEach(([section, result]) => {
+    section.keys.forEach((key) => {
+      merged[key] = result ? result[key] : [];
+    });
+  });
+  const validated = extractionProfile.schema.parse(merged);
+  const { normalized, diagnostics } = extractionProfile.normalize(validated);
+  diagnostics.profile = extractionProfile.name;
 
-  // Create final extract
-  const extract = {
-    lineItems: allLineItems,
-    totalsAndSubtotals: [],
-    basicInformation: [],
-    importer: [],
-    exporter: []
+  diagnostics.chunked = {
+    pageCount: allPages.length,
+    headerPages: formatPages(headerPages),
+    totalsPages: formatPages(totalsPages),
+    calls,
+    duplicateRowsRemoved,
+    // Same row as the end of the previous page without the layout showing it across the break
+    repeatedRowsKept,
+    failed: failures
   };
+  // Missing rows are looked for on the pages that failed, or in the whole document
+  const extract = await verifyExtract(normalized, diagnostics, layout, {
+    signal,
+    profile: extractionProfile,
+    missingPages,
+    reconcileLayout: missingPages.length > 0 ? slice(missingPages) : layout
+  });
+  console.log(`🎉 Chunked extraction complete: ${extract.lineItems.length} items, ${failures.length} failed call(s)`);
 
-  // Validate final result
-  const validated = InvoiceExtractSchema.parse(extract);
-  const { normalized, diagnostics } = normalizeInvoice(validated);
-
-  return { extract: normalized, diagnostics };
+  return { extract, diagnostics };
 }
 
 module.exports = { extractFromLayoutChunked };
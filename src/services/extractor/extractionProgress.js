@@ -0,0 +1,84 @@
+/**
+ * Progress of a batch extraction, persisted on the batch (`progress` column) so
+ * GET /batches/:id/status can show which invoice is being extracted, at which stage,
+ * and when the batch should be done. The ETA is the average duration of the invoices
+ * finished so far times the invoices left, minus the time already spent on the
+ * current one.
+ */
+
+// Stages of one invoice, in order
+const EXTRACTION_STAGES = ['layout', 'llm', 'validation'];
+
+/**
+ * Create a progress tracker for a batch
+ * @param {number} totalInvoices - Invoices to extract
+ * @param {Object} [options] - { now } clock override
+ * @returns {Object} - { startInvoice, setStage, finishInvoice, complete, snapshot }
+ */
+function createExtractionProgress(totalInvoices, { now = () => Date.now() } = {}) {
+  const startedAt = now();
+  const durations = [];
+  let current = null;
+  let stage = 'queued';
+  let completed = 0;
+  let failed = 0;
+  let finishedAt = null;
+
+  function estimateRemainingMs() {
+    if (finishedAt) return 0;
+    if (durations.length === 0) return null;
+
+    const average = durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+    const remaining = totalInvoices - completed - failed;
+    const spentOnCurrent = current ? now() - current.startedAt : 0;
+    return Math.max(0, Math.round(average * remaining - spentOnCurrent));
+  }
+
+  return {
+    startInvoice(index, split) {
+      current = { index, splitId: split.id, invoiceNumber: split.invoiceNumber || null, startedAt: now() };
+      stage = EXTRACTION_STAGES[0];
+    },
+
+    setStage(nextStage) {
+      if (!EXTRACTION_STAGES.includes(nextStage)) {
+        throw new Error(`Unknown extraction stage: ${nextStage}`);
+      }
+      stage = nextStage;
+    },
+
+    finishInvoice(success) {
+      if (!current) return;
+      durations.push(now() - current.startedAt);
+      if (success) completed++;
+      else failed++;
+      current = null;
+    },
+
+    complete() {
+      current = null;
+      stage = 'done';
+      finishedAt = now();
+    },
+
+    snapshot() {
+      const remainingMs = estimateRemainingMs();
+      return {
+        totalInvoices,
+        currentInvoiceIndex: current ? current.index + 1 : null,
+        currentInvoice: current ? { splitId: current.splitId, invoiceNumber: current.invoiceNumber } : null,
+        stage,
+        completed,
+        failed,
+        remaining: totalInvoices - completed - failed,
+        averageInvoiceMs: durations.length > 0 ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null,
+        etaSeconds: remainingMs === null ? null : Math.ceil(remainingMs / 1000),
+        estimatedCompletionAt: remainingMs === null ? null : new Date(now() + remainingMs).toISOString(),
+        startedAt: new Date(startedAt).toISOString(),
+        updatedAt: new Date(now()).toISOString()
+      };
+    }
+  };
+}
+
+module.exports = { EXTRACTION_STAGES, createExtractionProgress };
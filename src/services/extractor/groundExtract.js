@@ -0,0 +1,347 @@
+/**
+ * Link extracted values back to the document: for every field and line item, the page,
+ * the Layout span and polygon it was read from, and the verbatim text found there.
+ * Values are looked up in the Layout `content` (case and whitespace insensitive). Values
+ * normalizeInvoice rewrote are looked up in their printed forms: ISO dates as DD/MM/YYYY
+ * etc., country codes as names, numbers through the same parser as the schema.
+ * A value found nowhere in the document is reported as ungrounded (likely invented).
+ */
+
+const countries = require('i18n-iso-countries');
+const { parseNumber } = require('../../validation/invoice-extract.zod');
+
+try { countries.registerLocale(require('i18n-iso-countries/langs/en.json')); } catch {}
+try { countries.registerLocale(require('i18n-iso-countries/langs/fr.json')); } catch {}
+try { countries.registerLocale(require('i18n-iso-countries/langs/de.json')); } catch {}
+
+// Date fields are named *Date (documentDate, dueDate...), country fields *Country or country
+const isDateField = field => /Date$/.test(field);
+const isCountryField = field => /(^c|C)ountry$/.test(field) || field === 'finalDestination';
+const CURRENCY_SYMBOLS = { EUR: ['€'], USD: ['$', 'US$'], GBP: ['£'], JPY: ['¥'], CHF: ['Fr.', 'SFr.'] };
+// The prompt maps printed document types to English ones (FACTURE -> Invoice)
+const DOCUMENT_TYPE_FORMS = {
+  invoice: ['facture', 'rechnung', 'fattura', 'factura', 'commercial invoice'],
+  proforma: ['pro forma', 'pro-forma', 'facture proforma'],
+  'credit note': ['avoir', 'gutschrift', 'nota di credito']
+};
+// Descriptions the model shortened or completed are matched on their beginning
+const PARTIAL_MATCH_CHARS = 24;
+const MAX_CONTEXT_CHARS = 160;
+
+const isAlphanumeric = ch => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+/**
+ * Lower-cased content with whitespace runs collapsed, and the offset in `content` of each character
+ */
+function buildTextIndex(content) {
+  let text = '';
+  const offsets = [];
+  let inSpace = false;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (/\s/.test(ch)) {
+      if (!inSpace && text.length > 0) {
+        text += ' ';
+        offsets.push(i);
+      }
+      inSpace = true;
+      continue;
+    }
+    inSpace = false;
+    const lower = ch.toLowerCase();
+    text += lower.length === 1 ? lower : ch;
+    offsets.push(i);
+  }
+  return { text, offsets };
+}
+
+const normalizeNeedle = value => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Number printed at each place of the content, by value in hundredths
+ */
+function buildNumberIndex(content) {
+  const byValue = new Map();
+  const add = (value, offset, length) => {
+    if (!Number.isFinite(value)) return;
+    const key = Math.round(value * 100);
+    if (!byValue.has(key)) byValue.set(key, []);
+    byValue.get(key).push({ offset, length });
+  };
+
+  const patterns = [
+    /\d(?:[\d.,']*\d)?/g,
+    // Space as thousands separator: 1 234,50
+    /\d{1,3}(?:[ \u00a0]\d{3})+(?:[.,]\d+)?/g
+  ];
+  patterns.forEach((pattern) => {
+    for (const match of content.matchAll(pattern)) {
+      const token = match[0];
+      add(parseNumber(token.replace(/'/g, '')), match.index, token.length);
+      // "1,500" may be 1.5 as well as 1500
+      if (/^\d+[.,]\d{3}$/.test(token)) add(Number(token.replace(',', '.')), match.index, token.length);
+    }
+  });
+  return byValue;
+}
+
+/**
+ * Layout elements by content offset, to find the page, cell or line of a match
+ */
+function buildSpanIndex(elements) {
+  const entries = [];
+  elements.forEach(({ spans, ...element }) => {
+    (spans || []).forEach(span => entries.push({ offset: span.offset, end: span.offset + span.length, ...element }));
+  });
+  return entries.sort((a, b) => a.offset - b.offset);
+}
+
+function findInSpanIndex(entries, offset) {
+  let low = 0;
+  let high = entries.length - 1;
+  let found = null;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle].offset <= offset) {
+      found = entries[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found && offset < found.end ? found : null;
+}
+
+function buildLayoutIndex(layout) {
+  const content = layout.content || '';
+  const pages = layout.pages || [];
+
+  const cells = [];
+  (layout.tables || []).forEach(table => (table.cells || []).forEach((cell) => {
+    const region = (cell.boundingRegions || [])[0];
+    if (region) cells.push({ spans: cell.spans, pageNumber: region.pageNumber, polygon: region.polygon, text: cell.content });
+  }));
+
+  const lines = [];
+  pages.forEach(page => (page.lines || []).forEach((line) => {
+    lines.push({ spans: line.spans || (line.span ? [line.span] : []), pageNumber: page.pageNumber, polygon: line.polygon, text: line.content });
+  }));
+
+  return {
+    content,
+    text: buildTextIndex(content),
+    numbers: buildNumberIndex(content),
+    pages: buildSpanIndex(pages.map(page => ({ spans: page.spans, pageNumber: page.pageNumber, unit: page.unit }))),
+    cells: buildSpanIndex(cells),
+    lines: buildSpanIndex(lines)
+  };
+}
+
+/**
+ * Every place a piece of text appears, as { offset, length } in the content
+ */
+function findText(index, value) {
+  const needle = normalizeNeedle(value);
+  if (!needle) return [];
+
+  const { text, offsets } = index.text;
+  const found = [];
+  let position = text.indexOf(needle);
+  while (position !== -1 && found.length < 200) {
+    // Whole words only: "CH" must not match inside "CHARGES"
+    const before = text[position - 1];
+    const after = text[position + needle.length];
+    const wordStart = !isAlphanumeric(needle[0]) || !isAlphanumeric(before);
+    const wordEnd = !isAlphanumeric(needle[needle.length - 1]) || !isAlphanumeric(after);
+    if (wordStart && wordEnd) {
+      const start = offsets[position];
+      found.push({ offset: start, length: offsets[position + needle.length - 1] + 1 - start });
+    }
+    position = text.indexOf(needle, position + 1);
+  }
+  return found;
+}
+
+function dateForms(iso) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso);
+  if (!match) return [iso];
+  const [, year, month, day] = match;
+  const short = year.slice(2);
+  const d = String(Number(day));
+  const m = String(Number(month));
+  return [
+    iso,
+    `${day}/${month}/${year}`, `${day}.${month}.${year}`, `${day}-${month}-${year}`, `${month}/${day}/${year}`, `${year}/${month}/${day}`,
+    `${d}/${m}/${year}`, `${d}.${m}.${year}`, `${day}/${month}/${short}`, `${day}.${month}.${short}`
+  ];
+}
+
+function countryForms(value) {
+  const forms = [value];
+  if (/^[A-Z]{2}$/.test(value)) {
+    ['en', 'fr', 'de'].forEach((lang) => {
+      const name = countries.getName(value, lang);
+      if (name) forms.push(name);
+    });
+  }
+  return forms;
+}
+
+/**
+ * Ways a (normalized) string value may be printed, the value itself first
+ */
+function printedForms(field, raw) {
+  if (isDateField(field)) return dateForms(raw);
+  if (isCountryField(field)) return countryForms(raw);
+  if (field === 'currency') return [raw, ...(CURRENCY_SYMBOLS[raw] || [])];
+  if (field === 'documentType') return [raw, ...(DOCUMENT_TYPE_FORMS[raw.toLowerCase()] || [])];
+  // IBANs are normalized without spaces and printed in groups of four
+  if (field === 'iban') return [raw, raw.replace(/(.{4})(?=.)/g, '$1 ')];
+  return [raw];
+}
+
+/**
+ * Whether a piece of document text is a printed form of an extracted value
+ * ("1 279,50" for 1279.5, "05/02/2025" for 2025-02-05, "CHE-123.456.789" for 123456789)
+ */
+function isPrintedForm(field, value, text) {
+  if (text === null || text === undefined || text === '') return false;
+
+  if (typeof value === 'number') {
+    const printed = parseNumber(String(text).replace(/[^\d.,\s'-]/g, ''));
+    if (Number.isFinite(printed) && Math.abs(printed - value) < 0.005) return true;
+    // Identifiers (VAT, EORI) parsed as numbers lose their prefix and separators
+    return Number.isInteger(value) && String(text).replace(/\D/g, '') === String(value);
+  }
+
+  const needle = normalizeNeedle(text);
+  return printedForms(field, String(value)).some((form) => {
+    const normalizedForm = normalizeNeedle(form);
+    return normalizedForm && (needle === normalizedForm || needle.includes(normalizedForm));
+  });
+}
+
+/**
+ * Places where a field value is printed, with how it was matched
+ */
+function locateValue(index, field, value) {
+  if (typeof value === 'number') {
+    return (index.numbers.get(Math.round(value * 100)) || []).map(place => ({ ...place, match: 'numeric' }));
+  }
+
+  const raw = String(value);
+  const forms = printedForms(field, raw);
+  for (const [position, form] of forms.entries()) {
+    const places = findText(index, form);
+    if (places.length > 0) return places.map(place => ({ ...place, match: position === 0 ? 'exact' : 'normalized' }));
+  }
+
+  // Long free text (descriptions) the model reworded at the end
+  const needle = normalizeNeedle(raw);
+  if (needle.length > PARTIAL_MATCH_CHARS * 1.5) {
+    // Cut at a word boundary so the whole-word check still applies
+    const prefix = needle.slice(0, PARTIAL_MATCH_CHARS).replace(/\s+\S*$/, '');
+    return findText(index, prefix).map(place => ({ ...place, match: 'partial' }));
+  }
+  return [];
+}
+
+function describePlace(index, place) {
+  const page = findInSpanIndex(index.pages, place.offset);
+  const element = findInSpanIndex(index.cells, place.offset) || findInSpanIndex(index.lines, place.offset);
+  const context = element && element.text ? element.text : null;
+
+  return {
+    grounded: true,
+    match: place.match,
+    page: element ? element.pageNumber : (page ? page.pageNumber : null),
+    span: { offset: place.offset, length: place.length },
+    polygon: element && element.polygon ? element.polygon : null,
+    unit: page && page.unit ? page.unit : null,
+    snippet: index.content.slice(place.offset, place.offset + place.length),
+    context: context && context.length > MAX_CONTEXT_CHARS ? `${context.slice(0, MAX_CONTEXT_CHARS)}…` : context
+  };
+}
+
+/**
+ * Ground one value; with an anchor (offset of the row), the closest occurrence wins
+ */
+function groundValue(index, field, value, anchor = null) {
+  const places = locateValue(index, field, value);
+  if (places.length === 0) return { value, grounded: false };
+
+  let best = places[0];
+  if (anchor !== null) {
+    places.forEach((place) => {
+      if (Math.abs(place.offset - anchor) < Math.abs(best.offset - anchor)) best = place;
+    });
+  }
+  return { value, ...describePlace(index, best) };
+}
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Provenance of a normalized extract
+ * @param {Object} extract - Normalized extract (every section but lineItems is grounded field by field)
+ * @param {Object} layout - Layout the extract was read from ({ content, pages, tables })
+ * @param {Object} [options] - { computed } from the normalize diagnostics (computed totals are not looked up),
+ *   { anchorFields } line item fields that place a row (the profile's, customs by default)
+ * @returns {Object} - { summary, fields, lineItems, ungrounded }
+ */
+function groundExtract(extract, layout, { computed = {}, anchorFields = ['productCode', 'description'] } = {}) {
+  const index = buildLayoutIndex(layout || {});
+  const summary = { fields: 0, grounded: 0, ungrounded: 0, computed: 0 };
+  const ungrounded = [];
+
+  const record = (path, result) => {
+    summary.fields++;
+    if (result.computed) summary.computed++;
+    else if (result.grounded) summary.grounded++;
+    else {
+      summary.ungrounded++;
+      ungrounded.push(path);
+    }
+    return result;
+  };
+
+  const fields = {};
+  const sections = Object.keys(extract || {}).filter(section => section !== 'lineItems' && Array.isArray(extract[section]));
+  sections.forEach((section) => {
+    extract[section].forEach((entry, i) => {
+      Object.entries(entry || {}).filter(([, value]) => hasValue(value)).forEach(([field, value]) => {
+        const path = `${section}[${i}].${field}`;
+        const isComputed = section === 'totalsAndSubtotals' && i === 0 && computed[field];
+        fields[path] = record(path, isComputed ? { value, grounded: false, computed: true } : groundValue(index, field, value));
+      });
+    });
+  });
+
+  const lineItems = ((extract && extract.lineItems) || []).map((item, i) => {
+    const entries = Object.entries(item || {}).filter(([, value]) => hasValue(value));
+    const rowFields = {};
+
+    // The row is placed by its code or description; its numbers are taken from nearby
+    let anchor = null;
+    anchorFields.forEach((field) => {
+      if (anchor !== null || !hasValue(item[field])) return;
+      const result = record(`lineItems[${i}].${field}`, groundValue(index, field, item[field]));
+      rowFields[field] = result;
+      if (result.grounded) anchor = result.span.offset;
+    });
+    entries.filter(([field]) => !rowFields[field]).forEach(([field, value]) => {
+      rowFields[field] = record(`lineItems[${i}].${field}`, groundValue(index, field, value, anchor));
+    });
+
+    const pages = Object.values(rowFields).filter(result => result.grounded && result.page).map(result => result.page);
+    return {
+      page: pages.length > 0 ? pages[0] : null,
+      grounded: Object.values(rowFields).every(result => result.grounded),
+      fields: rowFields
+    };
+  });
+
+  return { summary, fields, lineItems, ungrounded };
+}
+
+module.exports = { groundExtract, isPrintedForm };
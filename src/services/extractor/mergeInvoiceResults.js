@@ -0,0 +1,37 @@
+/**
+ * Merge re-extracted invoices into a batch's extraction results.
+ * Retrying failed invoices only re-runs their splits; every other entry of
+ * `extracted_data` is kept as it was, in its original position.
+ */
+
+/**
+ * Failed invoices of a batch's extraction results
+ * @param {Array} extractedData - Batch `extracted_data`
+ * @returns {Array}
+ */
+function getFailedInvoices(extractedData) {
+  return (extractedData || []).filter(invoice => invoice.status === 'FAILED');
+}
+
+/**
+ * Replace the entries of retried splits and append splits that had no result yet
+ * Each retried entry counts its retries in `retryCount`.
+ * @param {Array} previous - Current `extracted_data`
+ * @param {Array} retried - Fresh results from extractSplitInvoice
+ * @returns {Array} - Merged results
+ */
+function mergeInvoiceResults(previous, retried) {
+  const previousBySplit = new Map((previous || []).map(invoice => [String(invoice.splitId), invoice]));
+  const retriedBySplit = new Map(retried.map(invoice => {
+    const earlier = previousBySplit.get(String(invoice.splitId));
+    return [String(invoice.splitId), { ...invoice, retryCount: ((earlier && earlier.retryCount) || 0) + 1 }];
+  }));
+
+  const merged = (previous || []).map(invoice => retriedBySplit.get(String(invoice.splitId)) || invoice);
+  retriedBySplit.forEach((invoice, splitId) => {
+    if (!previousBySplit.has(splitId)) merged.push(invoice);
+  });
+  return merged;
+}
+
+module.exports = { getFailedInvoices, mergeInvoiceResults };
@@ -0,0 +1,78 @@
+/**
+ * Accounts payable profile: supplier invoices matched against purchase orders, with the
+ * bank details to pay them and the tax breakdown to book them.
+ */
+
+const { ApInvoiceExtractSchema } = require('../../../validation/ap-invoice-extract.zod');
+const { toISODate, normCurrency, normCountry, normalizeFields } = require('./normalizers');
+
+const round = value => Number(value.toFixed(2));
+const normIban = s => String(s).replace(/\s+/g, '').toUpperCase();
+
+function normalizeApInvoice(extract) {
+  const normalized = JSON.parse(JSON.stringify(extract || {}));
+
+  normalized.basicInformation = normalizeFields(normalized.basicInformation, { documentDate: toISODate, dueDate: toISODate });
+  normalized.totalsAndSubtotals = normalizeFields(normalized.totalsAndSubtotals, { currency: normCurrency });
+  normalized.supplier = normalizeFields(normalized.supplier, { country: normCountry });
+  normalized.buyer = normalizeFields(normalized.buyer, { country: normCountry });
+  normalized.paymentDetails = normalizeFields(normalized.paymentDetails, { iban: normIban, bic: normIban });
+
+  // amountDue from net + tax + shipping − discount when the gross total is not printed
+  const diagnostics = { computed: {} };
+  const totals = (normalized.totalsAndSubtotals || [])[0];
+  if (totals && totals.amountDue == null && typeof totals.netAmount === 'number' && typeof totals.taxAmount === 'number') {
+    totals.amountDue = round(totals.netAmount + totals.taxAmount + (totals.shippingAmount || 0) - (totals.discountAmount || 0));
+    diagnostics.computed.amountDue = true;
+  }
+
+  return { normalized, diagnostics };
+}
+
+const VAT_LABELS = /\b(vat|tva|mwst|ust|iva|uid|btw|tax id)\b/i;
+
+module.exports = {
+  name: 'ap',
+  description: 'Accounts payable: purchase order matching, bank details and tax breakdown',
+  interfaceName: 'ApInvoiceExtract',
+  schema: ApInvoiceExtractSchema,
+  rules: [
+    "CRITICAL: Output data in the exact required schema format with these sections:",
+    "1) supplier: The company that issued the invoice and is to be paid (name, vatNumber as printed, address, country as ISO alpha-2)",
+    "2) buyer: The company billed (name, vatNumber, address, country as ISO alpha-2)",
+    "3) basicInformation: documentNumber, documentDate and dueDate as DD/MM/YYYY, purchaseOrderNumber, deliveryNoteNumber, paymentTerms",
+    "4) lineItems: Every billed row (description, quantity, unitPrice, taxRate, totalAmount net of tax) with its PO number and PO line when printed",
+    "5) totalsAndSubtotals: netAmount, taxAmount, shippingAmount, discountAmount, amountDue (gross amount to pay), currency",
+    "6) taxBreakdown: One entry per tax rate printed in the totals (taxType, rate, taxableAmount, taxAmount)",
+    "7) paymentDetails: Bank account to pay (bankName, accountHolder, iban, bic, accountNumber, routingNumber) and the payment reference to quote",
+    "8) Copy identifiers (IBAN, BIC, VAT numbers, PO numbers) exactly as printed; never guess a missing digit",
+    "9) Amounts and rates as numbers; percentages without the % sign",
+    "10) Return strict JSON only—no commentary or explanations.",
+  ],
+  example: {
+    "supplier": [{"name": "Supplier GmbH", "vatNumber": "DE123456789", "address": "Street 1", "city": "Berlin", "country": "DE"}],
+    "buyer": [{"name": "Buyer SA", "vatNumber": "FR12345678901", "city": "Paris", "country": "FR"}],
+    "basicInformation": [{"documentType": "Invoice", "documentNumber": "INV123", "documentDate": "05/02/2025", "dueDate": "07/03/2025", "purchaseOrderNumber": "PO-4500123", "paymentTerms": "30 days net"}],
+    "lineItems": [{"purchaseOrderNumber": "PO-4500123", "purchaseOrderLine": "10", "description": "Service", "quantity": 2, "unitPrice": 50, "taxRate": 19, "totalAmount": 100}],
+    "totalsAndSubtotals": [{"netAmount": 100, "taxAmount": 19, "amountDue": 119, "currency": "EUR"}],
+    "taxBreakdown": [{"taxType": "VAT", "rate": 19, "taxableAmount": 100, "taxAmount": 19}],
+    "paymentDetails": [{"bankName": "Bank", "iban": "DE89370400440532013000", "bic": "COBADEFFXXX", "paymentReference": "INV123"}]
+  },
+  normalize: normalizeApInvoice,
+  totalsSections: ['totalsAndSubtotals', 'taxBreakdown', 'paymentDetails'],
+  anchorFields: ['productCode', 'description'],
+  criticalFields: [
+    { section: 'basicInformation', field: 'documentNumber', description: 'invoice number', labels: /\b(invoice|facture|rechnung|fattura|factura)\b.*(n[o°º]\.?|number|num[eé]ro|nummer|#)|\binv(oice)?\s*(no|#)/i },
+    { section: 'basicInformation', field: 'documentDate', description: 'invoice date', labels: /\b(date|datum|data|fecha)\b/i },
+    { section: 'basicInformation', field: 'purchaseOrderNumber', description: 'purchase order number', labels: /\b(p\.?o\.?|purchase order|order n[o°]|bestell|commande)\b/i },
+    { section: 'totalsAndSubtotals', field: 'amountDue', description: 'gross amount due of the invoice', labels: /\b(total|amount due|montant|[àa] payer|summe|betrag|importe)\b/i, fromEnd: true },
+    { section: 'totalsAndSubtotals', field: 'currency', description: 'currency of the invoice totals (code or symbol)', labels: /\b(currency|devise|w[äa]hrung|total)\b|[€$£]/i, fromEnd: true },
+    { section: 'supplier', field: 'vatNumber', description: 'VAT number of the supplier', labels: VAT_LABELS },
+    { section: 'paymentDetails', field: 'iban', description: 'IBAN of the supplier bank account', labels: /\b(iban|bank|account|konto|compte)\b/i, fromEnd: true }
+  ],
+  reconciliation: [
+    // Line amounts are net of tax
+    { check: 'amount', field: 'totalAmount', total: 'netAmount' },
+    { check: 'tax', items: 'taxBreakdown', field: 'taxAmount', total: 'taxAmount' }
+  ]
+};
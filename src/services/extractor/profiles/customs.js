@@ -0,0 +1,88 @@
+/**
+ * Customs profile (default): the InvoiceExtract used for customs declarations,
+ * with HS codes, origins, EORI / VAT numbers, weights and incoterms.
+ */
+
+const { InvoiceExtractSchema } = require('../../../validation/invoice-extract.zod');
+const { toISODate, normCurrency, normCountry, normalizeFields } = require('./normalizers');
+
+function normalizeInvoice(extract) {
+  // Normalize dates, currencies, and countries in-place
+  const normalized = JSON.parse(JSON.stringify(extract || {}));
+
+  normalized.basicInformation = normalizeFields(normalized.basicInformation, {
+    documentDate: toISODate,
+    dispatchCountry: normCountry,
+    finalDestination: normCountry
+  });
+  normalized.totalsAndSubtotals = normalizeFields(normalized.totalsAndSubtotals, { currency: normCurrency });
+
+  // line items: nothing special besides numbers are parsed by Zod already
+
+  normalized.importer = normalizeFields(normalized.importer, { country: normCountry });
+  normalized.exporter = normalizeFields(normalized.exporter, { country: normCountry });
+
+  // Compute amountDue if missing and derivable
+  const diagnostics = { computed: {} };
+  if ((normalized.totalsAndSubtotals?.length || 0) > 0) {
+    const totals = normalized.totalsAndSubtotals[0];
+    if (totals.amountDue == null && Array.isArray(normalized.lineItems)) {
+      const sum = normalized.lineItems.reduce((acc, it) => acc + (Number(it.totalAmount) || 0), 0);
+      if (sum > 0) {
+        totals.amountDue = Number(sum.toFixed(2));
+        diagnostics.computed.amountDue = true;
+      }
+    }
+  }
+
+  return { normalized, diagnostics };
+}
+
+const VAT_LABELS = /\b(vat|tva|mwst|ust|iva|uid|btw)\b/i;
+
+module.exports = {
+  name: 'customs',
+  description: 'Customs declarations: HS codes, origin countries, EORI / VAT numbers, weights and incoterms',
+  interfaceName: 'InvoiceExtract',
+  schema: InvoiceExtractSchema,
+  rules: [
+    "CRITICAL: Output data in the exact required schema format with these sections:",
+    "1) exporter: Company details (name, vatNumber, address, city, zipCode, country as ISO alpha-2)",
+    "2) importer: Recipient details (name, address, city, zipCode, country as ISO alpha-2)",
+    "3) basicInformation: Document info (documentType, documentNumber, documentDate as DD/MM/YYYY, dispatchCountry, finalDestination, originCountries)",
+    "4) totalsAndSubtotals: Financial totals (amountDue, currency, totalNetWeight, totalGrossWeight, totalQuantity)",
+    "5) lineItems: Product details (productCode, description, hsCode, originCountry, totalAmount, netWeight, grossWeight, quantity, UOM)",
+    "6) Extract ALL product rows from tables - include model numbers, HS codes, weights, quantities",
+    "7) Normalize countries to ISO 3166-1 alpha-2 format (FR, CH, DE, etc.)",
+    "8) Extract weights in kg, quantities as numbers, amounts as numbers",
+    "9) Map document types: FACTURE->Invoice, PROFORMA->Proforma, etc.",
+    "10) Return strict JSON only—no commentary or explanations.",
+  ],
+  example: {
+    "exporter": [{"name": "Company Name", "vatNumber": "VAT123", "address": "Street", "city": "City", "zipCode": 12345, "country": "FR"}],
+    "importer": [{"name": "Importer Name", "address": "Address", "city": "City", "zipCode": 12345, "country": "CH"}],
+    "basicInformation": [{"documentType": "Invoice", "documentNumber": "INV123", "documentDate": "05/02/2025", "dispatchCountry": "FR", "finalDestination": "CH"}],
+    "totalsAndSubtotals": [{"amountDue": 100.50, "currency": "CHF", "totalNetWeight": 2.5, "totalGrossWeight": 3.0, "totalQuantity": 5}],
+    "lineItems": [{"productCode": "ABC123", "description": "Product Name", "hsCode": "1234567890", "originCountry": "FR", "totalAmount": 50.25, "netWeight": 1.2, "grossWeight": 1.5, "quantity": 2, "UOM": "pcs"}]
+  },
+  normalize: normalizeInvoice,
+  // Sections read from the last pages in chunked mode (the others from the first pages)
+  totalsSections: ['totalsAndSubtotals'],
+  // Line item fields that place a row in the document (provenance)
+  anchorFields: ['productCode', 'description'],
+  // Verbatim-confirmed after extraction (confirmCriticalFields)
+  criticalFields: [
+    { section: 'basicInformation', field: 'documentNumber', description: 'invoice / document number', labels: /\b(invoice|facture|rechnung|fattura|factura|document)\b.*(n[o°º]\.?|number|num[eé]ro|nummer|#)|\binv(oice)?\s*(no|#)/i },
+    { section: 'basicInformation', field: 'documentDate', description: 'invoice / document date', labels: /\b(date|datum|data|fecha)\b/i },
+    { section: 'totalsAndSubtotals', field: 'amountDue', description: 'total amount due of the invoice', labels: /\b(total|amount due|montant|[àa] payer|summe|betrag|importe)\b/i, fromEnd: true },
+    { section: 'totalsAndSubtotals', field: 'currency', description: 'currency of the invoice totals (code or symbol)', labels: /\b(currency|devise|w[äa]hrung|total)\b|[€$£]/i, fromEnd: true },
+    { section: 'exporter', field: 'vatNumber', description: 'VAT number of the exporter / seller', labels: VAT_LABELS },
+    { section: 'importer', field: 'vatNumber', description: 'VAT number of the importer / buyer', labels: VAT_LABELS }
+  ],
+  // Line items against the document totals (reconcileInvoice)
+  reconciliation: [
+    { check: 'amount', field: 'totalAmount', total: 'amountDue', minus: ['airFee', 'insuranceFee', 'otherFee1'], plus: ['rebate'] },
+    { check: 'netWeight', field: 'netWeight', total: 'totalNetWeight' },
+    { check: 'quantity', field: 'quantity', total: 'totalQuantity' }
+  ]
+};
@@ -0,0 +1,58 @@
+/**
+ * Extraction profiles: what is extracted from a document and how it is checked.
+ * A profile bundles
+ * - schema          Zod schema of the extract (also the source of the prompt interface)
+ * - rules, example  extraction_rules and schema_example of the prompt (system: optional system prompt)
+ * - normalize       (validated) => { normalized, diagnostics: { computed } }
+ * - totalsSections  sections read from the last pages in chunked mode
+ * - anchorFields    line item fields that place a row in the document (provenance)
+ * - criticalFields  fields verbatim-confirmed after extraction
+ * - reconciliation  line item sums checked against the totals
+ * Every schema has `lineItems` and `totalsAndSubtotals` sections; the other sections are
+ * the document header.
+ */
+
+const { zodToInterface } = require('../../../prompts/zodToInterface');
+
+const PROFILES = Object.fromEntries([
+  require('./customs'),
+  require('./ap'),
+  require('./shipping')
+].map(profile => [profile.name, {
+  ...profile,
+  interfaceCode: zodToInterface(profile.schema, profile.interfaceName)
+}]));
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+const DEFAULT_PROFILE = PROFILES[process.env.EXTRACTION_PROFILE] ? process.env.EXTRACTION_PROFILE : 'customs';
+
+/**
+ * Resolve a profile by name (the default one when none is given)
+ * @param {string|Object} [profile] - Profile name, or an already resolved profile
+ * @returns {Object} - The profile
+ * @throws {Error} - status 400 for an unknown profile
+ */
+function getProfile(profile) {
+  if (profile && typeof profile === 'object') return profile;
+  const name = profile ? String(profile).trim().toLowerCase() : DEFAULT_PROFILE;
+  if (!PROFILES[name]) {
+    throw Object.assign(new Error(`Unknown extraction profile: ${profile} (available: ${PROFILE_NAMES.join(', ')})`), { status: 400 });
+  }
+  return PROFILES[name];
+}
+
+/**
+ * Public description of the profiles (GET /api/extraction-profiles)
+ */
+function describeProfiles() {
+  return PROFILE_NAMES.map(name => ({
+    name,
+    description: PROFILES[name].description,
+    default: name === DEFAULT_PROFILE,
+    sections: Object.keys(PROFILES[name].schema.shape),
+    criticalFields: PROFILES[name].criticalFields.map(spec => `${spec.section}.${spec.field}`),
+    interface: PROFILES[name].interfaceCode
+  }));
+}
+
+module.exports = { getProfile, describeProfiles, PROFILE_NAMES, DEFAULT_PROFILE };
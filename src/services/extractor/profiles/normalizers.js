@@ -0,0 +1,59 @@
+const dayjs = require('dayjs');
+const countries = require('i18n-iso-countries');
+
+// Load locales for countries
+try { countries.registerLocale(require('i18n-iso-countries/langs/en.json')); } catch {}
+try { countries.registerLocale(require('i18n-iso-countries/langs/fr.json')); } catch {}
+try { countries.registerLocale(require('i18n-iso-countries/langs/de.json')); } catch {}
+
+function toISODate(s) {
+  if (!s) return undefined;
+  const candidates = [
+    'YYYY-MM-DD', 'DD/MM/YYYY', 'DD.MM.YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD'
+  ];
+  for (const fmt of candidates) {
+    const d = dayjs(s, fmt, true);
+    if (d.isValid()) return d.format('YYYY-MM-DD');
+  }
+  const d2 = dayjs(s);
+  return d2.isValid() ? d2.format('YYYY-MM-DD') : undefined;
+}
+
+function normCurrency(s) {
+  if (!s) return undefined;
+  const code = String(s).trim().toUpperCase();
+  // Common ISO 4217 currency codes
+  const validCurrencies = ['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK'];
+  if (validCurrencies.includes(code)) return code;
+  // Try symbol map
+  const symbolMap = { '€': 'EUR', '$': 'USD', '£': 'GBP', 'CHF': 'CHF' };
+  if (symbolMap[code]) return symbolMap[code];
+  return undefined;
+}
+
+function normCountry(s) {
+  if (!s) return undefined;
+  const name = String(s).trim();
+  const alpha2 = countries.getAlpha2Code(name, 'en') || countries.getAlpha2Code(name, 'fr') || countries.getAlpha2Code(name, 'de');
+  if (alpha2) return alpha2;
+  // Already alpha-2?
+  if (/^[A-Z]{2}$/.test(name)) return name;
+  return undefined;
+}
+
+/**
+ * Apply per-field normalizers to the entries of a section; empty values are left out
+ * @param {Array} entries - Section of an extract (basicInformation, importer...)
+ * @param {Object} normalizers - { field: fn }
+ */
+function normalizeFields(entries, normalizers) {
+  return (entries || []).map((entry) => {
+    const normalized = { ...entry };
+    Object.entries(normalizers).forEach(([field, normalize]) => {
+      normalized[field] = entry[field] ? normalize(entry[field]) : undefined;
+    });
+    return normalized;
+  });
+}
+
+module.exports = { toISODate, normCurrency, normCountry, normalizeFields };
@@ -0,0 +1,66 @@
+/**
+ * Shipping profile: transport documents (bills of lading, air waybills, CMR, packing
+ * lists, delivery notes) with their parties, routing, packages and weights.
+ */
+
+const { ShippingExtractSchema } = require('../../../validation/shipping-extract.zod');
+const { toISODate, normCountry, normalizeFields } = require('./normalizers');
+
+function normalizeShippingDocument(extract) {
+  const normalized = JSON.parse(JSON.stringify(extract || {}));
+
+  normalized.basicInformation = normalizeFields(normalized.basicInformation, {
+    documentDate: toISODate,
+    shipmentDate: toISODate,
+    estimatedArrivalDate: toISODate,
+    destinationCountry: normCountry
+  });
+  ['shipper', 'consignee', 'notifyParty'].forEach((section) => {
+    normalized[section] = normalizeFields(normalized[section], { country: normCountry });
+  });
+
+  return { normalized, diagnostics: { computed: {} } };
+}
+
+module.exports = {
+  name: 'shipping',
+  description: 'Logistics: transport documents with parties, routing, containers, packages and weights',
+  interfaceName: 'ShippingExtract',
+  schema: ShippingExtractSchema,
+  system: "You are a shipping document data extraction engine. Extract structured data from bills of lading, air waybills, CMR, packing lists and delivery notes and output ONLY a JSON object that matches the exact required schema format.",
+  rules: [
+    "CRITICAL: Output data in the exact required schema format with these sections:",
+    "1) shipper, consignee, notifyParty: Party details (name, address, city, zipCode, country as ISO alpha-2)",
+    "2) basicInformation: documentType, documentNumber (B/L, AWB or CMR number), documentDate as DD/MM/YYYY, bookingNumber, carrier, vesselOrFlight, transportMode",
+    "3) basicInformation routing: portOfLoading, portOfDischarge, placeOfDelivery, shipmentDate and estimatedArrivalDate as DD/MM/YYYY, destinationCountry",
+    "4) basicInformation equipment: containerNumbers and sealNumbers as printed, comma-separated when there are several",
+    "5) lineItems: One entry per goods row (marks, description, hsCode, packageCount, packageType, quantity, netWeight, grossWeight, volume)",
+    "6) totalsAndSubtotals: totalPackages, totalNetWeight, totalGrossWeight, totalVolume, totalQuantity as printed in the totals",
+    "7) Weights in kg, volumes in m3, counts as numbers",
+    "8) Return strict JSON only—no commentary or explanations.",
+  ],
+  example: {
+    "shipper": [{"name": "Shipper Ltd", "city": "Shanghai", "country": "CN"}],
+    "consignee": [{"name": "Consignee SA", "city": "Basel", "country": "CH"}],
+    "notifyParty": [],
+    "basicInformation": [{"documentType": "Bill of Lading", "documentNumber": "MEDU1234567", "documentDate": "05/02/2025", "carrier": "Carrier", "vesselOrFlight": "VESSEL / 123W", "transportMode": "sea", "containerNumbers": "MSCU1234567", "portOfLoading": "Shanghai", "portOfDischarge": "Rotterdam"}],
+    "lineItems": [{"marks": "1-10", "description": "Machine parts", "hsCode": "8483", "packageCount": 10, "packageType": "pallet", "grossWeight": 1200, "volume": 8.5}],
+    "totalsAndSubtotals": [{"totalPackages": 10, "totalGrossWeight": 1200, "totalVolume": 8.5}]
+  },
+  normalize: normalizeShippingDocument,
+  totalsSections: ['totalsAndSubtotals'],
+  anchorFields: ['productCode', 'description'],
+  criticalFields: [
+    { section: 'basicInformation', field: 'documentNumber', description: 'bill of lading / air waybill / CMR / document number', labels: /\b(b\/?l|bill of lading|awb|air ?waybill|cmr|document|delivery note)\b.*(n[o°º]\.?|number|#)?/i },
+    { section: 'basicInformation', field: 'documentDate', description: 'document / issue date', labels: /\b(date|datum|issued?)\b/i },
+    { section: 'basicInformation', field: 'containerNumbers', description: 'container numbers', labels: /\b(container|cntr|conteneur)\b/i },
+    { section: 'totalsAndSubtotals', field: 'totalPackages', description: 'total number of packages', labels: /\b(total|packages|pkgs|colis|packst[üu]cke)\b/i, fromEnd: true },
+    { section: 'totalsAndSubtotals', field: 'totalGrossWeight', description: 'total gross weight', labels: /\b(gross|brut|brutto|g\.?w\.?)\b/i, fromEnd: true }
+  ],
+  reconciliation: [
+    { check: 'packages', field: 'packageCount', total: 'totalPackages' },
+    { check: 'grossWeight', field: 'grossWeight', total: 'totalGrossWeight' },
+    { check: 'netWeight', field: 'netWeight', total: 'totalNetWeight' },
+    { check: 'volume', field: 'volume', total: 'totalVolume' }
+  ]
+};
@@ -0,0 +1,226 @@
+/**
+ * Check that the extracted line items add up to the document totals. The checks come
+ * from the extraction profile; for the customs profile:
+ * - amounts: Σ lineItems.totalAmount = amountDue − airFee − insuranceFee − otherFee1 + rebate
+ * - net weights: Σ lineItems.netWeight = totalNetWeight
+ * - quantities: Σ lineItems.quantity = totalQuantity
+ * A check sums `field` over `items` (lineItems by default) and compares it with `total`
+ * in totalsAndSubtotals, less its `minus` fields and plus its `plus` fields.
+ * A positive difference (rows above the total) usually means duplicated rows, a negative
+ * one missing rows. With RECONCILIATION_REPROMPT=true the LLM is asked once for the
+ * missing rows only; they are kept when they bring the sums closer to the totals.
+ */
+
+const { deriveProductTableHints } = require('./deriveProductTableHints');
+const { callAzureOpenAI } = require('./callAzureOpenAI');
+const { buildMissingRowsPrompt } = require('../../prompts/extractInvoice');
+const { zodToInterface } = require('../../prompts/zodToInterface');
+const { getProfile } = require('./profiles');
+
+// Relative tolerance of a check, never below MIN_TOLERANCE in absolute terms (rounding on printed totals)
+const TOLERANCE = parseFloat(process.env.RECONCILIATION_TOLERANCE || '0.005');
+const MIN_TOLERANCE = 0.01;
+
+const round = value => Number(value.toFixed(3));
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Identity of a line item, for spotting repeated rows
+ * @returns {string|null} - null when the row has neither a product code nor a description
+ */
+function lineItemKey(item) {
+  const [code, description] = [item.productCode, item.description].map(value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' '));
+  if (!code && !description) return null;
+  return [code, description, item.quantity, item.totalAmount].join('|');
+}
+
+/**
+ * Groups of identical rows (same code, description, quantity and amount)
+ */
+function findDuplicateRows(lineItems) {
+  const groups = new Map();
+  lineItems.forEach((item, index) => {
+    const key = lineItemKey(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  return [...groups.values()].filter(rows => rows.length > 1).map(rows => ({
+    rows,
+    productCode: lineItems[rows[0]].productCode || null,
+    description: lineItems[rows[0]].description || null,
+    totalAmount: isNumber(lineItems[rows[0]].totalAmount) ? lineItems[rows[0]].totalAmount : null
+  }));
+}
+
+function compare(name, field, expected, lineItems, duplicates) {
+  const result = { check: name, field, expected: isNumber(expected) ? round(expected) : null };
+  if (!isNumber(expected)) return { ...result, status: 'SKIPPED', reason: 'No document total' };
+
+  const counted = lineItems.map((item, index) => ({ value: item[field], index })).filter(({ value }) => isNumber(value));
+  if (counted.length === 0) return { ...result, status: 'SKIPPED', reason: `No line item has a ${field}` };
+
+  const actual = round(counted.reduce((acc, { value }) => acc + value, 0));
+  const difference = round(actual - expected);
+  const tolerance = round(Math.max(MIN_TOLERANCE, Math.abs(expected) * TOLERANCE));
+  const report = {
+    ...result,
+    actual,
+    difference,
+    tolerance,
+    status: Math.abs(difference) <= tolerance ? 'MATCHED' : 'MISMATCH',
+    // Rows counted as 0 because the value was not extracted
+    rowsWithoutValue: lineItems.map((item, index) => index).filter(index => !isNumber(lineItems[index][field]))
+  };
+
+  if (report.status === 'MISMATCH') {
+    if (difference > 0) {
+      // Extra copies of repeated rows that would account for the excess
+      const excess = duplicates.reduce((acc, group) => acc + (group.rows.length - 1) * (Number(lineItems[group.rows[0]][field]) || 0), 0);
+      report.likelyCause = duplicates.length > 0 && Math.abs(round(excess) - difference) <= tolerance ? 'duplicated rows' : 'rows above the document total';
+    } else {
+      report.likelyCause = report.rowsWithoutValue.length > 0 ? 'missing rows or rows without a value' : 'missing rows';
+    }
+  }
+  return report;
+}
+
+/**
+ * Compare the line items of a normalized extract with its totals
+ * @param {Object} extract - Normalized extract
+ * @param {Object} [options] - { computed } from normalizeInvoice diagnostics (a check on a computed total is skipped),
+ *   { missingPages } pages whose line items could not be extracted (chunked mode),
+ *   { checks } the profile's reconciliation checks (customs by default)
+ * @returns {Object} - { status: MATCHED|MISMATCH|NOT_CHECKED, checks, duplicateRows, likelyMissing }
+ */
+function reconcileInvoice(extract, { computed = {}, missingPages = [], checks = getProfile('customs').reconciliation } = {}) {
+  const lineItems = (extract && extract.lineItems) || [];
+  const totals = (extract && extract.totalsAndSubtotals && extract.totalsAndSubtotals[0]) || {};
+  const duplicates = findDuplicateRows(lineItems);
+
+  const results = checks.map((spec) => {
+    if (computed[spec.total]) {
+      return { check: spec.check, field: spec.field, expected: null, status: 'SKIPPED', reason: `${spec.total} was computed, not printed` };
+    }
+
+    const adjustments = {};
+    [...(spec.minus || []), ...(spec.plus || [])].forEach((field) => {
+      if (isNumber(totals[field])) adjustments[field] = totals[field];
+    });
+    const expected = isNumber(totals[spec.total])
+      ? totals[spec.total] -
+        (spec.minus || []).reduce((acc, field) => acc + (adjustments[field] || 0), 0) +
+        (spec.plus || []).reduce((acc, field) => acc + (adjustments[field] || 0), 0)
+      : null;
+
+    // Rows of other sections (taxBreakdown...) are not line items: no duplicate analysis
+    const items = spec.items ? (extract && extract[spec.items]) || [] : lineItems;
+    const report = compare(spec.check, spec.field, expected, items, spec.items ? [] : duplicates);
+    if (spec.items) report.items = spec.items;
+    return spec.minus || spec.plus ? { ...report, adjustments } : report;
+  });
+
+  const compared = results.filter(check => check.status !== 'SKIPPED');
+  let status = 'NOT_CHECKED';
+  if (compared.length > 0) {
+    status = compared.every(check => check.status === 'MATCHED') ? 'MATCHED' : 'MISMATCH';
+  }
+
+  const likelyMissing = {};
+  compared.filter(check => check.status === 'MISMATCH' && check.difference < 0 && !check.items).forEach((check) => {
+    likelyMissing[check.field] = -check.difference;
+  });
+  if (missingPages.length > 0) likelyMissing.pages = missingPages;
+
+  return {
+    status,
+    tolerance: { relative: TOLERANCE, absolute: MIN_TOLERANCE },
+    lineItemCount: lineItems.length,
+    checks: results,
+    duplicateRows: duplicates,
+    likelyMissing: Object.keys(likelyMissing).length > 0 ? likelyMissing : null
+  };
+}
+
+/**
+ * Ask the LLM for the rows missing from an extract
+ * @returns {Promise<Array>} - Rows not already in the extract
+ */
+async function promptForMissingRows(extract, reconciliation, layout, profile, signal) {
+  const { glossary } = deriveProductTableHints(layout);
+  const gaps = {};
+  reconciliation.checks.filter(check => check.status === 'MISMATCH' && check.difference < 0 && !check.items).forEach((check) => {
+    gaps[check.field] = { expected: check.expected, extracted: check.actual, missing: -check.difference };
+  });
+
+  // Rows are listed by the fields that identify them and the fields being summed
+  const rowFields = [...new Set([...profile.anchorFields, ...Object.keys(gaps), 'quantity', 'totalAmount'])];
+  const itemsSchema = profile.schema.pick({ lineItems: true });
+  const { system, user } = buildMissingRowsPrompt({
+    markdown: layout.content || '',
+    tablesGlossary: glossary,
+    interfaceCode: zodToInterface(itemsSchema, profile.interfaceName),
+    extractedRows: extract.lineItems.map(item => Object.fromEntries(rowFields.map(field => [field, item[field]]))),
+    gaps
+  });
+
+  const raw = await callAzureOpenAI({ system, user }, signal, { maxTokens: 2000 });
+  const parsed = JSON.parse(raw.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim());
+  const { lineItems = [] } = itemsSchema.parse({
+    lineItems: Array.isArray(parsed.lineItems) ? parsed.lineItems : []
+  });
+
+  const known = new Set(extract.lineItems.map(lineItemKey).filter(Boolean));
+  return lineItems.filter(item => lineItemKey(item) && !known.has(lineItemKey(item)));
+}
+
+// The re-prompted rows are kept when no check moves away from its total and one gets closer
+function isCloser(before, after) {
+  const pairs = before.checks.map((check, index) => [check, after.checks[index]]).filter(([check]) => check.status !== 'SKIPPED');
+  return pairs.every(([previous, next]) => Math.abs(next.difference) <= Math.abs(previous.difference) + previous.tolerance) &&
+    pairs.some(([previous, next]) => Math.abs(next.difference) < Math.abs(previous.difference) - previous.tolerance);
+}
+
+/**
+ * Reconcile an extract and, when enabled and rows are missing, re-prompt for them once
+ * @param {Object} extract - Normalized extract
+ * @param {Object} diagnostics - Diagnostics from the profile's normalize
+ * @param {Object} layout - Layout (or the pages of it) to search for the missing rows
+ * @param {Object} [options] - { signal, missingPages, profile } (profile name or object, default profile when omitted)
+ * @returns {Promise<Object>} - { extract, reconciliation }
+ */
+async function reconcileExtract(extract, diagnostics, layout, { signal = null, missingPages = [], profile = null } = {}) {
+  const extractionProfile = getProfile(profile);
+  const options = { computed: (diagnostics && diagnostics.computed) || {}, missingPages, checks: extractionProfile.reconciliation };
+  const reconciliation = reconcileInvoice(extract, options);
+
+  const reprompt = process.env.RECONCILIATION_REPROMPT === 'true' || process.env.RECONCILIATION_REPROMPT === '1';
+  if (!reprompt || reconciliation.status !== 'MISMATCH' || !reconciliation.likelyMissing || !layout) {
+    return { extract, reconciliation };
+  }
+
+  try {
+    const rows = await promptForMissingRows(extract, reconciliation, layout, extractionProfile, signal);
+    if (rows.length === 0) {
+      return { extract, reconciliation: { ...reconciliation, reprompt: { newRows: 0, accepted: false } } };
+    }
+
+    const candidate = { ...extract, lineItems: [...extract.lineItems, ...rows] };
+    const after = reconcileInvoice(candidate, options);
+    if (!isCloser(reconciliation, after)) {
+      console.log(`🔁 Reconciliation re-prompt returned ${rows.length} row(s) that do not close the gap; discarded`);
+      return { extract, reconciliation: { ...reconciliation, reprompt: { newRows: rows.length, accepted: false } } };
+    }
+
+    console.log(`🔁 Reconciliation re-prompt added ${rows.length} missing row(s) (${after.status})`);
+    const addedRows = rows.map((row, index) => extract.lineItems.length + index);
+    return { extract: candidate, reconciliation: { ...after, reprompt: { newRows: rows.length, accepted: true, addedRows, before: reconciliation.checks } } };
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.error('❌ Reconciliation re-prompt failed:', error.message);
+    return { extract, reconciliation: { ...reconciliation, reprompt: { accepted: false, error: error.message } } };
+  }
+}
+
+module.exports = { reconcileInvoice, reconcileExtract, findDuplicateRows, lineItemKey };
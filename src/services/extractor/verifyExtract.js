@@ -0,0 +1,43 @@
+const { groundExtract } = require('./groundExtract');
+const { confirmCriticalFields } = require('./confirmCriticalFields');
+const { reconcileExtract } = require('./reconcileInvoice');
+const { getProfile } = require('./profiles');
+
+/**
+ * Post-extraction checks shared by extractFromLayout and extractFromLayoutChunked:
+ * 1. provenance of every value (groundExtract)
+ * 2. verbatim confirmation of the profile's critical fields (CONFIRM_CRITICAL_FIELDS, on by default)
+ * 3. line items against the document totals (reconcileExtract, may re-prompt for missing rows)
+ * Provenance is taken again when the confirm pass or the re-prompt changed the extract.
+ * @param {Object} extract - Normalized extract
+ * @param {Object} diagnostics - Diagnostics from the profile's normalize; provenance, confirmation and reconciliation are added
+ * @param {Object} layout - Layout the extract was read from
+ * @param {Object} [options] - { signal, missingPages, reconcileLayout, profile }
+ *   (reconcileLayout: where missing rows are looked for; profile: name or object, default profile when omitted)
+ * @returns {Promise<Object>} - The checked extract
+ */
+async function verifyExtract(extract, diagnostics, layout, { signal = null, missingPages = [], reconcileLayout = layout, profile = null } = {}) {
+  const extractionProfile = getProfile(profile);
+  const computed = diagnostics.computed || {};
+  const { anchorFields } = extractionProfile;
+  let provenance = groundExtract(extract, layout, { computed, anchorFields });
+  let checked = extract;
+
+  if (process.env.CONFIRM_CRITICAL_FIELDS !== 'false') {
+    const confirmed = await confirmCriticalFields(checked, provenance, layout, { signal, fields: extractionProfile.criticalFields });
+    diagnostics.confirmation = confirmed.confirmation;
+    if (confirmed.confirmation.summary.nulled > 0) checked = confirmed.extract;
+  }
+
+  const reconciled = await reconcileExtract(checked, diagnostics, reconcileLayout, { signal, missingPages, profile: extractionProfile });
+  diagnostics.reconciliation = reconciled.reconciliation;
+
+  if (reconciled.extract !== extract) {
+    provenance = groundExtract(reconciled.extract, layout, { computed, anchorFields });
+  }
+  diagnostics.provenance = provenance;
+
+  return reconciled.extract;
+}
+
+module.exports = { verifyExtract };
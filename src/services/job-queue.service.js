@@ -0,0 +1,252 @@
+/**
+ * ================================================================================
+ * JOB QUEUE SERVICE - PERSISTENT BACKGROUND WORK
+ * ================================================================================
+ *
+ * SQLite-backed queue for the long-running batch stages (split detection, data
+ * extraction). Jobs survive a restart: they are stored in the `jobs` table, picked
+ * up by a small in-process worker pool, retried with exponential backoff and
+ * recovered on startup.
+ *
+ * 🎯 PRIMARY METHODS:
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * • registerHandler(type, run, { onFailure, retryBaseDelayMs }) - Declare how a job type is executed
+ * • enqueue(type, { batchId, payload, unique }) - Persist a job (deduplicated per batch unless unique=false)
+ * • start() / stop()                         - Run or stop the worker pool
+ * • recover()                                - Requeue or fail jobs interrupted by a restart
+ * • cancelBatchJobs(batchId, types)          - Abort a batch's running jobs and drop its queued ones (does not wait)
+ *
+ * Each running job gets `job.signal` (AbortSignal); handlers pass it to long calls
+ * (Azure pollers, OpenAI requests) so a cancelled batch stops promptly. An aborted
+ * job ends CANCELLED and is neither retried nor reported to onFailure.
+ *
+ * ⚙️ CONFIGURATION:
+ * • JOB_WORKER_CONCURRENCY   - Jobs run in parallel (default 2)
+ * • JOB_MAX_ATTEMPTS         - Attempts before a job fails for good (default 3)
+ * • JOB_RETRY_BASE_DELAY_MS  - First retry delay, doubled on every attempt (default 5000)
+ * • JOB_POLL_INTERVAL_MS     - How often due jobs are looked up (default 1000)
+ *
+ * ================================================================================
+ */
+
+const Job = require('../models/job.model');
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.running = false;
+    this.activeJobs = 0;
+    this.timer = null;
+    this.ticking = false;
+    this.runningJobs = new Map();
+    this.concurrency = Math.max(1, parseInt(process.env.JOB_WORKER_CONCURRENCY || '2', 10) || 1);
+    this.maxAttempts = Math.max(1, parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10) || 1);
+    this.retryBaseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '5000', 10);
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+  }
+
+  /**
+   * Register the function that runs a job type
+   * `onFailure(job, error, { willRetry, nextRunAt })` is called after every failed attempt.
+   * `retryBaseDelayMs` overrides JOB_RETRY_BASE_DELAY_MS for this job type.
+   * @param {string} type - Job type
+   * @param {Function} run - async (job) => result
+   * @param {Object} [hooks] - { onFailure, retryBaseDelayMs }
+   */
+  registerHandler(type, run, hooks = {}) {
+    this.handlers.set(type, {
+      run,
+      onFailure: hooks.onFailure || null,
+      retryBaseDelayMs: hooks.retryBaseDelayMs || this.retryBaseDelayMs
+    });
+  }
+
+  /**
+   * Persist a job; a batch never has two active jobs of the same type unless `unique` is false
+   * @param {string} type - Registered job type
+   * @param {Object} [options] - { batchId, payload, maxAttempts, unique }
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, { batchId = null, payload = {}, maxAttempts = this.maxAttempts, unique = true } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    if (batchId && unique) {
+      const active = await Job.findActive(type, batchId);
+      if (active) return active;
+    }
+
+    const job = await Job.create({ type, batchId, payload, maxAttempts });
+    console.log(`📥 Job queued: ${type} ${job.id}${batchId ? ` (batch ${batchId})` : ''}`);
+    this.tick();
+    return job;
+  }
+
+  /**
+   * Recover jobs left RUNNING by a previous process, then start polling
+   */
+  async start() {
+    if (this.running) return;
+    await this.recover();
+
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`👷 Job workers started (concurrency ${this.concurrency})`);
+    this.tick();
+  }
+
+  /**
+   * Stop picking up new jobs; running jobs are recovered on the next start if the process exits
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart, or fail them when they have no attempt left
+   * @returns {Promise<Object>} - { requeued, failed }
+   */
+  async recover() {
+    const interrupted = await Job.findByStatus('RUNNING');
+    const summary = { requeued: 0, failed: 0 };
+
+    for (const job of interrupted) {
+      const error = new Error('Interrupted by a restart');
+      if (job.attempts < job.maxAttempts) {
+        await job.update({ status: 'QUEUED', run_at: Date.now(), locked_at: null, last_error: error.message });
+        summary.requeued++;
+      } else {
+        await job.update({ status: 'FAILED', locked_at: null, last_error: error.message });
+        await this.notifyFailure(job, error, { willRetry: false, nextRunAt: null });
+        summary.failed++;
+      }
+    }
+
+    if (interrupted.length > 0) {
+      console.log(`♻️  Recovered ${interrupted.length} interrupted job(s): ${summary.requeued} requeued, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+
+  /**
+   * Fill free worker slots with due jobs
+   */
+  async tick() {
+    if (!this.running || this.ticking) return;
+    this.ticking = true;
+
+    try {
+      while (this.running && this.activeJobs < this.concurrency) {
+        const job = await Job.claimNext([...this.handlers.keys()]);
+        if (!job) break;
+
+        this.activeJobs++;
+        this.execute(job).finally(() => {
+          this.activeJobs--;
+          this.tick();
+        });
+      }
+    } catch (error) {
+      console.error('Job queue polling failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  execute(job) {
+    const controller = new AbortController();
+    job.signal = controller.signal;
+
+    const execution = this.runJob(job).finally(() => this.runningJobs.delete(job.id));
+    this.runningJobs.set(job.id, { job, controller, execution });
+    return execution;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    console.log(`▶️  Job ${job.type} ${job.id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      await handler.run(job);
+      await job.update({ status: 'SUCCEEDED', locked_at: null, last_error: null });
+      console.log(`✅ Job ${job.type} ${job.id} succeeded`);
+    } catch (error) {
+      if (job.signal.aborted) {
+        await job.update({ status: 'CANCELLED', locked_at: null, last_error: 'Cancelled' })
+          .catch(updateError => console.error(`Failed to record job ${job.id} cancellation:`, updateError));
+        console.log(`🛑 Job ${job.type} ${job.id} cancelled`);
+        return;
+      }
+
+      const willRetry = job.attempts < job.maxAttempts;
+      const nextRunAt = willRetry ? Date.now() + this.getRetryDelay(job.attempts, handler.retryBaseDelayMs) : null;
+
+      await job.update(willRetry
+        ? { status: 'QUEUED', run_at: nextRunAt, locked_at: null, last_error: error.message }
+        : { status: 'FAILED', locked_at: null, last_error: error.message }
+      ).catch(updateError => console.error(`Failed to record job ${job.id} failure:`, updateError));
+
+      console.warn(willRetry
+        ? `⚠️  Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${new Date(nextRunAt).toISOString()}: ${error.message}`
+        : `❌ Job ${job.type} ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+
+      await this.notifyFailure(job, error, { willRetry, nextRunAt });
+    }
+  }
+
+  /**
+   * Abort the running jobs of a batch and cancel its queued ones
+   * Does not wait for aborted jobs to wind down: handlers clean up their partial output
+   * when they exit (see processingController.runBatchJob).
+   * @param {string} batchId - Batch id
+   * @param {Object} [options] - { types }
+   * @returns {Promise<Object>} - { aborted, dequeued }
+   */
+  async cancelBatchJobs(batchId, { types = null } = {}) {
+    const dequeued = await Job.cancelQueuedByBatchId(batchId, types);
+
+    const running = [...this.runningJobs.values()].filter(({ job }) =>
+      job.batchId === batchId && (!types || types.includes(job.type)));
+    running.forEach(({ controller }) => controller.abort(new Error(`Batch ${batchId} cancelled`)));
+
+    return { aborted: running.length, dequeued };
+  }
+
+  async notifyFailure(job, error, retry) {
+    const handler = this.handlers.get(job.type);
+    if (!handler || !handler.onFailure) return;
+
+    try {
+      await handler.onFailure(job, error, retry);
+    } catch (hookError) {
+      console.error(`Failure hook for job ${job.id} threw:`, hookError);
+    }
+  }
+
+  /**
+   * Exponential backoff: base, 2×base, 4×base...
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {number} [baseDelayMs] - First retry delay
+   * @returns {number} - Delay in ms
+   */
+  getRetryDelay(attempt, baseDelayMs = this.retryBaseDelayMs) {
+    return baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      concurrency: this.concurrency,
+      activeJobs: this.activeJobs,
+      handlers: [...this.handlers.keys()]
+    };
+  }
+}
+
+module.exports = new JobQueueService();
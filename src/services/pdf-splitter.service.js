@@ -12,7 +12,9 @@
  * 📄 PDF SPLITTING OPERATIONS:
  * • splitPDF(filePath, splits, batchId)    - Main entry point for PDF splitting
  * • createSplitPDF(pdf, split, dir, index) - Create individual split PDF files
- * • validateSplits(splits, totalPages)     - Validate and fix page ranges
+ * • createAttachmentsPDF(pdf, splits, dir, batchId) - Gather excluded (non-invoice) pages into one file
+ * • validateSplits(splits, totalPages)     - Validate and fix page ranges and page lists
+ * • applyRotation(page, rotation)          - Apply per-page rotation to a copied page
  * • generateSplitFilename(split, index)    - Generate semantic filenames
  * 
  * 📄 PDF ANALYSIS & INFO:
@@ -85,10 +87,19 @@
  * @since 2024
  */
 
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, degrees } = require('pdf-lib');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { normalizeDocumentType, buildUnassignedSplit } = require('./splitter/classifyDocumentType');
+const {
+  hasExplicitPages,
+  getSplitPages,
+  getPageRotation,
+  formatPageRange,
+  toPageRuns,
+  withPages
+} = require('./splitter/splitPages');
 
 class PDFSplitterService {
   constructor() {
@@ -99,13 +110,17 @@ class PDFSplitterService {
   }
 
   /**
-   * Split a PDF file into multiple files based on page ranges
+   * Split a PDF file into multiple files based on page ranges or explicit page lists
+   * Splits marked `excluded` (packing lists, certificates, blank pages...) are either
+   * dropped or gathered into one attachments file, depending on `excludedPages`.
+   * Separator sheets (`separator: true`) can be left out of the output entirely with `dropSeparatorPages`.
    * @param {string} originalFilePath - Path to the original PDF file
-   * @param {Array} splits - Array of split objects with startPage and endPage
+   * @param {Array} splits - Array of split objects with startPage/endPage or `pages`, optional `rotations`
    * @param {string} batchId - Batch ID for organizing files
+   * @param {Object} [options] - { excludedPages: 'attachments' | 'drop', dropSeparatorPages: boolean }
    * @returns {Promise<Object>} - Result with split file paths
    */
-  async splitPDF(originalFilePath, splits, batchId) {
+  async splitPDF(originalFilePath, splits, batchId, options = {}) {
     try {
       console.log(`Starting PDF split for batch ${batchId} with ${splits.length} splits`);
 
@@ -114,6 +129,15 @@ class PDFSplitterService {
         throw new Error('No splits provided');
       }
 
+      const excludedPagesMode = options.excludedPages || process.env.EXCLUDED_PAGES_MODE || 'attachments';
+      if (!['attachments', 'drop'].includes(excludedPagesMode)) {
+        throw new Error(`Unknown excluded pages mode: ${excludedPagesMode}`);
+      }
+
+      const dropSeparatorPages = typeof options.dropSeparatorPages === 'boolean'
+        ? options.dropSeparatorPages
+        : process.env.DROP_SEPARATOR_PAGES === 'true';
+
       // Read the original PDF
       const originalPdfBytes = await fs.readFile(originalFilePath);
       const originalPdf = await PDFDocument.load(originalPdfBytes);
@@ -123,6 +147,9 @@ class PDFSplitterService {
 
       // Validate splits
       const validatedSplits = this.validateSplits(splits, totalPages);
+      const includedSplits = validatedSplits.filter(split => !split.excluded);
+      const separatorSplits = validatedSplits.filter(split => split.excluded && split.separator);
+      const excludedSplits = validatedSplits.filter(split => split.excluded && !(split.separator && dropSeparatorPages));
       
       // Create batch directory for split files
       const batchSplitDir = path.join(this.splitPath, batchId);
@@ -131,8 +158,8 @@ class PDFSplitterService {
       const splitResults = [];
 
       // Process each split
-      for (let i = 0; i < validatedSplits.length; i++) {
-        const split = validatedSplits[i];
+      for (let i = 0; i < includedSplits.length; i++) {
+        const split = includedSplits[i];
         const splitResult = await this.createSplitPDF(
           originalPdf,
           split,
@@ -143,16 +170,34 @@ class PDFSplitterService {
         splitResults.push(splitResult);
       }
 
-      console.log(`PDF split completed: ${splitResults.length} files created`);
+      // Gather excluded pages into a separate attachments file
+      let attachments = null;
+      if (excludedSplits.length > 0 && excludedPagesMode === 'attachments') {
+        attachments = await this.createAttachmentsPDF(originalPdf, excludedSplits, batchSplitDir, batchId);
+        splitResults.push(attachments);
+      }
+
+      console.log(`PDF split completed: ${splitResults.length} files created (${excludedSplits.length} excluded splits ${excludedPagesMode === 'drop' ? 'dropped' : 'moved to attachments'}${dropSeparatorPages ? `, ${separatorSplits.length} separator splits dropped` : ''})`);
 
       return {
         success: true,
         batchId,
         totalSplits: splitResults.length,
         splits: splitResults,
+        attachments,
+        // The page-list-normalized splits that were cut (what the split revision history records)
+        appliedSplits: validatedSplits,
+        excludedSplits: excludedSplits.map(split => ({
+          id: split.id,
+          documentType: split.documentType,
+          pageRange: split.pageRange
+        })),
+        separatorPages: separatorSplits.map(split => split.pageRange),
         metadata: {
           originalFile: originalFilePath,
           originalPages: totalPages,
+          excludedPagesMode,
+          dropSeparatorPages,
           splitAt: new Date().toISOString()
         }
       };
@@ -182,20 +227,16 @@ class PDFSplitterService {
       // Create new PDF document
       const newPdf = await PDFDocument.create();
       
-      // Copy pages from original PDF
-      const startPage = split.startPage - 1; // Convert to 0-based index
-      const endPage = split.endPage - 1;     // Convert to 0-based index
-      
-      const pagesToCopy = [];
-      for (let pageIndex = startPage; pageIndex <= endPage; pageIndex++) {
-        pagesToCopy.push(pageIndex);
-      }
+      // Copy pages from original PDF, in split order (explicit page lists need not be contiguous)
+      const pageNumbers = getSplitPages(split);
+      const pagesToCopy = pageNumbers.map(pageNumber => pageNumber - 1); // Convert to 0-based index
 
       // Copy the pages
       const copiedPages = await newPdf.copyPages(originalPdf, pagesToCopy);
       
-      // Add copied pages to new document
-      copiedPages.forEach(page => {
+      // Add copied pages to new document, applying per-page rotation on top of the scan's own
+      copiedPages.forEach((page, i) => {
+        this.applyRotation(page, getPageRotation(split, pageNumbers[i]));
         newPdf.addPage(page);
       });
 
@@ -219,10 +260,15 @@ class PDFSplitterService {
         filePath,
         startPage: split.startPage,
         endPage: split.endPage,
+        pages: pageNumbers,
+        rotations: split.rotations || {},
+        pageRange: formatPageRange(pageNumbers),
         pageCount: copiedPages.length,
         fileSize: stats.size,
         confidence: split.confidence || 0.5,
-        reasoning: split.reasoning || 'PDF split created'
+        reasoning: split.reasoning || 'PDF split created',
+        documentType: split.documentType || 'invoice',
+        excluded: false
       };
 
     } catch (error) {
@@ -231,21 +277,94 @@ class PDFSplitterService {
     }
   }
 
+  /**
+   * Gather the pages of all excluded splits into one attachments PDF
+   * The filename does not list the page ranges (a scan with a separator sheet after every
+   * invoice would exceed the filename length limit); they are returned in `pageRanges`.
+   * @param {PDFDocument} originalPdf - Original PDF document
+   * @param {Array} excludedSplits - Splits marked as excluded
+   * @param {string} outputDir - Output directory
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - Attachments file result
+   */
+  async createAttachmentsPDF(originalPdf, excludedSplits, outputDir, batchId) {
+    const newPdf = await PDFDocument.create();
+    const pageRefs = [];
+    excludedSplits.forEach(split => {
+      getSplitPages(split).forEach(pageNumber => pageRefs.push({ split, pageNumber }));
+    });
+
+    const copiedPages = await newPdf.copyPages(originalPdf, pageRefs.map(ref => ref.pageNumber - 1));
+    copiedPages.forEach((page, i) => {
+      this.applyRotation(page, getPageRotation(pageRefs[i].split, pageRefs[i].pageNumber));
+      newPdf.addPage(page);
+    });
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    const filename = `attachments_${batchId}_${timestamp}.pdf`.replace(/[^a-zA-Z0-9_.-]/g, '_');
+    const filePath = path.join(outputDir, filename);
+
+    const pdfBytes = await newPdf.save();
+    await fs.writeFile(filePath, pdfBytes);
+    const stats = await fs.stat(filePath);
+
+    console.log(`Created attachments file: ${filename} (${copiedPages.length} pages, ${stats.size} bytes)`);
+
+    return {
+      id: 'attachments',
+      invoiceNumber: null,
+      filename,
+      filePath,
+      pageRange: excludedSplits.map(split => split.pageRange).join(','),
+      pageRanges: excludedSplits.map(split => split.pageRange),
+      pageCount: copiedPages.length,
+      fileSize: stats.size,
+      documentType: 'other',
+      excluded: true,
+      sourceSplits: excludedSplits.map(split => ({
+        id: split.id,
+        documentType: split.documentType,
+        pageRange: split.pageRange
+      }))
+    };
+  }
+
   /**
    * Validate and fix split page ranges
+   * Explicit page lists are resolved first; range splits then lose any page already
+   * claimed by a list (and become page lists themselves when that leaves a hole).
    * @param {Array} splits - Array of split objects
    * @param {number} totalPages - Total pages in original PDF
-   * @returns {Array} - Validated splits
+   * @returns {Array} - Validated splits, ordered by first page
    */
   validateSplits(splits, totalPages) {
     const validatedSplits = [];
-    
-    // Sort splits by start page
-    const sortedSplits = [...splits].sort((a, b) => a.startPage - b.startPage);
+    const claimedPages = new Set();
+    const withIds = splits.map((split, index) => ({ ...split, id: split.id || `split_${index + 1}` }));
+
+    // Explicit page lists: keep pages in the given order, drop out-of-range and already claimed pages
+    withIds.filter(hasExplicitPages).forEach(split => {
+      const pages = [];
+      getSplitPages(split).forEach(page => {
+        if (Number.isInteger(page) && page >= 1 && page <= totalPages && !claimedPages.has(page)) {
+          pages.push(page);
+          claimedPages.add(page);
+        }
+      });
+
+      if (pages.length > 0) {
+        validatedSplits.push(normalizeDocumentType(withPages(split, pages)));
+      }
+    });
+
+    // Sort range splits by start page
+    const sortedSplits = withIds
+      .filter(split => !hasExplicitPages(split))
+      .sort((a, b) => a.startPage - b.startPage);
     
     let currentPage = 1;
     
-    sortedSplits.forEach((split, index) => {
+    sortedSplits.forEach(split => {
       // Ensure start page is valid
       const startPage = Math.max(split.startPage, currentPage);
       
@@ -254,25 +373,38 @@ class PDFSplitterService {
       endPage = Math.max(endPage, startPage); // End page can't be before start page
       
       if (startPage <= totalPages) {
-        validatedSplits.push({
-          ...split,
-          id: split.id || `split_${index + 1}`,
-          startPage,
-          endPage,
-          pageRange: `${startPage}-${endPage}`
-        });
+        const pages = [];
+        for (let page = startPage; page <= endPage; page++) {
+          if (!claimedPages.has(page)) pages.push(page);
+        }
+        pages.forEach(page => claimedPages.add(page));
+
+        if (pages.length === endPage - startPage + 1) {
+          validatedSplits.push(normalizeDocumentType({
+            ...split,
+            startPage,
+            endPage,
+            pageRange: `${startPage}-${endPage}`
+          }));
+        } else if (pages.length > 0) {
+          validatedSplits.push(normalizeDocumentType(withPages(split, pages)));
+        }
         
         currentPage = endPage + 1;
       }
     });
 
-    // Handle any remaining pages
-    if (currentPage <= totalPages) {
+    // Pages no document claimed are kept apart as excluded blocks
+    const unassignedPages = [];
+    for (let page = 1; page <= totalPages; page++) {
+      if (!claimedPages.has(page)) unassignedPages.push(page);
+    }
+
+    if (unassignedPages.length > 0) {
       if (validatedSplits.length > 0) {
-        // Extend the last split to include remaining pages
-        const lastSplit = validatedSplits[validatedSplits.length - 1];
-        lastSplit.endPage = totalPages;
-        lastSplit.pageRange = `${lastSplit.startPage}-${totalPages}`;
+        toPageRuns(unassignedPages).forEach(([startPage, endPage]) => {
+          validatedSplits.push(buildUnassignedSplit(startPage, endPage));
+        });
       } else {
         // Create a single split for all pages
         validatedSplits.push({
@@ -282,23 +414,41 @@ class PDFSplitterService {
           endPage: totalPages,
           pageRange: `1-${totalPages}`,
           confidence: 0.5,
-          reasoning: 'Single invoice covering all pages'
+          reasoning: 'Single invoice covering all pages',
+          documentType: 'invoice',
+          excluded: false
         });
       }
     }
 
-    return validatedSplits;
+    return validatedSplits.sort((a, b) => getSplitPages(a)[0] - getSplitPages(b)[0]);
+  }
+
+  /**
+   * Rotate a copied page clockwise on top of its existing rotation
+   * @param {PDFPage} page - Page to rotate
+   * @param {number} rotation - Clockwise rotation in degrees (0/90/180/270)
+   */
+  applyRotation(page, rotation) {
+    if (!rotation) return;
+    const current = page.getRotation().angle || 0;
+    page.setRotation(degrees((current + rotation) % 360));
   }
 
   /**
    * Generate filename for split PDF
+   * Only the first and last page go in the name so interleaved page lists stay within
+   * filename limits; the full list is returned as `pages` / `pageRange` on the split.
    * @param {Object} split - Split configuration
    * @param {number} splitIndex - Index of the split
    * @returns {string} - Generated filename
    */
   generateSplitFilename(split, splitIndex) {
     const invoiceNumber = split.invoiceNumber || `Invoice_${splitIndex}`;
-    const pageRange = `${split.startPage}-${split.endPage}`;
+    const pages = getSplitPages(split);
+    const firstPage = Math.min(...pages);
+    const lastPage = Math.max(...pages);
+    const pageRange = firstPage === lastPage ? `${firstPage}` : `${firstPage}-${lastPage}`;
     const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
     
     // Clean invoice number by removing confidence markers and sanitize for filename
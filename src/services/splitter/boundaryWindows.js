@@ -0,0 +1,117 @@
+/**
+ * Sliding-window helpers for boundary detection on documents larger than the prompt budget.
+ * Pages are processed in overlapping windows; each window "owns" the core of its range
+ * (the overlap is shared half/half with its neighbour) and only boundaries found in a
+ * window's core are kept. Adjacent invoices with the same detected number are merged
+ * back together so an invoice straddling a window edge comes out as one split.
+ */
+
+const { normalizeInvoiceNumber } = require('./detectHeuristicBoundaries');
+
+const PLACEHOLDER_INVOICE_NUMBER = /^Invoice \d+$/;
+
+/**
+ * Plan overlapping windows over a list of page numbers
+ * @param {Array<number>} pageNumbers - Page numbers in document order
+ * @param {Object} options - { windowSize, overlap }
+ * @returns {Array<Object>} - Windows with page range and owned core range
+ */
+function planWindows(pageNumbers, { windowSize = 20, overlap = 4 } = {}) {
+  const size = Math.max(2, windowSize);
+  const safeOverlap = Math.min(Math.max(0, overlap), size - 1);
+  const step = size - safeOverlap;
+  const windows = [];
+
+  for (let start = 0; start < pageNumbers.length; start += step) {
+    const end = Math.min(start + size, pageNumbers.length);
+    windows.push({ index: windows.length, startIndex: start, endIndex: end });
+    if (end === pageNumbers.length) break;
+  }
+
+  // Each window owns pages up to the middle of its overlap with the next one
+  const coreEnds = windows.map((window, i) => {
+    const next = windows[i + 1];
+    return next ? next.startIndex + Math.floor(safeOverlap / 2) : window.endIndex;
+  });
+
+  return windows.map((window, i) => {
+    const coreStartIndex = i === 0 ? 0 : coreEnds[i - 1];
+    const coreEndIndex = coreEnds[i];
+    return {
+      index: window.index,
+      startPage: pageNumbers[window.startIndex],
+      endPage: pageNumbers[window.endIndex - 1],
+      coreStartPage: pageNumbers[coreStartIndex],
+      coreEndPage: pageNumbers[coreEndIndex - 1],
+      startIndex: window.startIndex,
+      endIndex: window.endIndex
+    };
+  });
+}
+
+/**
+ * Merge per-window proposals into one list of splits with consistent ids and numbers
+ * @param {Array<Object>} windowResults - [{ window, splits, source }]
+ * @param {Array<number>} pageNumbers - Page numbers in document order
+ * @returns {Array<Object>} - Merged splits
+ */
+function mergeWindowProposals(windowResults, pageNumbers) {
+  const firstPage = pageNumbers[0];
+  const lastPage = pageNumbers[pageNumbers.length - 1];
+  const boundaries = new Map();
+
+  windowResults.forEach(({ window, splits, source }) => {
+    (splits || []).forEach(split => {
+      const startPage = parseInt(split.startPage, 10);
+      if (!startPage || startPage < window.coreStartPage || startPage > window.coreEndPage) return;
+      if (boundaries.has(startPage)) return;
+      boundaries.set(startPage, { ...split, startPage, source: split.source || source, detectedInWindow: window.index });
+    });
+  });
+
+  if (!boundaries.has(firstPage)) {
+    boundaries.set(firstPage, {
+      invoiceNumber: null,
+      startPage: firstPage,
+      confidence: 0.3,
+      reasoning: 'No boundary reported for the first page, starting first invoice there',
+      source: 'window-merge',
+      detectedInWindow: 0
+    });
+  }
+
+  const starts = [...boundaries.keys()].sort((a, b) => a - b);
+  const merged = [];
+
+  starts.forEach((startPage, i) => {
+    const split = boundaries.get(startPage);
+    const endPage = i + 1 < starts.length ? starts[i + 1] - 1 : lastPage;
+    const previous = merged[merged.length - 1];
+
+    // Same real invoice number on both sides of a boundary: one invoice cut by a window edge
+    const sameInvoice = previous && split.invoiceNumber && previous.invoiceNumber &&
+      !PLACEHOLDER_INVOICE_NUMBER.test(split.invoiceNumber) &&
+      (split.documentType || 'invoice') === (previous.documentType || 'invoice') &&
+      normalizeInvoiceNumber(split.invoiceNumber) === normalizeInvoiceNumber(previous.invoiceNumber);
+
+    if (sameInvoice) {
+      previous.endPage = endPage;
+      previous.confidence = Math.min(previous.confidence, parseFloat(split.confidence) || previous.confidence);
+      previous.reasoning = `${previous.reasoning} (merged with continuation detected in window ${split.detectedInWindow + 1})`;
+      return;
+    }
+
+    merged.push({ ...split, endPage });
+  });
+
+  return merged.map((split, index) => ({
+    ...split,
+    id: `invoice_${index + 1}`,
+    invoiceNumber: !split.invoiceNumber || PLACEHOLDER_INVOICE_NUMBER.test(split.invoiceNumber)
+      ? `Invoice ${index + 1}`
+      : split.invoiceNumber,
+    pageRange: `${split.startPage}-${split.endPage}`
+  }));
+}
+
+module.exports = { planWindows, mergeWindowProposals };
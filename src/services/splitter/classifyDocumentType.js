@@ -0,0 +1,132 @@
+/**
+ * Keyword-based document type classification for pages and proposed splits.
+ * Mixed scans contain packing lists, CMR delivery notes, certificates of origin
+ * and blank separator pages next to the invoices; only invoice-like documents
+ * are kept for extraction, everything else is marked `excluded`.
+ */
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note', 'proforma', 'packing_list', 'certificate', 'blank', 'other'];
+
+// Documents that carry billing data and go through extraction
+const INVOICE_DOCUMENT_TYPES = ['invoice', 'credit_note', 'proforma'];
+
+// Checked in order: the first match wins
+const DOCUMENT_TYPE_PATTERNS = [
+  { type: 'credit_note', pattern: /\b(?:credit\s*note|avoir|gutschrift|nota\s+di\s+credito|nota\s+de\s+cr[ée]dito)\b/i },
+  { type: 'proforma', pattern: /\bpro[\s\-]?forma\b/i },
+  { type: 'packing_list', pattern: /\b(?:packing\s*list|liste\s+de\s+colisage|packliste|delivery\s+note|bon\s+de\s+livraison|lieferschein|bolla\s+di\s+consegna|albar[áa]n|CMR|consignment\s+note|lettre\s+de\s+voiture|frachtbrief)\b/i },
+  { type: 'certificate', pattern: /\b(?:certificate\s+of\s+(?:origin|conformity|analysis)|certificat\s+d['’]origine|ursprungszeugnis|EUR\.1|movement\s+certificate|certificat\s+de\s+conformit[ée])\b/i },
+  { type: 'invoice', pattern: /\b(?:invoice|facture|rechnung|fattura|factura)\b/i }
+];
+
+// Pages with this many words or fewer are treated as blank
+const BLANK_PAGE_MAX_WORDS = parseInt(process.env.BLANK_PAGE_MAX_WORDS || '3', 10);
+
+function isInvoiceType(documentType) {
+  return INVOICE_DOCUMENT_TYPES.includes(documentType);
+}
+
+/**
+ * Classify a single page from its text
+ * @param {string} text - Page text
+ * @param {number} [wordCount] - Word count, computed from text when missing
+ * @returns {string} - One of DOCUMENT_TYPES
+ */
+function classifyPageText(text, wordCount) {
+  const words = wordCount != null ? wordCount : String(text || '').split(/\s+/).filter(Boolean).length;
+  if (!text || words <= BLANK_PAGE_MAX_WORDS) return 'blank';
+
+  // Only the top of the page decides: a packing list may mention "invoice no." further down
+  const head = text.split('\n').slice(0, 15).join('\n');
+  const match = DOCUMENT_TYPE_PATTERNS.find(({ pattern }) => pattern.test(head));
+  if (match) return match.type;
+
+  // Untitled pages that still talk about an invoice are kept as invoices rather than excluded
+  const invoicePattern = DOCUMENT_TYPE_PATTERNS.find(({ type }) => type === 'invoice').pattern;
+  return invoicePattern.test(text) ? 'invoice' : 'other';
+}
+
+/**
+ * Classify a split from the text of its pages
+ * The first page decides; continuation pages without their own title fall back to the majority.
+ * @param {Object} split - Split with startPage/endPage
+ * @param {Array} pageTexts - Page text objects ({ pageNumber, text, wordCount })
+ * @returns {string} - One of DOCUMENT_TYPES
+ */
+function classifySplit(split, pageTexts) {
+  const types = (pageTexts || [])
+    .filter(page => page.pageNumber >= split.startPage && page.pageNumber <= split.endPage)
+    .map(page => classifyPageText(page.text, page.wordCount));
+
+  if (types.length === 0) return 'other';
+  if (types[0] !== 'other' && types[0] !== 'blank') return types[0];
+  if (types.every(type => type === 'blank')) return 'blank';
+
+  const counts = {};
+  types.filter(type => type !== 'blank').forEach(type => { counts[type] = (counts[type] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Ensure a split carries a valid documentType and excluded flag
+ * @param {Object} split - Split to normalize
+ * @returns {Object} - Split with documentType and excluded
+ */
+function normalizeDocumentType(split) {
+  const documentType = DOCUMENT_TYPES.includes(split.documentType) ? split.documentType : 'invoice';
+  return {
+    ...split,
+    documentType,
+    excluded: typeof split.excluded === 'boolean' ? split.excluded : !isInvoiceType(documentType)
+  };
+}
+
+/**
+ * Build an excluded split for pages that no proposed document claimed
+ * @param {number} startPage - First unassigned page
+ * @param {number} endPage - Last unassigned page
+ * @returns {Object} - Split marked as excluded "other"
+ */
+function buildUnassignedSplit(startPage, endPage) {
+  return {
+    id: `unassigned_${startPage}`,
+    invoiceNumber: 'Unassigned pages',
+    startPage,
+    endPage,
+    confidence: 0.3,
+    reasoning: 'Pages not assigned to any document',
+    pageRange: `${startPage}-${endPage}`,
+    documentType: 'other',
+    excluded: true,
+    unassigned: true
+  };
+}
+
+/**
+ * Classify every split that has no (valid) documentType yet and set its excluded flag
+ * @param {Array} splits - Proposed splits
+ * @param {Array} pageTexts - Page text objects
+ * @returns {Array} - Annotated splits
+ */
+function annotateDocumentTypes(splits, pageTexts) {
+  return (splits || []).map(split => {
+    const heuristicType = classifySplit(split, pageTexts);
+    const documentType = DOCUMENT_TYPES.includes(split.documentType) ? split.documentType : heuristicType;
+    return normalizeDocumentType({
+      ...split,
+      documentType,
+      documentTypeSource: documentType === split.documentType ? (split.source || 'llm') : 'heuristic'
+    });
+  });
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  INVOICE_DOCUMENT_TYPES,
+  isInvoiceType,
+  classifyPageText,
+  classifySplit,
+  normalizeDocumentType,
+  buildUnassignedSplit,
+  annotateDocumentTypes
+};
@@ -0,0 +1,238 @@
+/**
+ * Heuristic (non-LLM) invoice boundary detector.
+ * Scores every page transition using invoice-number patterns, "Page X/N" counters,
+ * repeated vendor headers, totals blocks and document type changes (packing lists,
+ * certificates, blank pages). Used as a fallback when the LLM is
+ * unavailable and as a cross-check of the LLM proposal.
+ */
+
+const { analyzePage, headerSimilarity } = require('./pageSignals');
+const { isInvoiceType } = require('./classifyDocumentType');
+
+// Minimum score for a page transition to be treated as a new invoice
+const BOUNDARY_THRESHOLD = 2.5;
+
+function normalizeInvoiceNumber(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Score the transition into `page`, given the previous page and the invoice being built
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scoreTransition(page, previous, segment) {
+  let score = 0;
+  const reasons = [];
+
+  // A packing list, certificate or blank page never belongs to the invoice before it
+  const typeChanged = page.documentType !== segment.documentType &&
+    (page.documentType !== 'other' || segment.documentType === 'blank');
+  if (typeChanged && (!isInvoiceType(page.documentType) || !isInvoiceType(segment.documentType))) {
+    score += 3;
+    reasons.push(`document type changes (${segment.documentType} → ${page.documentType})`);
+  }
+
+  if (page.pageCounter) {
+    if (page.pageCounter.current === 1) {
+      score += 3;
+      reasons.push(`page counter restarts (1/${page.pageCounter.total})`);
+    } else {
+      score -= 3;
+      reasons.push(`page counter continues (${page.pageCounter.current}/${page.pageCounter.total})`);
+    }
+  }
+
+  if (page.invoiceNumber) {
+    if (!segment.invoiceNumber) {
+      score += 1;
+      reasons.push(`invoice number ${page.invoiceNumber} appears`);
+    } else if (normalizeInvoiceNumber(page.invoiceNumber) !== normalizeInvoiceNumber(segment.invoiceNumber)) {
+      score += 3;
+      reasons.push(`new invoice number ${page.invoiceNumber}`);
+    } else {
+      score -= 3;
+      reasons.push(`same invoice number ${page.invoiceNumber}`);
+    }
+  }
+
+  const previousIncomplete = previous.pageCounter && previous.pageCounter.current < previous.pageCounter.total;
+  if (previous.hasTotals && !previousIncomplete) {
+    score += 1.5;
+    reasons.push('previous page closes with a totals block');
+  }
+  if (previous.pageCounter && previous.pageCounter.current === previous.pageCounter.total) {
+    score += 1.5;
+    reasons.push('previous page was the last page of its counter');
+  }
+
+  if (page.header && segment.header) {
+    const similarity = headerSimilarity(page.header, segment.header);
+    if (similarity < 0.3) {
+      score += 1;
+      reasons.push('page header differs from the current invoice');
+    } else if (similarity >= 0.7) {
+      score -= 0.5;
+      reasons.push('repeated vendor header');
+    }
+  }
+
+  if (page.hasContinuation || previous.hasContinuation) {
+    score -= 1.5;
+    reasons.push('continuation marker');
+  }
+
+  return { score, reasons };
+}
+
+function buildSplit(segment, index) {
+  const startStrength = Math.min(1, Math.max(0, segment.startScore) / 6);
+  const closed = segment.endSignals.hasTotals ||
+    (segment.endSignals.pageCounter && segment.endSignals.pageCounter.current === segment.endSignals.pageCounter.total);
+  const confidence = Math.min(0.95,
+    0.35 + (0.35 * startStrength) + (closed ? 0.2 : 0) + (segment.invoiceNumber ? 0.1 : 0)
+  );
+
+  return {
+    id: `invoice_${index + 1}`,
+    invoiceNumber: segment.invoiceNumber || `Invoice ${index + 1}`,
+    detectedInvoiceNumber: segment.invoiceNumber || null,
+    startPage: segment.startPage,
+    endPage: segment.endPage,
+    confidence: Number(confidence.toFixed(2)),
+    reasoning: segment.reasons.length > 0
+      ? `Heuristic: ${segment.reasons.join('; ')}`
+      : 'Heuristic: start of document',
+    pageRange: `${segment.startPage}-${segment.endPage}`,
+    documentType: segment.documentType,
+    source: 'heuristic'
+  };
+}
+
+/**
+ * Detect invoice boundaries from per-page text without calling the LLM
+ * @param {Array} pages - Page objects ({ pageNumber, text, wordCount })
+ * @returns {{ splits: Array, pageSignals: Array }}
+ */
+function detectHeuristicBoundaries(pages) {
+  const pageSignals = (pages || []).map(analyzePage);
+  if (pageSignals.length === 0) return { splits: [], pageSignals };
+
+  const first = pageSignals[0];
+  const segments = [];
+  let segment = {
+    startPage: first.pageNumber,
+    endPage: first.pageNumber,
+    invoiceNumber: first.invoiceNumber,
+    documentType: first.documentType,
+    header: first.header,
+    startScore: (first.invoiceNumber ? 3 : 0) + (first.pageCounter && first.pageCounter.current === 1 ? 3 : 0),
+    reasons: [],
+    endSignals: first
+  };
+
+  for (let i = 1; i < pageSignals.length; i++) {
+    const page = pageSignals[i];
+    const { score, reasons } = scoreTransition(page, pageSignals[i - 1], segment);
+
+    if (score >= BOUNDARY_THRESHOLD) {
+      segments.push(segment);
+      segment = {
+        startPage: page.pageNumber,
+        endPage: page.pageNumber,
+        invoiceNumber: page.invoiceNumber,
+        documentType: page.documentType,
+        header: page.header,
+        startScore: score,
+        reasons,
+        endSignals: page
+      };
+    } else {
+      segment.endPage = page.pageNumber;
+      segment.endSignals = page;
+      if (!segment.invoiceNumber && page.invoiceNumber) segment.invoiceNumber = page.invoiceNumber;
+      if (segment.documentType === 'other' && !['other', 'blank'].includes(page.documentType)) segment.documentType = page.documentType;
+    }
+  }
+  segments.push(segment);
+
+  return {
+    splits: segments.map(buildSplit),
+    pageSignals
+  };
+}
+
+/**
+ * Compare a proposal (usually the LLM one) with the heuristic splits and record
+ * disagreements on each proposed split under `heuristicCheck`.
+ * @param {Array} proposedSplits - Validated splits to annotate
+ * @param {Array} heuristicSplits - Splits from detectHeuristicBoundaries
+ * @returns {{ splits: Array, summary: Object }}
+ */
+function compareWithHeuristic(proposedSplits, heuristicSplits) {
+  const heuristicByStart = new Map((heuristicSplits || []).map(s => [s.startPage, s]));
+  const heuristicStarts = [...heuristicByStart.keys()];
+  let disagreementCount = 0;
+
+  const splits = (proposedSplits || []).map(split => {
+    const disagreements = [];
+    const match = heuristicByStart.get(split.startPage);
+
+    if (!match) {
+      disagreements.push({
+        type: 'start_not_confirmed',
+        page: split.startPage,
+        message: `Heuristics found no invoice start on page ${split.startPage}`
+      });
+    } else if (match.detectedInvoiceNumber && split.invoiceNumber &&
+      normalizeInvoiceNumber(match.detectedInvoiceNumber) !== normalizeInvoiceNumber(split.invoiceNumber)) {
+      disagreements.push({
+        type: 'invoice_number_mismatch',
+        page: split.startPage,
+        heuristicInvoiceNumber: match.detectedInvoiceNumber,
+        message: `Heuristics read invoice number ${match.detectedInvoiceNumber} on page ${split.startPage}`
+      });
+    }
+
+    if (match && split.documentType && match.documentType !== split.documentType) {
+      disagreements.push({
+        type: 'document_type_mismatch',
+        page: split.startPage,
+        heuristicDocumentType: match.documentType,
+        message: `Heuristics classify pages ${match.pageRange} as ${match.documentType}`
+      });
+    }
+
+    heuristicStarts
+      .filter(page => page > split.startPage && page <= split.endPage)
+      .forEach(page => {
+        disagreements.push({
+          type: 'missed_boundary',
+          page,
+          message: `Heuristics suggest a new invoice starting on page ${page}`
+        });
+      });
+
+    disagreementCount += disagreements.length;
+
+    return {
+      ...split,
+      heuristicCheck: {
+        agrees: disagreements.length === 0,
+        heuristicSplitId: match ? match.id : null,
+        disagreements
+      }
+    };
+  });
+
+  return {
+    splits,
+    summary: {
+      heuristicInvoiceCount: (heuristicSplits || []).length,
+      proposedInvoiceCount: splits.length,
+      splitsInAgreement: splits.filter(s => s.heuristicCheck.agrees).length,
+      disagreementCount
+    }
+  };
+}
+
+module.exports = { detectHeuristicBoundaries, compareWithHeuristic, normalizeInvoiceNumber };
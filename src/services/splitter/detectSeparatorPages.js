@@ -0,0 +1,155 @@
+/**
+ * Separator pre-pass over the pages returned by azureDocumentService.extractTextFromPDF.
+ * Mailrooms insert blank or barcode separator sheets between invoices before scanning;
+ * such pages are hard boundaries: a split never runs across them.
+ * A separator is recognised by a configured barcode value (SEPARATOR_BARCODE), a configured
+ * text on a short page (SEPARATOR_TEXT) or, unless SEPARATOR_BLANK_PAGES=false, by being blank.
+ */
+
+const { classifyPageText } = require('./classifyDocumentType');
+const { hasExplicitPages } = require('./splitPages');
+
+// A page carrying the separator text must be short, so invoices quoting it are not cut
+const SEPARATOR_TEXT_MAX_WORDS = 30;
+
+function getSeparatorConfig() {
+  return {
+    separatorText: (process.env.SEPARATOR_TEXT || '').trim(),
+    separatorBarcodes: (process.env.SEPARATOR_BARCODE || '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean),
+    blankPages: process.env.SEPARATOR_BLANK_PAGES !== 'false'
+  };
+}
+
+// "SEP-*" matches any barcode starting with "SEP-"; anything else must match exactly
+function matchesBarcode(value, patterns) {
+  return patterns.some(pattern => (pattern.endsWith('*')
+    ? value.startsWith(pattern.slice(0, -1))
+    : value === pattern));
+}
+
+/**
+ * Find blank and separator pages
+ * @param {Array} pages - Page objects ({ pageNumber, text, wordCount, barcodes })
+ * @param {Object} [config] - Overrides for getSeparatorConfig()
+ * @returns {Array<Object>} - [{ pageNumber, kind: 'barcode' | 'text' | 'blank', value }]
+ */
+function detectSeparatorPages(pages, config = {}) {
+  const { separatorText, separatorBarcodes, blankPages } = { ...getSeparatorConfig(), ...config };
+  const separators = [];
+
+  (pages || []).forEach((page, index) => {
+    const pageNumber = page.pageNumber || (index + 1);
+    const text = page.text || '';
+    const wordCount = page.wordCount != null ? page.wordCount : text.split(/\s+/).filter(Boolean).length;
+
+    const barcode = separatorBarcodes.length > 0 &&
+      (page.barcodes || []).find(code => code.value && matchesBarcode(String(code.value), separatorBarcodes));
+    if (barcode) {
+      separators.push({ pageNumber, kind: 'barcode', value: String(barcode.value) });
+      return;
+    }
+
+    if (separatorText && wordCount <= SEPARATOR_TEXT_MAX_WORDS &&
+      text.toLowerCase().includes(separatorText.toLowerCase())) {
+      separators.push({ pageNumber, kind: 'text', value: separatorText });
+      return;
+    }
+
+    if (blankPages && (page.barcodes || []).length === 0 && classifyPageText(text, wordCount) === 'blank') {
+      separators.push({ pageNumber, kind: 'blank', value: null });
+    }
+  });
+
+  return separators;
+}
+
+function buildSeparatorSplit(startPage, endPage, separators) {
+  const kinds = [...new Set(separators.map(separator => separator.kind))];
+  return {
+    id: `separator_${startPage}`,
+    invoiceNumber: 'Separator sheet',
+    startPage,
+    endPage,
+    confidence: 1,
+    reasoning: `Separator page (${kinds.join(', ')})`,
+    pageRange: `${startPage}-${endPage}`,
+    documentType: 'blank',
+    excluded: true,
+    separator: true,
+    separatorKind: kinds[0]
+  };
+}
+
+/**
+ * Cut range splits at separator pages and turn those pages into their own excluded splits
+ * Splits with an explicit page list are left untouched (they were placed by a reviewer).
+ * @param {Array} splits - Validated, contiguous splits
+ * @param {Array} separators - Result of detectSeparatorPages
+ * @returns {Array} - Splits where no document runs across a separator
+ */
+function applySeparatorBoundaries(splits, separators) {
+  if (!separators || separators.length === 0) return splits;
+  const separatorByPage = new Map(separators.map(separator => [separator.pageNumber, separator]));
+  const result = [];
+
+  (splits || []).forEach(split => {
+    if (hasExplicitPages(split)) {
+      result.push(split);
+      return;
+    }
+
+    let run = null;
+    let part = 0;
+    let lastSeparatorPage = null;
+
+    const closeRun = () => {
+      if (!run) return;
+      if (run.separators) {
+        result.push(buildSeparatorSplit(run.startPage, run.endPage, run.separators));
+        lastSeparatorPage = run.endPage;
+      } else if (part === 0) {
+        part++;
+        result.push({ ...split, startPage: run.startPage, endPage: run.endPage, pageRange: `${run.startPage}-${run.endPage}` });
+      } else {
+        part++;
+        result.push({
+          ...split,
+          id: `${split.id}_part${part}`,
+          invoiceNumber: `Invoice after page ${lastSeparatorPage}`,
+          detectedInvoiceNumber: null,
+          startPage: run.startPage,
+          endPage: run.endPage,
+          pageRange: `${run.startPage}-${run.endPage}`,
+          reasoning: `${split.reasoning || ''} (cut at separator page ${lastSeparatorPage})`.trim()
+        });
+      }
+      run = null;
+    };
+
+    for (let page = split.startPage; page <= split.endPage; page++) {
+      const separator = separatorByPage.get(page);
+      if (run && Boolean(run.separators) !== Boolean(separator)) closeRun();
+      if (!run) run = { startPage: page, endPage: page, separators: separator ? [] : null };
+      run.endPage = page;
+      if (separator) run.separators.push(separator);
+    }
+    closeRun();
+  });
+
+  // Consecutive separator pages from neighbouring splits form one separator block
+  return result.reduce((merged, split) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.separator && split.separator && previous.endPage + 1 === split.startPage) {
+      previous.endPage = split.endPage;
+      previous.pageRange = `${previous.startPage}-${previous.endPage}`;
+    } else {
+      merged.push({ ...split });
+    }
+    return merged;
+  }, []);
+}
+
+module.exports = { getSeparatorConfig, detectSeparatorPages, applySeparatorBoundaries };
@@ -0,0 +1,141 @@
+/**
+ * Diff two split revisions of the same document.
+ * Splits are matched by the pages they share, so the diff reads the way a reviewer
+ * edits: boundaries moved between two invoices, invoices merged or split, invoice
+ * numbers renamed and documents reclassified. Used for the audit trail and to
+ * measure how often the AI proposal is corrected.
+ */
+
+const { getSplitPages, formatPageRange } = require('./splitPages');
+
+function describe(split) {
+  return {
+    id: split.id,
+    invoiceNumber: split.invoiceNumber || null,
+    pageRange: split.pageRange || formatPageRange(getSplitPages(split))
+  };
+}
+
+function startPages(splits) {
+  return new Set(splits.map(split => getSplitPages(split)[0]));
+}
+
+// Match preference when two candidates share as many pages: same id, then same invoice number
+function matchScore(a, b, sharedPages) {
+  return sharedPages * 4 + (a.id && a.id === b.id ? 2 : 0) + (a.invoiceNumber && a.invoiceNumber === b.invoiceNumber ? 1 : 0);
+}
+
+function bestMatch(scores) {
+  let best = -1;
+  scores.forEach((score, index) => {
+    if (score > 0 && (best === -1 || score > scores[best])) best = index;
+  });
+  return best;
+}
+
+/**
+ * Compare two lists of splits
+ * Splits that are each other's best page match are paired (moved boundaries, renames and
+ * reclassifications are read from the pairs); leftovers are merges, splits or reassignments.
+ * @param {Array} fromSplits - Earlier revision
+ * @param {Array} toSplits - Later revision
+ * @returns {Object} - { boundaries, moved, merged, split, renamed, reclassified, reassigned, summary }
+ */
+function diffSplits(fromSplits = [], toSplits = []) {
+  const fromPages = fromSplits.map(split => getSplitPages(split));
+  const toPages = toSplits.map(split => new Set(getSplitPages(split)));
+
+  const shared = fromPages.map(pages => toPages.map(other => pages.filter(page => other.has(page)).length));
+  const scores = fromSplits.map((fromSplit, i) => toSplits.map((toSplit, j) => (shared[i][j] > 0 ? matchScore(fromSplit, toSplit, shared[i][j]) : 0)));
+  const bestTo = scores.map(row => bestMatch(row));
+  const bestFrom = toSplits.map((_, j) => bestMatch(scores.map(row => row[j])));
+
+  const pairOfFrom = fromSplits.map((_, i) => (bestTo[i] >= 0 && bestFrom[bestTo[i]] === i ? bestTo[i] : -1));
+  const pairOfTo = toSplits.map((_, j) => pairOfFrom.indexOf(j));
+
+  const diff = { moved: [], merged: [], split: [], renamed: [], reclassified: [], reassigned: [] };
+  const mergedInto = new Map();
+  const splitFrom = new Map();
+
+  // Unpaired splits on either side: merges, splits, or pages that changed hands in a more complex way
+  fromSplits.forEach((fromSplit, i) => {
+    if (pairOfFrom[i] >= 0) return;
+    const targets = shared[i].map((count, j) => (count > 0 ? j : -1)).filter(j => j >= 0);
+    if (targets.length === 1 && pairOfTo[targets[0]] >= 0) {
+      if (!mergedInto.has(targets[0])) mergedInto.set(targets[0], [pairOfTo[targets[0]]]);
+      mergedInto.get(targets[0]).push(i);
+    } else {
+      diff.reassigned.push({ from: [describe(fromSplit)], to: targets.map(j => describe(toSplits[j])) });
+    }
+  });
+
+  toSplits.forEach((toSplit, j) => {
+    if (pairOfTo[j] >= 0) return;
+    const sources = shared.map((row, i) => (row[j] > 0 ? i : -1)).filter(i => i >= 0);
+    if (sources.length === 1 && pairOfFrom[sources[0]] >= 0) {
+      if (!splitFrom.has(sources[0])) splitFrom.set(sources[0], [pairOfFrom[sources[0]]]);
+      splitFrom.get(sources[0]).push(j);
+    } else {
+      diff.reassigned.push({ from: sources.map(i => describe(fromSplits[i])), to: [describe(toSplit)] });
+    }
+  });
+
+  mergedInto.forEach((sources, j) => {
+    diff.merged.push({ from: sources.sort((a, b) => a - b).map(i => describe(fromSplits[i])), into: describe(toSplits[j]) });
+  });
+  splitFrom.forEach((targets, i) => {
+    diff.split.push({ from: describe(fromSplits[i]), into: targets.sort((a, b) => a - b).map(j => describe(toSplits[j])) });
+  });
+
+  let unchanged = 0;
+  fromSplits.forEach((fromSplit, i) => {
+    const j = pairOfFrom[i];
+    if (j < 0) return;
+    const toSplit = toSplits[j];
+    let changed = mergedInto.has(j) || splitFrom.has(i);
+
+    // Page changes of merged or split invoices are already reported as such
+    if (!changed && formatPageRange(fromPages[i]) !== formatPageRange(getSplitPages(toSplit))) {
+      diff.moved.push({ from: describe(fromSplit), to: describe(toSplit) });
+      changed = true;
+    }
+    if ((fromSplit.invoiceNumber || null) !== (toSplit.invoiceNumber || null)) {
+      diff.renamed.push({ pageRange: describe(toSplit).pageRange, from: fromSplit.invoiceNumber || null, to: toSplit.invoiceNumber || null });
+      changed = true;
+    }
+    if ((fromSplit.documentType || 'invoice') !== (toSplit.documentType || 'invoice') ||
+      Boolean(fromSplit.excluded) !== Boolean(toSplit.excluded)) {
+      diff.reclassified.push({
+        pageRange: describe(toSplit).pageRange,
+        from: { documentType: fromSplit.documentType || 'invoice', excluded: Boolean(fromSplit.excluded) },
+        to: { documentType: toSplit.documentType || 'invoice', excluded: Boolean(toSplit.excluded) }
+      });
+      changed = true;
+    }
+    if (!changed) unchanged++;
+  });
+
+  const fromStarts = startPages(fromSplits);
+  const toStarts = startPages(toSplits);
+  const boundaries = {
+    added: [...toStarts].filter(page => !fromStarts.has(page)).sort((a, b) => a - b),
+    removed: [...fromStarts].filter(page => !toStarts.has(page)).sort((a, b) => a - b)
+  };
+
+  const changeCount = diff.moved.length + diff.merged.length + diff.split.length +
+    diff.renamed.length + diff.reclassified.length + diff.reassigned.length;
+
+  return {
+    boundaries,
+    ...diff,
+    summary: {
+      fromCount: fromSplits.length,
+      toCount: toSplits.length,
+      unchanged,
+      changeCount,
+      identical: changeCount === 0 && boundaries.added.length === 0 && boundaries.removed.length === 0
+    }
+  };
+}
+
+module.exports = { diffSplits };
@@ -0,0 +1,122 @@
+/**
+ * Deterministic per-page signals used by the heuristic boundary detector.
+ * Works on the page objects returned by azureDocumentService.extractTextFromPDF
+ * ({ pageNumber, text, wordCount }) and never calls an external service.
+ */
+
+const { classifyPageText } = require('./classifyDocumentType');
+
+// "Invoice No. INV-2024-001", "Facture N° 12345", "Rechnung Nr.: R-778", "Credit note # CN/22/14"
+const INVOICE_NUMBER_PATTERNS = [
+  /\b(?:invoice|facture|rechnung|fattura|factura|credit\s*note|avoir|gutschrift)\s*(?:no\.?|n[°ºo]\.?|nr\.?|number|num[ée]ro|#)\s*[:.]?\s*([A-Z0-9][A-Z0-9\-\/\.]{2,})/i,
+  /\b(?:invoice|facture|rechnung|fattura|factura)\s*[:#]\s*([A-Z0-9][A-Z0-9\-\/\.]{2,})/i,
+  /\b(?:inv|fact|re)[\s\-]?(?:no\.?|nr\.?|#)\s*[:.]?\s*([A-Z0-9][A-Z0-9\-\/\.]{2,})/i
+];
+
+// "Page 1/3", "Page 2 of 4", "Seite 1 von 2", "Page 1 sur 2", "Pag. 1 di 3"
+const PAGE_COUNTER_PATTERN = /\b(?:page|seite|pag(?:e|ina)?\.?|p\.)\s*(\d{1,3})\s*(?:\/|of|von|sur|de|di)\s*(\d{1,3})\b/i;
+
+// Totals blocks usually close an invoice
+const TOTALS_PATTERN = /\b(?:grand\s+total|total\s+(?:due|amount|ttc|ht|à\s+payer|a\s+payer|eur|chf|usd|gbp)|amount\s+due|balance\s+due|montant\s+(?:total|ttc|dû|du)|net\s+à\s+payer|net\s+a\s+payer|gesamtbetrag|rechnungsbetrag|endbetrag|totale\s+(?:fattura|documento)|importe\s+total)\b/i;
+
+// Continuation markers ("continued", "Übertrag", "report") mean the invoice goes on
+const CONTINUATION_PATTERN = /\b(?:continued|suite|fortsetzung|übertrag|uebertrag|report\s+page|carried\s+forward|à\s+reporter)\b/i;
+
+/**
+ * Extract the first invoice-number-like token from page text
+ * @param {string} text - Page text
+ * @returns {string|null}
+ */
+function findInvoiceNumber(text) {
+  if (!text) return null;
+  for (const pattern of INVOICE_NUMBER_PATTERNS) {
+    const match = text.match(pattern);
+    if (match && match[1] && /\d/.test(match[1])) {
+      return match[1].replace(/[.\-\/]+$/, '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract a "Page X/N" counter from page text
+ * @param {string} text - Page text
+ * @returns {{ current: number, total: number }|null}
+ */
+function findPageCounter(text) {
+  if (!text) return null;
+  const match = text.match(PAGE_COUNTER_PATTERN);
+  if (!match) return null;
+  const current = parseInt(match[1], 10);
+  const total = parseInt(match[2], 10);
+  if (!current || !total || current > total) return null;
+  return { current, total };
+}
+
+/**
+ * Build a short fingerprint of the page header (first non-empty lines),
+ * used to detect a repeated vendor header across pages of the same invoice.
+ * Digits are stripped so that page counters and dates do not break the match.
+ * @param {string} text - Page text
+ * @param {number} lineCount - Number of header lines to consider
+ * @returns {string}
+ */
+function headerFingerprint(text, lineCount = 3) {
+  if (!text) return '';
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .slice(0, lineCount)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[0-9]/g, '')
+    .replace(/[^a-zà-ÿ]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaccard similarity between two header fingerprints (word based)
+ * @param {string} a - First fingerprint
+ * @param {string} b - Second fingerprint
+ * @returns {number} - Similarity between 0 and 1
+ */
+function headerSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const wordsA = new Set(a.split(' ').filter(w => w.length > 2));
+  const wordsB = new Set(b.split(' ').filter(w => w.length > 2));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  wordsA.forEach(w => { if (wordsB.has(w)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Compute all heuristic signals for a single page
+ * @param {Object} page - Page object ({ pageNumber, text, wordCount })
+ * @param {number} index - Index of the page in the document
+ * @returns {Object} - Page signals
+ */
+function analyzePage(page, index) {
+  const text = page.text || '';
+  const wordCount = page.wordCount != null ? page.wordCount : text.split(/\s+/).filter(Boolean).length;
+  return {
+    pageNumber: page.pageNumber || (index + 1),
+    wordCount,
+    documentType: classifyPageText(text, wordCount),
+    invoiceNumber: findInvoiceNumber(text),
+    pageCounter: findPageCounter(text),
+    hasTotals: TOTALS_PATTERN.test(text),
+    hasContinuation: CONTINUATION_PATTERN.test(text),
+    header: headerFingerprint(text)
+  };
+}
+
+module.exports = {
+  analyzePage,
+  findInvoiceNumber,
+  findPageCounter,
+  headerFingerprint,
+  headerSimilarity,
+  TOTALS_PATTERN
+};
@@ -0,0 +1,167 @@
+/**
+ * Evidence-based split confidence.
+ * Instead of echoing the confidence the model wrote, every split is scored from checks
+ * that can be verified against the page text: is the claimed invoice number printed on
+ * the start page, does the last page close with a totals block, do "Page X/N" counters
+ * agree with the range... Each check is recorded in `confidenceBreakdown`, and the score
+ * is compared with CONFIDENCE_THRESHOLD to decide whether the split needs human review.
+ */
+
+const { analyzePage } = require('./pageSignals');
+const { isInvoiceType } = require('./classifyDocumentType');
+const { normalizeInvoiceNumber } = require('./detectHeuristicBoundaries');
+const { getSplitPages } = require('./splitPages');
+
+const PLACEHOLDER_INVOICE_NUMBER = /^Invoice (\d+|after page \d+)$/;
+
+// Relative weight of each check; checks that do not apply to a split are left out of the score
+const EVIDENCE_WEIGHTS = {
+  invoiceNumberOnStartPage: 0.3,
+  startPageOpensDocument: 0.15,
+  totalsOnEndPage: 0.2,
+  pageCountersConsistent: 0.2,
+  noInternalBoundary: 0.15,
+  documentTypeOnStartPage: 0.1,
+  heuristicAgreement: 0.15
+};
+
+function getConfidenceThreshold() {
+  const threshold = parseFloat(process.env.CONFIDENCE_THRESHOLD);
+  return Number.isFinite(threshold) ? threshold : 0.85;
+}
+
+function check(name, passed, detail) {
+  return { check: name, passed, weight: EVIDENCE_WEIGHTS[name], detail };
+}
+
+function collectChecks(split, pages, signalsByPage) {
+  const signals = pages.map(page => signalsByPage.get(page)).filter(Boolean);
+  if (signals.length === 0) return [];
+
+  const first = signals[0];
+  const last = signals[signals.length - 1];
+  const checks = [];
+
+  checks.push(check('documentTypeOnStartPage', first.documentType === split.documentType,
+    `Start page reads as ${first.documentType}`));
+
+  if (split.heuristicCheck) {
+    checks.push(check('heuristicAgreement', split.heuristicCheck.agrees,
+      split.heuristicCheck.agrees
+        ? 'Heuristic detector proposes the same split'
+        : `${split.heuristicCheck.disagreements.length} heuristic disagreement(s)`));
+  }
+
+  // Excluded documents (packing lists, certificates...) are only checked for their type
+  if (!isInvoiceType(split.documentType)) return checks;
+
+  const claimedNumber = split.invoiceNumber && !PLACEHOLDER_INVOICE_NUMBER.test(split.invoiceNumber)
+    ? normalizeInvoiceNumber(split.invoiceNumber)
+    : '';
+  const startText = normalizeInvoiceNumber(first.text);
+  checks.push(check('invoiceNumberOnStartPage', Boolean(claimedNumber) && startText.includes(claimedNumber),
+    claimedNumber
+      ? `Invoice number ${split.invoiceNumber} ${startText.includes(claimedNumber) ? 'found' : 'not found'} on page ${first.pageNumber}`
+      : 'No invoice number claimed'));
+
+  const opens = first.pageNumber === 1 || Boolean(first.invoiceNumber) ||
+    Boolean(first.pageCounter && first.pageCounter.current === 1);
+  checks.push(check('startPageOpensDocument', opens,
+    opens ? `Page ${first.pageNumber} opens a document` : `Page ${first.pageNumber} shows no document start`));
+
+  checks.push(check('totalsOnEndPage', last.hasTotals,
+    last.hasTotals ? `Totals block on page ${last.pageNumber}` : `No totals block on page ${last.pageNumber}`));
+
+  const counters = signals.filter(signal => signal.pageCounter);
+  if (counters.length > 0) {
+    const consistent = signals.every((signal, i) => !signal.pageCounter ||
+      (signal.pageCounter.current === i + 1 && signal.pageCounter.total === signals.length));
+    checks.push(check('pageCountersConsistent', consistent,
+      consistent
+        ? `Page counters match the ${signals.length}-page range`
+        : `Page counters (${counters.map(s => `${s.pageCounter.current}/${s.pageCounter.total}`).join(', ')}) do not match the ${signals.length}-page range`));
+  }
+
+  const internalStarts = signals.slice(1).filter(signal =>
+    (signal.pageCounter && signal.pageCounter.current === 1) ||
+    (signal.invoiceNumber && claimedNumber && normalizeInvoiceNumber(signal.invoiceNumber) !== claimedNumber));
+  checks.push(check('noInternalBoundary', internalStarts.length === 0,
+    internalStarts.length === 0
+      ? 'No other document starts inside the range'
+      : `Possible document start on page ${internalStarts.map(signal => signal.pageNumber).join(', ')}`));
+
+  return checks;
+}
+
+/**
+ * Score one split from page evidence
+ * @param {Object} split - Validated split
+ * @param {Map<number, Object>} signalsByPage - analyzePage() results (plus `text`) by page number
+ * @param {number} [threshold] - Review threshold, defaults to CONFIDENCE_THRESHOLD
+ * @returns {Object} - Split with evidence `confidence`, `modelConfidence`, `confidenceBreakdown`, `reviewStatus`
+ */
+function scoreSplitEvidence(split, signalsByPage, threshold = getConfidenceThreshold()) {
+  const modelConfidence = split.modelConfidence != null ? split.modelConfidence : (split.confidence != null ? split.confidence : null);
+  let confidence;
+  let checks;
+
+  if (split.separator) {
+    // Separator sheets were matched directly (barcode, text or blank page)
+    checks = [{ check: 'separatorSheet', passed: true, weight: 1, detail: split.reasoning }];
+    confidence = 1;
+  } else if (split.unassigned) {
+    // Nobody claimed these pages: always worth a look
+    checks = [{ check: 'pagesAssigned', passed: false, weight: 1, detail: 'Pages not assigned to any document' }];
+    confidence = 0;
+  } else {
+    checks = collectChecks(split, getSplitPages(split), signalsByPage);
+    const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+    confidence = totalWeight > 0
+      ? checks.reduce((sum, c) => sum + (c.passed ? c.weight : 0), 0) / totalWeight
+      : 0;
+  }
+
+  confidence = Number(confidence.toFixed(2));
+  const needsReview = confidence < threshold;
+
+  return {
+    ...split,
+    confidence,
+    modelConfidence,
+    confidenceBreakdown: {
+      method: 'evidence',
+      threshold,
+      checks
+    },
+    reviewStatus: needsReview ? 'needs_review' : 'auto_approved',
+    needsReview
+  };
+}
+
+/**
+ * Score every split of a proposal and summarize how many need review
+ * @param {Array} splits - Validated splits
+ * @param {Array} pageTexts - Page text objects ({ pageNumber, text, wordCount })
+ * @returns {{ splits: Array, summary: Object }}
+ */
+function scoreSplits(splits, pageTexts) {
+  const threshold = getConfidenceThreshold();
+  const signalsByPage = new Map((pageTexts || []).map((page, index) => {
+    const signals = analyzePage(page, index);
+    return [signals.pageNumber, { ...signals, text: page.text || '' }];
+  }));
+
+  const scored = (splits || []).map(split => scoreSplitEvidence(split, signalsByPage, threshold));
+  const needsReview = scored.filter(split => split.needsReview).length;
+
+  return {
+    splits: scored,
+    summary: {
+      threshold,
+      autoApproved: scored.length - needsReview,
+      needsReview
+    }
+  };
+}
+
+module.exports = { EVIDENCE_WEIGHTS, getConfidenceThreshold, scoreSplitEvidence, scoreSplits };
@@ -0,0 +1,114 @@
+/**
+ * Page-list helpers for splits.
+ * A split is either a contiguous `startPage`–`endPage` range or carries an explicit
+ * `pages` list (e.g. [1, 2, 7] for an invoice on pages 1–2 with its annex on page 7).
+ * Either form may carry per-page rotation as `rotations: { "7": 90 }` (clockwise degrees).
+ */
+
+const VALID_ROTATIONS = [0, 90, 180, 270];
+
+function hasExplicitPages(split) {
+  return Array.isArray(split && split.pages) && split.pages.length > 0;
+}
+
+/**
+ * Pages of a split in output order
+ * @param {Object} split - Split with `pages` or `startPage`/`endPage`
+ * @returns {Array<number>} - 1-based page numbers
+ */
+function getSplitPages(split) {
+  if (hasExplicitPages(split)) {
+    return split.pages.map(page => parseInt(page, 10));
+  }
+  const pages = [];
+  for (let page = split.startPage; page <= split.endPage; page++) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+/**
+ * Rotation to apply to a page of a split, normalized to 0/90/180/270
+ * @param {Object} split - Split configuration
+ * @param {number} pageNumber - 1-based page number
+ * @returns {number} - Clockwise rotation in degrees
+ */
+function getPageRotation(split, pageNumber) {
+  const rotation = split && split.rotations ? parseInt(split.rotations[pageNumber], 10) : 0;
+  if (!Number.isFinite(rotation)) return 0;
+  return ((rotation % 360) + 360) % 360;
+}
+
+function isValidRotation(value) {
+  const rotation = parseInt(value, 10);
+  return Number.isFinite(rotation) && VALID_ROTATIONS.includes(((rotation % 360) + 360) % 360);
+}
+
+/**
+ * Compress a page list into a readable range string: [1, 2, 3, 7] → "1-3,7"
+ * @param {Array<number>} pages - Page numbers in output order
+ * @returns {string}
+ */
+function formatPageRange(pages) {
+  const parts = [];
+  let runStart = null;
+  let previous = null;
+
+  pages.forEach(page => {
+    if (runStart !== null && page === previous + 1) {
+      previous = page;
+      return;
+    }
+    if (runStart !== null) parts.push(runStart === previous ? `${runStart}` : `${runStart}-${previous}`);
+    runStart = page;
+    previous = page;
+  });
+  if (runStart !== null) parts.push(runStart === previous ? `${runStart}` : `${runStart}-${previous}`);
+
+  return parts.join(',');
+}
+
+/**
+ * Group sorted page numbers into contiguous [start, end] runs
+ * @param {Array<number>} pages - Sorted page numbers
+ * @returns {Array<Array<number>>}
+ */
+function toPageRuns(pages) {
+  const runs = [];
+  pages.forEach(page => {
+    const last = runs[runs.length - 1];
+    if (last && page === last[1] + 1) {
+      last[1] = page;
+    } else {
+      runs.push([page, page]);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Return a copy of the split restricted to the given page list
+ * @param {Object} split - Split configuration
+ * @param {Array<number>} pages - Pages in output order
+ * @returns {Object} - Split with `pages`, derived `startPage`/`endPage` and `pageRange`
+ */
+function withPages(split, pages) {
+  return {
+    ...split,
+    pages,
+    startPage: Math.min(...pages),
+    endPage: Math.max(...pages),
+    pageRange: formatPageRange(pages)
+  };
+}
+
+module.exports = {
+  VALID_ROTATIONS,
+  hasExplicitPages,
+  getSplitPages,
+  getPageRotation,
+  isValidRotation,
+  formatPageRange,
+  toPageRuns,
+  withPages
+};
@@ -0,0 +1,211 @@
+/**
+ * Turn scanned images into a PDF before they enter the pipeline.
+ * JPEG and PNG files become a one-page PDF, TIFF files (multi-page fax TIFFs
+ * included) one page per image, in file order. The type is read from the file
+ * signature, not from the upload's MIME type.
+ * Pages keep the image's aspect ratio (TIFF resolution included, so 204x196 dpi
+ * faxes are not stretched) and are scaled down to fit an A4 sheet; the image itself
+ * is embedded at full resolution, so OCR quality is unchanged. JPEG phone photos are
+ * turned upright from their EXIF orientation.
+ * Fax TIFFs compress around 100:1, so page count (MAX_PAGES_PER_BATCH) and page size
+ * (MAX_IMAGE_PIXELS) are checked before any pixel is decoded, and TIFF pages are decoded
+ * and embedded one at a time.
+ */
+
+const fs = require('fs').promises;
+const { PDFDocument, degrees } = require('pdf-lib');
+const UTIF = require('utif');
+const { PNG } = require('pngjs');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/pjpeg', 'image/png', 'image/tiff', 'image/tif', 'image/x-tiff'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const A4 = { long: 841.89, short: 595.28 };
+
+// EXIF orientation → clockwise page rotation (mirrored orientations are left as they are)
+const EXIF_ROTATIONS = { 3: 180, 6: 90, 8: 270 };
+
+function getImageLimits() {
+  return {
+    maxPages: parseInt(process.env.MAX_PAGES_PER_BATCH) || 200,
+    maxPixels: parseInt(process.env.MAX_IMAGE_PIXELS) || 50000000
+  };
+}
+
+function assertPixelLimit(width, height, maxPixels, label) {
+  if (width * height > maxPixels) {
+    throw Object.assign(new Error(`${label} is too large (${width}x${height} pixels). Maximum allowed: ${maxPixels} pixels`), { status: 400 });
+  }
+}
+
+/**
+ * Image type of a file from its signature
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - 'jpeg', 'png', 'tiff' or null
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+
+  const head = buffer.subarray(0, 4).toString('latin1');
+  if (head === 'II*\u0000' || head === 'MM\u0000*') return 'tiff';
+  return null;
+}
+
+/**
+ * Image type of a file on disk, from its first bytes
+ * @param {string} filePath - File to check
+ * @returns {Promise<string|null>} - 'jpeg', 'png', 'tiff' or null
+ */
+async function readImageType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(PNG_SIGNATURE.length), 0, PNG_SIGNATURE.length, 0);
+    return detectImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Page size in points for an image, scaled down to fit A4 in the image's orientation
+ * @param {number} width - Pixels
+ * @param {number} height - Pixels
+ * @param {Object} [resolution] - { x, y } dots per inch (72 when unknown)
+ * @returns {Object} - { width, height }
+ */
+function fitPage(width, height, { x = 72, y = 72 } = {}) {
+  const naturalWidth = width / x * 72;
+  const naturalHeight = height / y * 72;
+  const scale = Math.min(
+    1,
+    A4.long / Math.max(naturalWidth, naturalHeight),
+    A4.short / Math.min(naturalWidth, naturalHeight)
+  );
+  return { width: naturalWidth * scale, height: naturalHeight * scale };
+}
+
+/**
+ * EXIF orientation of a JPEG (1 when absent or unreadable)
+ * @param {Buffer} buffer - JPEG content
+ * @returns {number}
+ */
+function readJpegOrientation(buffer) {
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      // Start of scan: no metadata segment follows
+      if (marker === 0xDA) return 1;
+
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\u0000\u0000') {
+        const tiff = offset + 10;
+        const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+        const read16 = at => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+        const read32 = at => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+        const ifd = tiff + read32(tiff + 4);
+        const entries = read16(ifd);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (read16(entry) === 0x0112) return read16(entry + 8);
+        }
+        return 1;
+      }
+      offset += 2 + length;
+    }
+  } catch (error) {
+    // Truncated or malformed metadata: keep the image as stored
+  }
+  return 1;
+}
+
+/**
+ * Dots per inch of a TIFF page (72 when the file does not say)
+ */
+function readTiffResolution(ifd) {
+  const toInches = ifd.t296 && ifd.t296[0] === 3 ? 2.54 : 1; // ResolutionUnit 3 = centimetre
+  const x = ifd.t282 && ifd.t282[0] > 0 ? ifd.t282[0] * toInches : 72;
+  const y = ifd.t283 && ifd.t283[0] > 0 ? ifd.t283[0] * toInches : x;
+  return { x, y };
+}
+
+/**
+ * Pages of a TIFF, read from its directories without decoding any pixel
+ * Reduced-resolution copies (thumbnails) are skipped.
+ */
+function readTiffPages(buffer) {
+  return UTIF.decode(buffer).filter(ifd => !(ifd.t254 && (ifd.t254[0] & 1)));
+}
+
+/**
+ * Decode one TIFF page into PNG bytes pdf-lib can embed
+ */
+function decodeTiffPage(buffer, ifd) {
+  UTIF.decodeImage(buffer, ifd);
+  const rgba = UTIF.toRGBA8(ifd);
+  const png = PNG.sync.write({ width: ifd.width, height: ifd.height, data: Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength) });
+  // The decoded pixels stay on the directory otherwise
+  delete ifd.data;
+  return { png, width: ifd.width, height: ifd.height, resolution: readTiffResolution(ifd) };
+}
+
+function addImagePage(pdf, image, size, rotation = 0) {
+  const page = pdf.addPage([size.width, size.height]);
+  page.drawImage(image, { x: 0, y: 0, width: size.width, height: size.height });
+  if (rotation) page.setRotation(degrees(rotation));
+}
+
+/**
+ * Convert an image file to a PDF
+ * @param {string} imagePath - JPEG, PNG or TIFF file
+ * @param {string} outputPath - PDF to write
+ * @param {Object} [limits] - { maxPages, maxPixels } (defaults: MAX_PAGES_PER_BATCH, MAX_IMAGE_PIXELS)
+ * @returns {Promise<Object>} - { outputPath, imageType, pageCount }
+ */
+async function convertImageToPdf(imagePath, outputPath, limits = getImageLimits()) {
+  const buffer = await fs.readFile(imagePath);
+  const imageType = detectImageType(buffer);
+  if (!imageType) {
+    throw Object.assign(new Error('Unsupported or corrupt image file'), { status: 400 });
+  }
+
+  const pdf = await PDFDocument.create();
+  try {
+    if (imageType === 'tiff') {
+      const pages = readTiffPages(buffer);
+      if (pages.length === 0) throw new Error('TIFF file has no pages');
+      if (pages.length > limits.maxPages) {
+        throw Object.assign(new Error(`TIFF has too many pages (${pages.length}). Maximum allowed: ${limits.maxPages}`), { status: 400 });
+      }
+      pages.forEach((ifd, index) => {
+        assertPixelLimit(ifd.t256 ? ifd.t256[0] : 0, ifd.t257 ? ifd.t257[0] : 0, limits.maxPixels, `TIFF page ${index + 1}`);
+      });
+
+      for (const ifd of pages) {
+        const page = decodeTiffPage(buffer, ifd);
+        const image = await pdf.embedPng(page.png);
+        // Write the page into the PDF now, so its pixels are released before the next page is decoded
+        await image.embed();
+        addImagePage(pdf, image, fitPage(page.width, page.height, page.resolution));
+      }
+    } else {
+      // PNG dimensions (IHDR) are checked before pdf-lib decodes the pixels; JPEGs are embedded as they are
+      if (imageType === 'png') {
+        assertPixelLimit(buffer.readUInt32BE(16), buffer.readUInt32BE(20), limits.maxPixels, 'PNG image');
+      }
+      const image = imageType === 'jpeg' ? await pdf.embedJpg(buffer) : await pdf.embedPng(buffer);
+      const rotation = imageType === 'jpeg' ? EXIF_ROTATIONS[readJpegOrientation(buffer)] || 0 : 0;
+      addImagePage(pdf, image, fitPage(image.width, image.height), rotation);
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    throw Object.assign(new Error(`Could not read ${imageType.toUpperCase()} image: ${error.message}`), { status: 400 });
+  }
+
+  await fs.writeFile(outputPath, await pdf.save());
+  return { outputPath, imageType, pageCount: pdf.getPageCount() };
+}
+
+module.exports = { IMAGE_MIME_TYPES, detectImageType, readImageType, convertImageToPdf };
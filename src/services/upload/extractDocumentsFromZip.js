@@ -0,0 +1,103 @@
+/**
+ * Unpack the PDFs and scanned images (JPEG, PNG, TIFF) of an uploaded ZIP archive.
+ * Entry paths are never used on disk (no zip-slip): every document is written under a
+ * generated name in the output directory and keeps its archive path as `originalname`.
+ * Folders, macOS metadata, hidden files, nested archives and other entries are
+ * skipped and reported, so one stray file does not reject a monthly archive.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const { detectImageType } = require('./convertImageToPdf');
+
+const PDF_MAGIC = '%PDF-';
+
+function getZipLimits() {
+  return {
+    maxEntries: parseInt(process.env.MAX_ZIP_ENTRIES || '200', 10),
+    maxEntrySize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024
+  };
+}
+
+function skipReason(entry) {
+  const name = entry.entryName;
+  const basename = path.posix.basename(name);
+
+  if (entry.isDirectory) return 'folder';
+  if (name.startsWith('__MACOSX/') || basename.startsWith('.')) return 'hidden or system file';
+  if (/\.zip$/i.test(basename)) return 'nested archives are not supported';
+  if (!/\.(pdf|jpe?g|png|tiff?)$/i.test(basename)) return 'not a PDF or image';
+  return null;
+}
+
+function isDocument(data) {
+  return data.subarray(0, PDF_MAGIC.length).toString('latin1') === PDF_MAGIC || detectImageType(data) !== null;
+}
+
+/**
+ * Write the PDFs and images of a ZIP archive to a directory
+ * @param {string} zipPath - Uploaded archive
+ * @param {string} outputDir - Directory the PDFs are written to
+ * @param {Object} [limits] - { maxEntries, maxEntrySize } (defaults: MAX_ZIP_ENTRIES, MAX_FILE_SIZE)
+ * @returns {Promise<Object>} - { files: [{ originalname, path, size }], skipped: [{ name, reason }] } (files in archive order)
+ */
+async function extractDocumentsFromZip(zipPath, outputDir, limits = getZipLimits()) {
+  let zip;
+  try {
+    // adm-zip sorts entries by name unless told not to; merged uploads follow archive order
+    zip = new AdmZip(zipPath, { noSort: true });
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid ZIP archive: ${error.message}`), { status: 400 });
+  }
+
+  const entries = zip.getEntries();
+  if (entries.filter(entry => !entry.isDirectory).length > limits.maxEntries) {
+    throw Object.assign(new Error(`ZIP archive has too many files. Maximum allowed: ${limits.maxEntries}`), { status: 400 });
+  }
+
+  const archiveName = path.basename(zipPath, path.extname(zipPath));
+  const files = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const reason = skipReason(entry);
+    if (reason) {
+      if (!entry.isDirectory && !entry.entryName.startsWith('__MACOSX/')) skipped.push({ name: entry.entryName, reason });
+      continue;
+    }
+
+    // Declared size first, so an oversized entry is never inflated
+    if (entry.header.size > limits.maxEntrySize) {
+      skipped.push({ name: entry.entryName, reason: `larger than ${limits.maxEntrySize} bytes` });
+      continue;
+    }
+    // adm-zip only caps the inflated output at a declared size above 0: an entry declaring
+    // 0 bytes of compressed data would be inflated without limit (zip bomb)
+    if (entry.header.size === 0 && entry.header.compressedSize > 0) {
+      skipped.push({ name: entry.entryName, reason: 'declares an empty size but holds compressed data' });
+      continue;
+    }
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (error) {
+      skipped.push({ name: entry.entryName, reason: `unreadable entry: ${error.message}` });
+      continue;
+    }
+    if (data.length > limits.maxEntrySize || !isDocument(data)) {
+      skipped.push({ name: entry.entryName, reason: data.length > limits.maxEntrySize ? `larger than ${limits.maxEntrySize} bytes` : 'not a PDF or image' });
+      continue;
+    }
+
+    const extension = path.extname(entry.entryName).toLowerCase();
+    const filePath = path.join(outputDir, `${archiveName}-${files.length + 1}${extension}`);
+    await fs.writeFile(filePath, data);
+    files.push({ originalname: entry.entryName, path: filePath, size: data.length });
+  }
+
+  return { files, skipped };
+}
+
+module.exports = { extractDocumentsFromZip };
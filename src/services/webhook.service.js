@@ -0,0 +1,268 @@
+/**
+ * ================================================================================
+ * WEBHOOK SERVICE - OUTBOUND BATCH NOTIFICATIONS
+ * ================================================================================
+ *
+ * Notifies external systems (ERP...) when a batch reaches SPLIT_PROPOSED,
+ * DATA_VALIDATION_PENDING, COMPLETED or ERROR. Status changes are picked up from the
+ * batch event bus, turned into one delivery per matching subscription and sent by the
+ * job queue (DELIVER_WEBHOOK jobs), so retries survive a restart.
+ *
+ * 🎯 PRIMARY METHODS:
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * • start() / stop()                       - Listen to batch status changes
+ * • createSubscription(data)               - Register a URL for an API client or a batch
+ * • dispatch(documentBatch, statusEvent)   - Queue deliveries for a status change
+ * • sendTest(subscription)                 - Queue a `webhook.test` delivery
+ * • deliver(deliveryId)                    - POST the signed payload (job handler)
+ * • redeliver(delivery)                    - Send a delivery again (dead-letter replay)
+ *
+ * 📨 REQUEST SENT TO THE RECEIVER:
+ * • POST <url>, JSON body { id, event, createdAt, data }
+ * • X-Webhook-Id / X-Webhook-Event / X-Webhook-Attempt headers
+ * • X-Webhook-Signature: t=<unix seconds>,v1=<HMAC-SHA256 of "t.body"> (see webhook/signPayload)
+ * • Any 2xx response acknowledges the delivery; anything else is retried with
+ *   exponential backoff, and the delivery is marked DEAD once attempts run out
+ *
+ * ⚙️ CONFIGURATION:
+ * • WEBHOOK_MAX_ATTEMPTS          - Attempts before a delivery is dead-lettered (default 6)
+ * • WEBHOOK_RETRY_BASE_DELAY_MS   - First retry delay, doubled on every attempt (default 10000)
+ * • WEBHOOK_TIMEOUT_MS            - Time the receiver has to answer (default 10000)
+ *
+ * ================================================================================
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const DocumentBatch = require('../models/document-batch.model');
+const WebhookSubscription = require('../models/webhook-subscription.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const jobQueue = require('./job-queue.service');
+const batchEvents = require('./batch-events.service');
+const { SIGNATURE_HEADER, generateSecret, signPayload } = require('./webhook/signPayload');
+
+const USER_AGENT = 'smart-invoice-splitting-webhooks/1.0';
+
+class WebhookService {
+  constructor() {
+    this.unsubscribe = null;
+    this.maxAttempts = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10) || 1);
+    this.retryBaseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '10000', 10);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+    jobQueue.registerHandler('DELIVER_WEBHOOK', job => this.deliver(job.payload.deliveryId), {
+      onFailure: (job, error, retry) => this.handleDeliveryFailure(job, error, retry),
+      retryBaseDelayMs: this.retryBaseDelayMs
+    });
+  }
+
+  /**
+   * Start turning batch status changes into deliveries
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = batchEvents.subscribeAll((event) => {
+      if (event.type !== 'status' || !WebhookSubscription.WEBHOOK_EVENTS.includes(event.data.to)) return;
+
+      DocumentBatch.findById(event.batchId)
+        .then(documentBatch => documentBatch && this.dispatch(documentBatch, event))
+        .catch(error => console.error(`Webhook dispatch failed for batch ${event.batchId}:`, error));
+    });
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Register a subscription; a secret is generated when none is given
+   * @param {Object} subscriptionData - Validated { url, events, secret, clientId, batchId, description }
+   * @returns {Promise<Object>} - { subscription, secret }
+   */
+  async createSubscription(subscriptionData) {
+    const secret = subscriptionData.secret || generateSecret();
+    const subscription = await WebhookSubscription.create({ ...subscriptionData, secret });
+
+    console.log(`🔔 Webhook registered: ${subscription.url} (${subscription.batchId ? `batch ${subscription.batchId}` : `client ${subscription.clientId}`})`);
+    return { subscription, secret };
+  }
+
+  /**
+   * Queue one delivery per subscription interested in a batch status change
+   * @param {DocumentBatch} documentBatch - Batch in its new status
+   * @param {Object} statusEvent - `status` event from the batch event bus
+   * @returns {Promise<Array<WebhookDelivery>>}
+   */
+  async dispatch(documentBatch, statusEvent) {
+    const status = statusEvent.data.to;
+    const subscriptions = (await WebhookSubscription.findForBatch(documentBatch)).filter(subscription => subscription.wants(status));
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      deliveries.push(await this.queueDelivery(subscription, `batch.${status.toLowerCase()}`, documentBatch.id, id => ({
+        id,
+        event: `batch.${status.toLowerCase()}`,
+        createdAt: statusEvent.at,
+        data: this.describeBatch(documentBatch, statusEvent.data)
+      })));
+    }
+    return deliveries;
+  }
+
+  /**
+   * Queue a `webhook.test` delivery so a receiver can be checked without running a batch
+   * @param {WebhookSubscription} subscription - Subscription to ping
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async sendTest(subscription) {
+    return this.queueDelivery(subscription, 'webhook.test', subscription.batchId, id => ({
+      id,
+      event: 'webhook.test',
+      createdAt: new Date().toISOString(),
+      data: { subscriptionId: subscription.id, message: 'Test delivery' }
+    }));
+  }
+
+  async queueDelivery(subscription, event, batchId, buildPayload) {
+    const id = uuidv4();
+    const delivery = await WebhookDelivery.create({
+      id,
+      subscriptionId: subscription.id,
+      batchId,
+      event,
+      payload: buildPayload(id)
+    });
+
+    await jobQueue.enqueue('DELIVER_WEBHOOK', {
+      batchId,
+      payload: { deliveryId: delivery.id },
+      maxAttempts: this.maxAttempts,
+      unique: false
+    });
+    return delivery;
+  }
+
+  /**
+   * Batch summary sent in the `data` of batch.* events
+   * The batch is read after the event and may have moved on (auto-approval right after
+   * SPLIT_PROPOSED), so the status and error come from the event itself.
+   * @param {DocumentBatch} documentBatch - Batch as read when dispatching
+   * @param {Object} transition - `status` event data: { from, to, errorMessage }
+   */
+  describeBatch(documentBatch, { from = null, to, errorMessage = null }) {
+    const splits = to === 'SPLIT_PROPOSED'
+      ? documentBatch.proposedSplits
+      : documentBatch.validatedSplits || documentBatch.proposedSplits;
+    const data = {
+      batchId: documentBatch.id,
+      clientId: documentBatch.clientId,
+      status: to,
+      previousStatus: from || null,
+      originalFilename: documentBatch.originalFilename,
+      totalPages: documentBatch.totalPages,
+      invoiceCount: splits ? splits.filter(split => !split.excluded).length : null,
+      errorMessage: to === 'ERROR' ? errorMessage : null
+    };
+
+    if (Array.isArray(documentBatch.extractedData)) {
+      data.extraction = {
+        extracted: documentBatch.extractedData.filter(invoice => invoice.status === 'EXTRACTED').length,
+        failed: documentBatch.extractedData.filter(invoice => invoice.status === 'FAILED').length
+      };
+    }
+    return data;
+  }
+
+  /**
+   * POST a delivery to its subscription; throws on a non-2xx answer so the job is retried
+   * @param {string} deliveryId - Delivery id
+   */
+  async deliver(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) return;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    if (!subscription) {
+      await delivery.update({ status: 'DEAD', last_error: 'Subscription no longer exists' });
+      return;
+    }
+
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    let statusCode = null;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Attempt': String(attempt),
+          [SIGNATURE_HEADER]: signPayload(subscription.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      statusCode = response.status;
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`Receiver answered ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      }
+    } catch (error) {
+      await delivery.update({
+        attempts: attempt,
+        last_status_code: statusCode,
+        last_error: error.name === 'TimeoutError' ? `No answer within ${this.timeoutMs}ms` : error.message,
+        last_attempt_at: new Date().toISOString()
+      });
+      throw error;
+    }
+
+    await delivery.update({
+      status: 'DELIVERED',
+      attempts: attempt,
+      last_status_code: statusCode,
+      last_error: null,
+      last_attempt_at: new Date().toISOString(),
+      delivered_at: new Date().toISOString()
+    });
+    console.log(`📨 Webhook ${delivery.event} delivered to ${subscription.url} (${statusCode})`);
+  }
+
+  /**
+   * Dead-letter a delivery once its job has no attempt left
+   */
+  async handleDeliveryFailure(job, error, { willRetry }) {
+    if (willRetry) return;
+
+    const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+    if (!delivery) return;
+
+    await delivery.update({ status: 'DEAD', last_error: delivery.lastError || error.message });
+    console.warn(`☠️  Webhook delivery ${delivery.id} (${delivery.event}) moved to the dead-letter log: ${error.message}`);
+  }
+
+  /**
+   * Send a delivery again with a fresh set of attempts
+   * @param {WebhookDelivery} delivery - Usually a DEAD delivery
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async redeliver(delivery) {
+    await delivery.update({ status: 'PENDING', last_error: null });
+    await jobQueue.enqueue('DELIVER_WEBHOOK', {
+      batchId: delivery.batchId,
+      payload: { deliveryId: delivery.id },
+      maxAttempts: this.maxAttempts,
+      unique: false
+    });
+    return delivery;
+  }
+}
+
+module.exports = new WebhookService();
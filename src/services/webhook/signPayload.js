@@ -0,0 +1,62 @@
+/**
+ * HMAC signatures for outbound webhooks.
+ * The X-Webhook-Signature header is `t=<unix seconds>,v1=<hex HMAC-SHA256>` where the
+ * HMAC covers `${t}.${rawBody}` with the subscription secret. Receivers recompute it
+ * over the raw request body and reject stale timestamps to stop replays.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function computeSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the signature header value for a body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Exact JSON string that is sent
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} - `t=...,v1=...`
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header against a raw body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature value
+ * @param {Object} [options] - { toleranceSeconds, now }
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+function verifySignature(secret, body, header, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '')
+    .split(',')
+    .map(part => part.trim().split('='))
+    .filter(pair => pair.length === 2));
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return { valid: false, reason: 'Malformed signature header' };
+  }
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Signature timestamp outside the tolerance window' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = { SIGNATURE_HEADER, generateSecret, signPayload, verifySignature };
@@ -0,0 +1,110 @@
+/**
+ * ================================================================================
+ * WEBHOOK RECEIVER - LOCAL TEST ENDPOINT
+ * ================================================================================
+ *
+ * Minimal HTTP server that receives webhook deliveries, checks their signature and
+ * prints them, so webhooks can be tested end to end on a workstation. It can also
+ * fail on purpose to exercise retries, the dead-letter log and redelivery.
+ *
+ * 🚀 USAGE:
+ * npm run webhook:receiver -- --secret <whsec_...>          - Listen on http://localhost:4000/webhook
+ * npm run webhook:receiver -- --port 4100 --fail 2          - Answer 500 to the first 2 deliveries
+ * npm run webhook:receiver -- --always-fail                 - Answer 500 to everything (dead-letter)
+ * npm run webhook:receiver -- --delay 15000                 - Answer late (WEBHOOK_TIMEOUT_MS)
+ *
+ * Then register it: POST /api/webhooks { "url": "http://localhost:4000/webhook" }
+ * with an X-Client-Id header, and queue a ping with POST /api/webhooks/:id/test.
+ * Without --secret the signature is printed but not enforced.
+ *
+ * ================================================================================
+ */
+
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('../services/webhook/signPayload');
+
+/**
+ * Start the receiver
+ * @param {Object} options - { port, secret, fail, alwaysFail, delay, onDelivery }
+ * @returns {http.Server}
+ */
+function startReceiver({ port = 4000, secret = null, fail = 0, alwaysFail = false, delay = 0, onDelivery = null } = {}) {
+  let received = 0;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received++;
+      const body = Buffer.concat(chunks).toString('utf8');
+      const header = req.headers[SIGNATURE_HEADER.toLowerCase()];
+      const signature = secret ? verifySignature(secret, body, header) : { valid: null, reason: 'no secret configured' };
+
+      const delivery = {
+        number: received,
+        id: req.headers['x-webhook-id'],
+        event: req.headers['x-webhook-event'],
+        attempt: req.headers['x-webhook-attempt'],
+        signature,
+        body: safeParse(body)
+      };
+
+      let statusCode = 200;
+      if (signature.valid === false) statusCode = 401;
+      else if (alwaysFail || received <= fail) statusCode = 500;
+
+      console.log(`📬 #${received} ${delivery.event} ${delivery.id} (attempt ${delivery.attempt}) → ${statusCode}` +
+        ` | signature: ${signature.valid === null ? 'not checked' : signature.valid ? 'valid' : `INVALID (${signature.reason})`}`);
+      console.log(JSON.stringify(delivery.body, null, 2));
+      if (onDelivery) onDelivery({ ...delivery, statusCode });
+
+      setTimeout(() => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: statusCode === 200 }));
+      }, delay);
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`👂 Webhook receiver listening on http://localhost:${server.address().port}/webhook`);
+  });
+  return server;
+}
+
+function safeParse(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+function parseArgs(argv) {
+  const options = { port: 4000, secret: process.env.WEBHOOK_RECEIVER_SECRET || null, fail: 0, alwaysFail: false, delay: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--secret') options.secret = argv[++i];
+    else if (arg === '--fail') options.fail = parseInt(argv[++i], 10);
+    else if (arg === '--always-fail') options.alwaysFail = true;
+    else if (arg === '--delay') options.delay = parseInt(argv[++i], 10);
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  try {
+    startReceiver(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('Webhook receiver failed:', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = { startReceiver };
@@ -0,0 +1,67 @@
+const { z } = require('zod');
+const { numberLike, optionalString } = require('./invoice-extract.zod');
+
+// Accounts payable: matching against purchase orders, paying the supplier, booking the tax
+
+const party = z.object({
+  name: optionalString,
+  vatNumber: optionalString.describe('as printed, with its country prefix'),
+  taxId: optionalString,
+  address: optionalString,
+  city: optionalString,
+  zipCode: optionalString,
+  country: optionalString,
+  email: optionalString,
+});
+
+const ApInvoiceExtractSchema = z.object({
+  lineItems: z.array(z.object({
+    lineNumber: optionalString,
+    purchaseOrderNumber: optionalString.describe('PO the line is billed against, when printed on the line'),
+    purchaseOrderLine: optionalString,
+    productCode: z.string().optional(),
+    description: z.string().optional(),
+    quantity: numberLike.optional(),
+    UOM: z.string().optional(),
+    unitPrice: numberLike.optional(),
+    taxRate: numberLike.optional().describe('percent'),
+    totalAmount: numberLike.optional().describe('net amount of the line, before tax'),
+  })).optional(),
+  totalsAndSubtotals: z.array(z.object({
+    netAmount: numberLike.optional(),
+    taxAmount: numberLike.optional(),
+    shippingAmount: numberLike.optional(),
+    discountAmount: numberLike.optional(),
+    amountDue: numberLike.optional().describe('gross amount to pay'),
+    currency: optionalString,
+  })),
+  taxBreakdown: z.array(z.object({
+    taxType: optionalString.describe('VAT, GST, sales tax...'),
+    rate: numberLike.optional().describe('percent'),
+    taxableAmount: numberLike.optional(),
+    taxAmount: numberLike.optional(),
+  })),
+  basicInformation: z.array(z.object({
+    documentType: optionalString,
+    documentNumber: optionalString,
+    documentDate: optionalString,
+    dueDate: optionalString,
+    purchaseOrderNumber: optionalString,
+    deliveryNoteNumber: optionalString,
+    customerNumber: optionalString.describe('our account number at the supplier'),
+    paymentTerms: optionalString,
+  })),
+  supplier: z.array(party),
+  buyer: z.array(party),
+  paymentDetails: z.array(z.object({
+    bankName: optionalString,
+    accountHolder: optionalString,
+    iban: optionalString,
+    bic: optionalString,
+    accountNumber: optionalString.describe('when there is no IBAN'),
+    routingNumber: optionalString.describe('sort code, ABA or BSB'),
+    paymentReference: optionalString,
+  })),
+});
+
+module.exports = { ApInvoiceExtractSchema };
@@ -1,6 +1,7 @@
 const { z } = require('zod');
 
-const numberLike = z.union([z.number(), z.string()]).transform((v) => {
+// Printed numbers: "1 234,50", "1,234.50", "1.234" (thousands)...
+function parseNumber(v) {
   if (typeof v === 'number') return v;
   const s = String(v).trim();
   if (!s) return undefined;
@@ -11,9 +12,12 @@ const numberLike = z.union([z.number(), z.string()]).transform((v) => {
     .replace(/,(\d{1,2})$/g, '.$1');
   const n = Number(normalized);
   return Number.isFinite(n) ? n : undefined;
-});
+}
+
+// The pipes give the output type of the transforms (read by prompts/zodToInterface)
+const numberLike = z.union([z.number(), z.string()]).transform(parseNumber).pipe(z.number().optional());
 
-const optionalString = z.union([z.string(), z.number()]).transform((v) => (v === undefined || v === null ? undefined : String(v))).optional();
+const optionalString = z.union([z.string(), z.number()]).transform((v) => (v === undefined || v === null ? undefined : String(v))).pipe(z.string().optional()).optional();
 
 const InvoiceExtractSchema = z.object({
   lineItems: z.array(z.object({
@@ -75,4 +79,4 @@ const InvoiceExtractSchema = z.object({
   })),
 });
 
-module.exports = { InvoiceExtractSchema };
+module.exports = { InvoiceExtractSchema, parseNumber, numberLike, optionalString };
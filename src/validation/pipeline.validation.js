@@ -0,0 +1,52 @@
+const { z } = require('zod');
+const { PROFILE_NAMES } = require('../services/extractor/profiles');
+
+// Pipeline options arrive as multipart text fields, so numbers and booleans are strings.
+
+const EXTRACTION_MODES = ['standard', 'chunked', 'none'];
+
+const toBoolean = value => (typeof value === 'string'
+  ? ['true', '1', 'yes'].includes(value.trim().toLowerCase())
+  : value);
+
+const toNumber = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const PipelineOptionsSchema = z.object({
+  confidenceThreshold: z.preprocess(toNumber, z.number({ invalid_type_error: 'confidenceThreshold must be a number' })
+    .min(0, 'confidenceThreshold must be between 0 and 1')
+    .max(1, 'confidenceThreshold must be between 0 and 1')).optional(),
+  extractionMode: z.preprocess(
+    value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+    z.enum(EXTRACTION_MODES)
+  ).optional(),
+  profile: z.preprocess(
+    value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+    z.enum(PROFILE_NAMES)
+  ).optional(),
+  async: z.preprocess(toBoolean, z.boolean()).optional()
+});
+
+/**
+ * Validate the options of a one-shot pipeline request
+ * @param {Object} input - { confidenceThreshold, extractionMode, profile, async }
+ * @returns {{ valid: boolean, errors: Array<{ field, message }>, value: Object|null }}
+ */
+function validatePipelineOptions(input) {
+  const fields = {};
+  Object.entries(input || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') fields[key] = value;
+  });
+
+  const parsed = PipelineOptionsSchema.safeParse(fields);
+  if (!parsed.success) {
+    return {
+      valid: false,
+      errors: parsed.error.issues.map(issue => ({ field: issue.path.join('.') || null, message: issue.message })),
+      value: null
+    };
+  }
+
+  return { valid: true, errors: [], value: parsed.data };
+}
+
+module.exports = { validatePipelineOptions, EXTRACTION_MODES };
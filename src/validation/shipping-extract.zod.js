@@ -0,0 +1,60 @@
+const { z } = require('zod');
+const { numberLike, optionalString } = require('./invoice-extract.zod');
+
+// Logistics: bills of lading, air waybills, CMR, packing lists and delivery notes
+
+const party = z.object({
+  name: optionalString,
+  address: optionalString,
+  city: optionalString,
+  zipCode: optionalString,
+  country: optionalString,
+  contact: optionalString,
+});
+
+const ShippingExtractSchema = z.object({
+  lineItems: z.array(z.object({
+    marks: optionalString.describe('shipping marks / package numbers'),
+    productCode: z.string().optional(),
+    description: z.string().optional(),
+    hsCode: z.string().optional(),
+    originCountry: z.string().optional(),
+    packageCount: numberLike.optional(),
+    packageType: z.string().optional().describe('pallet, carton, crate...'),
+    quantity: numberLike.optional(),
+    UOM: z.string().optional(),
+    netWeight: numberLike.optional(),
+    grossWeight: numberLike.optional(),
+    volume: numberLike.optional().describe('m3'),
+  })).optional(),
+  totalsAndSubtotals: z.array(z.object({
+    totalPackages: numberLike.optional(),
+    totalNetWeight: numberLike.optional(),
+    totalGrossWeight: numberLike.optional(),
+    totalVolume: numberLike.optional(),
+    totalQuantity: numberLike.optional(),
+  })),
+  basicInformation: z.array(z.object({
+    documentType: optionalString.describe('Bill of Lading, Air Waybill, CMR, Packing List, Delivery Note'),
+    documentNumber: optionalString,
+    documentDate: optionalString,
+    bookingNumber: optionalString,
+    transportMode: optionalString.describe('sea, air, road, rail'),
+    carrier: optionalString,
+    vesselOrFlight: optionalString,
+    containerNumbers: optionalString.describe('comma-separated'),
+    sealNumbers: optionalString,
+    portOfLoading: optionalString,
+    portOfDischarge: optionalString,
+    placeOfDelivery: optionalString,
+    shipmentDate: optionalString,
+    estimatedArrivalDate: optionalString,
+    incoterms: optionalString,
+    destinationCountry: optionalString,
+  })),
+  shipper: z.array(party),
+  consignee: z.array(party),
+  notifyParty: z.array(party),
+});
+
+module.exports = { ShippingExtractSchema };
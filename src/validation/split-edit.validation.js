@@ -0,0 +1,164 @@
+const { z } = require('zod');
+const { DOCUMENT_TYPES } = require('../services/splitter/classifyDocumentType');
+const { hasExplicitPages, getSplitPages, isValidRotation, formatPageRange, toPageRuns } = require('../services/splitter/splitPages');
+
+// Manual split edits are checked strictly here instead of being silently "fixed" by
+// pdfSplitterService.validateSplits. Errors reject the edit, warnings are reported back.
+
+const pageNumber = z.number().int().positive();
+
+const SplitEditSchema = z.object({
+  id: z.union([z.string(), z.number()]).optional(),
+  invoiceNumber: z.string().nullable().optional(),
+  startPage: pageNumber.optional(),
+  endPage: pageNumber.optional(),
+  pages: z.array(pageNumber).nonempty().optional(),
+  rotations: z.record(z.union([z.number(), z.string()]).refine(isValidRotation, 'Rotation must be a multiple of 90 degrees')).optional(),
+  documentType: z.enum(DOCUMENT_TYPES).optional(),
+  excluded: z.boolean().optional()
+}).passthrough().refine(
+  split => split.pages || (split.startPage !== undefined && split.endPage !== undefined),
+  { message: 'Each split needs startPage and endPage, or a pages list' }
+);
+
+function problem(severity, code, message, details = {}) {
+  return { severity, code, message, ...details };
+}
+
+function pointAt(split, index) {
+  return { splitIndex: index, splitId: split && split.id !== undefined ? split.id : null };
+}
+
+/**
+ * Pages of a split past the last page, worked out without expanding the range
+ * @param {Object} split - Split that passed the schema
+ * @param {number} lastPage - Highest page number allowed
+ * @returns {Object|null} - { label, details } for the problem, or null when the split fits
+ */
+function findPagesPastEnd(split, lastPage) {
+  if (hasExplicitPages(split)) {
+    const pages = split.pages.filter(page => page > lastPage);
+    return pages.length > 0 ? { label: formatPageRange([...new Set(pages)].sort((a, b) => a - b)), details: { pages } } : null;
+  }
+  if (split.endPage <= lastPage) return null;
+  const startPage = Math.max(split.startPage, lastPage + 1);
+  return {
+    label: startPage === split.endPage ? String(startPage) : `${startPage}-${split.endPage}`,
+    details: { startPage, endPage: split.endPage }
+  };
+}
+
+/**
+ * Validate a manual split edit
+ * @param {Array} splits - Splits submitted by the reviewer
+ * @param {Object} [options] - { totalPages }
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }} - Problems point at `splitIndex` / `splitId`
+ */
+function validateSplitEdit(splits, { totalPages = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(splits)) {
+    errors.push(problem('error', 'invalid_payload', 'Splits must be an array'));
+    return { valid: false, errors, warnings };
+  }
+  if (splits.length === 0) {
+    errors.push(problem('error', 'no_splits', 'At least one split is required'));
+    return { valid: false, errors, warnings };
+  }
+
+  // Ranges are expanded page by page below, so bound them first: without a page count
+  // fall back to the upload limit rather than trusting whatever endPage was sent
+  const lastPage = totalPages || parseInt(process.env.MAX_PAGES_PER_BATCH) || 200;
+  const pageOwners = new Map();
+  const invoiceNumbers = new Map();
+
+  splits.forEach((split, index) => {
+    const parsed = SplitEditSchema.safeParse(split);
+    if (!parsed.success) {
+      parsed.error.issues.forEach(issue => {
+        errors.push(problem('error', 'invalid_field', issue.message, {
+          ...pointAt(split, index),
+          field: issue.path.join('.') || null
+        }));
+      });
+      return;
+    }
+
+    if (!hasExplicitPages(split) && split.startPage > split.endPage) {
+      errors.push(problem('error', 'inverted_range',
+        `startPage ${split.startPage} is after endPage ${split.endPage}`, pointAt(split, index)));
+      return;
+    }
+
+    const pastEnd = findPagesPastEnd(split, lastPage);
+    if (pastEnd) {
+      errors.push(problem('error', 'page_out_of_range',
+        `Pages ${pastEnd.label} are past the ${totalPages ? 'last page' : 'page limit'} (${lastPage})`,
+        { ...pointAt(split, index), ...pastEnd.details }));
+      return;
+    }
+
+    const pages = getSplitPages(split);
+    const seen = new Set();
+    pages.forEach(page => {
+      if (seen.has(page)) {
+        errors.push(problem('error', 'duplicate_page', `Page ${page} is listed twice`, { ...pointAt(split, index), pages: [page] }));
+        return;
+      }
+      seen.add(page);
+      if (!pageOwners.has(page)) pageOwners.set(page, []);
+      pageOwners.get(page).push(index);
+    });
+
+    // Excluded documents (packing lists...) legitimately repeat their invoice's number
+    if (!split.excluded && split.invoiceNumber) {
+      const key = String(split.invoiceNumber).trim().toUpperCase();
+      if (!invoiceNumbers.has(key)) invoiceNumbers.set(key, []);
+      invoiceNumbers.get(key).push(index);
+    }
+  });
+
+  // Report each overlapping pair of splits once, with the pages they share
+  const overlaps = new Map();
+  pageOwners.forEach((owners, page) => {
+    for (let i = 0; i < owners.length; i++) {
+      for (let j = i + 1; j < owners.length; j++) {
+        const key = `${owners[i]}:${owners[j]}`;
+        if (!overlaps.has(key)) overlaps.set(key, { indexes: [owners[i], owners[j]], pages: [] });
+        overlaps.get(key).pages.push(page);
+      }
+    }
+  });
+  overlaps.forEach(({ indexes, pages }) => {
+    const [first, second] = indexes;
+    errors.push(problem('error', 'overlap',
+      `Splits ${first} and ${second} both contain pages ${formatPageRange(pages.sort((a, b) => a - b))}`,
+      { ...pointAt(splits[second], second), overlapsWith: pointAt(splits[first], first), pages }));
+  });
+
+  if (totalPages) {
+    const uncovered = [];
+    for (let page = 1; page <= totalPages; page++) {
+      if (!pageOwners.has(page)) uncovered.push(page);
+    }
+    toPageRuns(uncovered).forEach(([startPage, endPage]) => {
+      warnings.push(problem('warning', 'uncovered_pages',
+        `Pages ${startPage === endPage ? startPage : `${startPage}-${endPage}`} are not in any split and will go to attachments`,
+        { splitIndex: null, splitId: null, pages: uncovered.filter(page => page >= startPage && page <= endPage) }));
+    });
+  }
+
+  invoiceNumbers.forEach((indexes, key) => {
+    if (indexes.length < 2) return;
+    indexes.slice(1).forEach(index => {
+      warnings.push(problem('warning', 'duplicate_invoice_number',
+        `Invoice number ${splits[index].invoiceNumber} is also used by split ${indexes[0]}`,
+        { ...pointAt(splits[index], index), duplicateOf: pointAt(splits[indexes[0]], indexes[0]), invoiceNumber: key }));
+    });
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = { SplitEditSchema, validateSplitEdit };
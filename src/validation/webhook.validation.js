@@ -0,0 +1,48 @@
+const { z } = require('zod');
+const { WEBHOOK_EVENTS } = require('../models/webhook-subscription.model');
+
+// Subscriptions come from JSON bodies and from multipart upload fields, so `events`
+// may be an array or a comma-separated string.
+
+const toEventList = value => (typeof value === 'string'
+  ? value.split(',').map(event => event.trim().toUpperCase()).filter(Boolean)
+  : value);
+
+const WebhookSubscriptionSchema = z.object({
+  url: z.string().url('url must be an absolute http(s) URL').refine(
+    url => /^https?:\/\//i.test(url),
+    'url must use http or https'
+  ),
+  events: z.preprocess(toEventList, z.array(z.enum(WEBHOOK_EVENTS)).nonempty('events must list at least one status')).optional(),
+  secret: z.string().min(16, 'secret must be at least 16 characters').optional(),
+  clientId: z.string().min(1).nullable().optional(),
+  batchId: z.string().min(1).nullable().optional(),
+  description: z.string().max(500).nullable().optional()
+}).refine(
+  subscription => subscription.clientId || subscription.batchId,
+  { message: 'A webhook needs an API client (X-Client-Id) or a batchId', path: ['clientId'] }
+);
+
+/**
+ * Validate a webhook subscription request
+ * @param {Object} input - { url, events, secret, clientId, batchId, description }
+ * @returns {{ valid: boolean, errors: Array<{ field, message }>, value: Object|null }}
+ */
+function validateWebhookSubscription(input) {
+  const parsed = WebhookSubscriptionSchema.safeParse(input || {});
+  if (!parsed.success) {
+    return {
+      valid: false,
+      errors: parsed.error.issues.map(issue => ({ field: issue.path.join('.') || null, message: issue.message })),
+      value: null
+    };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    value: { ...parsed.data, events: [...new Set(parsed.data.events || WEBHOOK_EVENTS)] }
+  };
+}
+
+module.exports = { validateWebhookSubscription };